@@ -1,20 +1,198 @@
 require('dotenv').config();
+const cron = require('node-cron');
+const { Events } = require('./utils/EventBus');
+const { EQUIPMENT_SLOTS } = require('./utils/GearAudit');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SCHEDULED_SYNCS = ['discovery', 'activeSync', 'missingData'];
+
+function slugify(value) {
+  return value.toLowerCase().trim().replace(/'/g, '').replace(/\s+/g, '-');
+}
+
+// Comma-separated env value, empty entries dropped
+function splitList(value) {
+  return value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : [];
+}
+
+// GUILD_RANKS=Guild Master,Officer,Officer Alt,Raider,Trial,Social (index 0 first)
+function parseRankNames(value) {
+  return value ? value.split(',').map(name => name.trim()) : [];
+}
+
+// GUILDS=Pool Party:archimonde:eu;Alt Guild:archimonde:eu:Guild Master,Officer,Member
+// An optional fourth field overrides GUILD_RANKS for that guild
+// Falls back to the single GUILD_NAME / GUILD_REALM / GUILD_REGION guild when not set
+function parseGuilds() {
+  const defaultRankNames = parseRankNames(process.env.GUILD_RANKS);
+  const entries = process.env.GUILDS
+    ? process.env.GUILDS.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, realm, region, ranks] = entry.split(':').map(part => (part || '').trim());
+        return {
+          name,
+          realm,
+          region: (region || '').toLowerCase(),
+          rankNames: ranks ? parseRankNames(ranks) : defaultRankNames
+        };
+      })
+    : [{
+        name: process.env.GUILD_NAME || '',
+        realm: process.env.GUILD_REALM || '',
+        region: (process.env.GUILD_REGION || '').toLowerCase(),
+        rankNames: defaultRankNames
+      }];
+
+  return entries.map(guild => ({
+    ...guild,
+    key: `${guild.region}-${slugify(guild.realm)}-${slugify(guild.name)}`
+  }));
+}
+
+// SYNC_SCHEDULE_OVERRIDES=wed,thu|activeSync|*/15 * * * *;sun|discovery|0 */2 * * *
+// On the listed weekdays the override replaces the regular cron expression of that sync
+function parseScheduleOverrides() {
+  if (!process.env.SYNC_SCHEDULE_OVERRIDES) {
+    return [];
+  }
+
+  return process.env.SYNC_SCHEDULE_OVERRIDES.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [days, sync, expression] = entry.split('|').map(part => (part || '').trim());
+    return {
+      days: days.split(',').map(day => day.trim().toLowerCase().slice(0, 3)).filter(Boolean),
+      sync,
+      cron: expression
+    };
+  });
+}
+
+// Seconds each endpoint family of external API responses stays cached (0 = always fetch)
+const DEFAULT_CACHE_TTLS = {
+  characterProfile: 600,
+  characterAchievements: 3600,
+  characterPvp: 900,
+  characterEquipment: 900,
+  characterEncounters: 900,
+  raiderIO: 900,
+  guildRoster: 300,
+  pvpSeason: 3600,
+  gameData: 86400
+};
+
+// HTTP_CACHE_TTLS=characterProfile:300;raiderIO:0
+function parseCacheTtls() {
+  const raw = process.env.HTTP_CACHE_TTLS;
+  if (!raw) {
+    return {};
+  }
+
+  return Object.fromEntries(raw.split(';').filter(entry => entry.trim()).map(entry => {
+    const [family, seconds] = entry.split(':').map(part => (part || '').trim());
+    return [family, Number(seconds)];
+  }));
+}
+
+// Weekly reset per region in UTC (day 0 = Sunday): US Tuesday 15:00, EU Wednesday 04:00, KR/TW Wednesday 23:00
+const DEFAULT_WEEKLY_RESETS = {
+  us: { day: 2, hour: 15, minute: 0 },
+  eu: { day: 3, hour: 4, minute: 0 },
+  kr: { day: 3, hour: 23, minute: 0 },
+  tw: { day: 3, hour: 23, minute: 0 }
+};
+
+// WEEKLY_RESETS=eu:wed 04:00;us:tue 15:00
+// Invalid entries are kept as NaN so validateConfig can report them
+function parseWeeklyResets() {
+  const raw = process.env.WEEKLY_RESETS;
+  if (!raw) {
+    return {};
+  }
+
+  return Object.fromEntries(raw.split(';').filter(entry => entry.trim()).map(entry => {
+    const separator = entry.indexOf(':');
+    const region = entry.slice(0, separator).trim().toLowerCase();
+    const [day, time] = entry.slice(separator + 1).trim().split(/\s+/);
+    const [hour, minute] = (time || '').split(':').map(Number);
+    return [region, {
+      day: WEEKDAYS.indexOf((day || '').toLowerCase().slice(0, 3)),
+      hour,
+      minute: minute || 0
+    }];
+  }));
+}
+
+// PROVIDER_FIELD_PRIORITY=item_level:blizzard,raiderio;level:blizzard
+// Fields not listed follow PROVIDER_PRIORITY
+function parseFieldPriority() {
+  const raw = process.env.PROVIDER_FIELD_PRIORITY;
+  if (!raw) {
+    return {};
+  }
+
+  return Object.fromEntries(raw.split(';').filter(entry => entry.trim()).map(entry => {
+    const [field, providers] = entry.split(':');
+    return [field.trim(), splitList(providers)];
+  }));
+}
+
+// BLIZZARD_CREDENTIALS=clientId:clientSecret;clientId:clientSecret
+// Extra API clients rotated with BLIZZARD_CLIENT_ID/SECRET; duplicates are dropped
+function parseBlizzardCredentials() {
+  const pairs = process.env.BLIZZARD_CLIENT_ID || process.env.BLIZZARD_CLIENT_SECRET
+    ? [{ clientId: process.env.BLIZZARD_CLIENT_ID || '', clientSecret: process.env.BLIZZARD_CLIENT_SECRET || '' }]
+    : [];
+
+  for (const entry of (process.env.BLIZZARD_CREDENTIALS || '').split(';').filter(value => value.trim())) {
+    const separator = entry.indexOf(':');
+    pairs.push({
+      clientId: separator === -1 ? '' : entry.slice(0, separator).trim(),
+      clientSecret: separator === -1 ? '' : entry.slice(separator + 1).trim()
+    });
+  }
+
+  return pairs.filter((pair, index) => pairs.findIndex(other => other.clientId === pair.clientId) === index);
+}
+
+const guilds = parseGuilds();
 
 const config = {
+  // All guilds synced by this deployment
+  guilds,
+
+  // Primary guild (first configured) plus settings shared by every guild
   guild: {
-    name: process.env.GUILD_NAME || '',
-    realm: process.env.GUILD_REALM || '',
-    region: process.env.GUILD_REGION || '',
-    syncIntervalMinutes: 30,
+    name: guilds[0].name,
+    realm: guilds[0].realm,
+    region: guilds[0].region,
+    rankNames: guilds[0].rankNames,
     fastStartup: true, // Enable fast startup mode
-    discoveryIntervalHours: 6,
     rateLimit: {
-      blizzard: 1500, // Blizzard API for character/item data
-      raiderIO: 300,  // Raider.io for M+ scores (very fast)
-      batchSize: 40   // Increased batch size significantly
+      blizzard: 1500, // Requests per minute to the Blizzard API for character/item data
+      raiderIO: 300,  // Requests per minute to Raider.io for M+ scores
+      warcraftLogs: 60, // Requests per minute to Warcraft Logs (the API also caps points per hour)
+      batchSize: 40   // Sync jobs claimed from the queue per batch
+    }
+  },
+
+  activity: {
+    // Tiers by days since last login: active <= activeDays < casual <= casualDays < inactive
+    // (unknown = Blizzard has no login timestamp, e.g. deleted or transferred characters)
+    activeDays: parseInt(process.env.ACTIVITY_ACTIVE_DAYS, 10) || 7,
+    casualDays: parseInt(process.env.ACTIVITY_CASUAL_DAYS, 10) || 30,
+    // How often the active sync refreshes each tier; tiers not listed are never refreshed
+    syncIntervalHours: {
+      active: parseInt(process.env.ACTIVE_TIER_SYNC_HOURS, 10) || 1,
+      casual: parseInt(process.env.CASUAL_TIER_SYNC_HOURS, 10) || 24
     }
   },
 
+  schedule: {
+    timezone: process.env.SYNC_TIMEZONE || 'UTC',
+    discovery: process.env.DISCOVERY_CRON || '0 */6 * * *',   // Roster + activity check
+    activeSync: process.env.ACTIVE_SYNC_CRON || '0 * * * *',  // Active and casual characters that are due
+    missingData: process.env.MISSING_DATA_CRON || '30 */6 * * *', // Active characters without achievement/PvP data
+    overrides: parseScheduleOverrides()
+  },
+
   webApi: {
     baseUrl: process.env.WEB_API_URL || '',
     apiKey: process.env.WEB_API_KEY || '',
@@ -26,10 +204,84 @@ const config = {
     }
   },
 
+  // Character data sources: who is asked first for each field, and which are switched off
+  providers: {
+    priority: splitList(process.env.PROVIDER_PRIORITY || 'raiderio,blizzard'),
+    // Equipment from Blizzard first: Raider.IO can't tell which sockets are empty.
+    // Active spec too: Raider.IO only sees spec changes when it next crawls the character.
+    fieldPriority: { equipment: ['blizzard', 'raiderio'], active_spec: ['blizzard', 'raiderio'], ...parseFieldPriority() },
+    disabled: splitList(process.env.PROVIDERS_DISABLED)
+  },
+
+  // Per-API circuit breaker: opens when failureRateThreshold of the last windowSize requests were outages
+  circuitBreaker: {
+    windowSize: parseInt(process.env.CIRCUIT_WINDOW_SIZE, 10) || 20,
+    minimumRequests: parseInt(process.env.CIRCUIT_MIN_REQUESTS, 10) || 10,
+    failureRateThreshold: parseFloat(process.env.CIRCUIT_FAILURE_RATE) || 0.5,
+    openDurationMs: (parseInt(process.env.CIRCUIT_OPEN_SECONDS, 10) || 120) * 1000 // Fail fast this long, then probe
+  },
+
+  // Shared cache for external API GET responses, revalidated with If-Modified-Since once expired
+  httpCache: {
+    ttlSeconds: { ...DEFAULT_CACHE_TTLS, ...parseCacheTtls() },
+    maxEntries: parseInt(process.env.HTTP_CACHE_MAX_ENTRIES, 10) || 5000
+  },
+
+  raids: {
+    region: guilds[0].region, // Journal data is the same in every region
+    catalogueCacheHours: 24,
+    defaultRaid: process.env.RAID_DEFAULT || null // Raider.IO slug shown as raid_progress; null = newest raid in the journal
+  },
+
+  // Realm names, slugs and connected-realm groups per region, reloaded from Blizzard this often
+  realms: {
+    cacheHours: 24
+  },
+
+  // Guild progression timeline: a boss counts as killed by the guild once more than `majority`
+  // of the raid team (members of teamRanks, every rank when empty) has killed it
+  progression: {
+    teamRanks: splitList(process.env.RAID_TEAM_RANKS),
+    majority: process.env.PROGRESSION_MAJORITY ? Number(process.env.PROGRESSION_MAJORITY) : 0.5,
+    bossKillExpansions: parseInt(process.env.BOSS_KILL_EXPANSIONS, 10) || 1 // Newest expansions whose boss kills are stored
+  },
+
+  mythicPlus: {
+    weeklyResets: { ...DEFAULT_WEEKLY_RESETS, ...parseWeeklyResets() },
+    // Runs this week needed for each Great Vault M+ slot
+    vaultThresholds: splitList(process.env.GREAT_VAULT_MYTHIC_PLUS_RUNS || '1,4,8').map(Number)
+  },
+
+  // Gear audit rules (see src/utils/GearAudit.js)
+  gearAudit: {
+    enchantSlots: splitList(process.env.GEAR_AUDIT_ENCHANT_SLOTS || 'BACK,CHEST,WRIST,LEGS,FEET,FINGER_1,FINGER_2,MAIN_HAND')
+      .map(slot => slot.toUpperCase()),
+    itemLevelMargin: parseInt(process.env.GEAR_AUDIT_ILVL_MARGIN, 10) || 15, // Slots further below the character's item level are flagged
+    minItemLevel: parseInt(process.env.GEAR_AUDIT_MIN_ILVL, 10) || null      // Optional absolute floor, e.g. for a raid's entry requirement
+  },
+
+  // Domain events POSTed as JSON to every URL (see src/utils/EventBus.js for event names)
+  webhooks: {
+    urls: splitList(process.env.WEBHOOK_URLS),
+    events: splitList(process.env.WEBHOOK_EVENTS), // Empty = everything but progress and roster events
+    timeout: 5000
+  },
+
+  // Optional parse percentiles and raid attendance; the provider is only registered with credentials
+  warcraftLogs: {
+    clientId: process.env.WARCRAFTLOGS_CLIENT_ID,
+    clientSecret: process.env.WARCRAFTLOGS_CLIENT_SECRET,
+    tokenUrl: process.env.WARCRAFTLOGS_TOKEN_URL || 'https://www.warcraftlogs.com/oauth/token',
+    apiUrl: process.env.WARCRAFTLOGS_API_URL || 'https://www.warcraftlogs.com/api/v2/client',
+    zoneId: parseInt(process.env.WARCRAFTLOGS_ZONE_ID, 10) || null, // Null = current tier for parses, every zone for attendance
+    attendanceReports: parseInt(process.env.WARCRAFTLOGS_ATTENDANCE_REPORTS, 10) || 20, // Most recent guild raids counted
+    attendanceCacheMinutes: 60
+  },
+
   blizzard: {
-    clientId: process.env.BLIZZARD_CLIENT_ID,
-    clientSecret: process.env.BLIZZARD_CLIENT_SECRET,
-    tokenUrl: 'https://oauth.battle.net/token'
+    credentials: parseBlizzardCredentials(), // Tokens are handed out round-robin across these clients
+    tokenUrl: 'https://oauth.battle.net/token',
+    tokenMarginSeconds: parseInt(process.env.BLIZZARD_TOKEN_MARGIN_SECONDS, 10) || 300 // Refresh this long before expires_in runs out
   },
 
   database: {
@@ -55,11 +307,20 @@ const config = {
   },
 
   service: {
+    // Retries of transient external API failures (429, 5xx, timeouts); Retry-After wins over the backoff
     maxRetries: 3,
+    retryBaseDelayMs: 1000,
     backoffMultiplier: 1.5,
     maxBackoffMs: 300000,
-    concurrency: 1,
-    memoryLimit: '512m'
+    concurrency: parseInt(process.env.SYNC_CONCURRENCY, 10) || 4, // Characters synced in parallel
+    memoryLimit: '512m',
+    jobMaxAttempts: 3,       // Attempts before a queued character sync is marked failed
+    jobRetryDelayMs: 600000  // Delay before retrying a failed job (multiplied by attempts so far)
+  },
+
+  admin: {
+    // Optional bearer token required by endpoints that trigger work (e.g. on-demand sync)
+    apiKey: process.env.ADMIN_API_KEY || ''
   },
 
   mailgun: {
@@ -72,12 +333,111 @@ const config = {
 };
 
 function validateConfig() {
-  const required = ['GUILD_NAME', 'GUILD_REALM', 'GUILD_REGION', 'BLIZZARD_CLIENT_ID', 'BLIZZARD_CLIENT_SECRET'];
+  const required = [
+    ...(process.env.GUILDS ? [] : ['GUILD_NAME', 'GUILD_REALM', 'GUILD_REGION']),
+    ...(process.env.BLIZZARD_CREDENTIALS ? [] : ['BLIZZARD_CLIENT_ID', 'BLIZZARD_CLIENT_SECRET'])
+  ];
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
     throw new Error(`Missing required variables: ${missing.join(', ')}`);
   }
+
+  if (config.blizzard.credentials.some(({ clientId, clientSecret }) => !clientId || !clientSecret)) {
+    throw new Error('Invalid Blizzard credentials: BLIZZARD_CLIENT_ID and BLIZZARD_CLIENT_SECRET go together, BLIZZARD_CREDENTIALS entries are "clientId:clientSecret" separated by ";"');
+  }
+
+  const invalidGuilds = config.guilds.filter(guild => !guild.name || !guild.realm || !guild.region);
+  if (invalidGuilds.length > 0) {
+    throw new Error('Invalid GUILDS entry: expected "Guild Name:realm:region" separated by ";"');
+  }
+
+  const keys = config.guilds.map(guild => guild.key);
+  if (new Set(keys).size !== keys.length) {
+    throw new Error('Duplicate guild in GUILDS');
+  }
+
+  if (config.activity.activeDays >= config.activity.casualDays) {
+    throw new Error('ACTIVITY_ACTIVE_DAYS must be lower than ACTIVITY_CASUAL_DAYS');
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: config.schedule.timezone });
+  } catch {
+    throw new Error(`Invalid SYNC_TIMEZONE: ${config.schedule.timezone}`);
+  }
+
+  for (const sync of SCHEDULED_SYNCS) {
+    if (!cron.validate(config.schedule[sync])) {
+      throw new Error(`Invalid cron expression for ${sync}: "${config.schedule[sync]}"`);
+    }
+  }
+
+  for (const [field, providers] of Object.entries(config.providers.fieldPriority)) {
+    if (!field || providers.length === 0) {
+      throw new Error(`Invalid PROVIDER_FIELD_PRIORITY entry for "${field}": expected "field:provider,provider"`);
+    }
+  }
+
+  const unknownSlots = config.gearAudit.enchantSlots.filter(slot => !EQUIPMENT_SLOTS.includes(slot));
+  if (unknownSlots.length > 0) {
+    throw new Error(`Invalid GEAR_AUDIT_ENCHANT_SLOTS: ${unknownSlots.join(', ')} (expected ${EQUIPMENT_SLOTS.join(', ')})`);
+  }
+
+  for (const [region, reset] of Object.entries(config.mythicPlus.weeklyResets)) {
+    if (!region || reset.day < 0 || !(reset.hour >= 0 && reset.hour < 24) || !(reset.minute >= 0 && reset.minute < 60)) {
+      throw new Error(`Invalid WEEKLY_RESETS entry for "${region}": expected "region:day HH:MM" in UTC (e.g. "eu:wed 04:00")`);
+    }
+  }
+  const regionsWithoutReset = [...new Set(config.guilds.map(guild => guild.region))]
+    .filter(region => !config.mythicPlus.weeklyResets[region]);
+  if (regionsWithoutReset.length > 0) {
+    throw new Error(`No weekly reset for region(s) ${regionsWithoutReset.join(', ')}: add them to WEEKLY_RESETS`);
+  }
+
+  if (!(config.progression.majority > 0 && config.progression.majority < 1)) {
+    throw new Error('PROGRESSION_MAJORITY must be between 0 and 1 (e.g. 0.5 = more than half the raid team)');
+  }
+
+  const { vaultThresholds } = config.mythicPlus;
+  if (vaultThresholds.length === 0 || vaultThresholds.some((runs, index) => !Number.isInteger(runs) || runs < 1 || runs <= (vaultThresholds[index - 1] || 0))) {
+    throw new Error('GREAT_VAULT_MYTHIC_PLUS_RUNS must be increasing run counts (e.g. "1,4,8")');
+  }
+
+  const { failureRateThreshold, minimumRequests, windowSize } = config.circuitBreaker;
+  if (failureRateThreshold <= 0 || failureRateThreshold > 1) {
+    throw new Error('CIRCUIT_FAILURE_RATE must be between 0 and 1 (e.g. 0.5)');
+  }
+  if (minimumRequests > windowSize) {
+    throw new Error('CIRCUIT_MIN_REQUESTS must not exceed CIRCUIT_WINDOW_SIZE');
+  }
+
+  for (const [family, seconds] of Object.entries(config.httpCache.ttlSeconds)) {
+    if (!(family in DEFAULT_CACHE_TTLS)) {
+      throw new Error(`Invalid HTTP_CACHE_TTLS entry: unknown endpoint family "${family}" (expected ${Object.keys(DEFAULT_CACHE_TTLS).join(', ')})`);
+    }
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      throw new Error(`Invalid HTTP_CACHE_TTLS entry for "${family}": expected a whole number of seconds`);
+    }
+  }
+
+  const eventNames = Object.values(Events);
+  const unknownEvents = config.webhooks.events.filter(event => !eventNames.includes(event));
+  if (unknownEvents.length > 0) {
+    throw new Error(`Invalid WEBHOOK_EVENTS: ${unknownEvents.join(', ')} (expected ${eventNames.join(', ')})`);
+  }
+
+  for (const override of config.schedule.overrides) {
+    if (!SCHEDULED_SYNCS.includes(override.sync)) {
+      throw new Error(`Invalid SYNC_SCHEDULE_OVERRIDES entry: unknown sync "${override.sync}" (expected ${SCHEDULED_SYNCS.join(', ')})`);
+    }
+    if (override.days.length === 0 || override.days.some(day => !WEEKDAYS.includes(day))) {
+      throw new Error(`Invalid SYNC_SCHEDULE_OVERRIDES entry: weekdays must be ${WEEKDAYS.join(', ')}`);
+    }
+    if (!cron.validate(override.cron)) {
+      throw new Error(`Invalid SYNC_SCHEDULE_OVERRIDES entry: bad cron expression "${override.cron}"`);
+    }
+  }
 }
 
 validateConfig();
@@ -53,13 +53,15 @@ async function main() {
   try {
     Logger.info('🚀 Starting WoW Guild Sync');
     Logger.info(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-    Logger.info(`🏰 Guild: ${config.guild.name} (${config.guild.realm}-${config.guild.region})`);
+    config.guilds.forEach(guild => {
+      Logger.info(`🏰 Guild: ${guild.name} (${guild.realm}-${guild.region})`);
+    });
     if (config.webApi.baseUrl) {
       Logger.info(`🌐 Web API: ${config.webApi.baseUrl}`);
     }
     
     // Validate configuration
-    if (!config.blizzard.clientId || !config.blizzard.clientSecret) {
+    if (config.blizzard.credentials.length === 0) {
       throw new Error('❌ Blizzard API credentials not configured');
     }
     
@@ -0,0 +1,209 @@
+/**
+ * 🔵 Blizzard Provider - Character profile and active spec, achievements, equipment, raid boss kills and PvP ratings
+ *
+ * Endpoint: https://{region}.api.blizzard.com/profile/wow/character/{realmSlug}/{characterName}
+ * Sub-resources: /achievements, /equipment, /encounters/raids, /pvp-bracket/{bracket}, /pvp-summary
+ * WARNING: Official documentation links are currently not accessible
+ *
+ * Only the endpoints behind the requested fields are called.
+ */
+
+const DataProvider = require('./DataProvider');
+const { EQUIPMENT_SLOTS } = require('../utils/GearAudit');
+
+const PROFILE_FIELDS = ['character_class', 'active_spec', 'level', 'item_level'];
+const ACHIEVEMENT_FIELDS = ['achievement_points'];
+const EQUIPMENT_FIELDS = ['equipment'];
+const ENCOUNTER_FIELDS = ['boss_kills'];
+const PVP_FIELDS = [
+  'pvp_2v2_rating',
+  'pvp_3v3_rating',
+  'pvp_rbg_rating',
+  'solo_shuffle_rating',
+  'max_solo_shuffle_rating',
+  'rbg_shuffle_rating',
+  'pvp_season_id'
+];
+
+class BlizzardProvider extends DataProvider {
+  constructor(api, raidCatalogue, config) {
+    super('blizzard', [...PROFILE_FIELDS, ...ACHIEVEMENT_FIELDS, ...EQUIPMENT_FIELDS, ...ENCOUNTER_FIELDS, ...PVP_FIELDS], api, 'blizzard');
+    this.raidCatalogue = raidCatalogue;
+    this.config = config; // config.progression
+  }
+
+  async fetchCharacter({ name, realm, region, characterApiUrl }, fields) {
+    const token = await this.api.getBlizzardToken();
+    const headers = { 'Authorization': `Bearer ${token}` };
+    const wants = group => group.some(field => fields.includes(field));
+
+    // Use Blizzard's own API URL from the roster when available (handles connected realms)
+    let baseUrl;
+    if (characterApiUrl) {
+      baseUrl = characterApiUrl.split('?')[0];
+      this.logger.debug(`🔗 Using provided API URL: ${baseUrl}`);
+    } else {
+      // realm is already a slug (resolved by ExternalApiService.getMember)
+      const normalizedName = encodeURIComponent(name.toLowerCase());
+      baseUrl = `https://${region}.api.blizzard.com/profile/wow/character/${encodeURIComponent(realm)}/${normalizedName}`;
+    }
+
+    const result = {};
+
+    // The profile is the provider's anchor: if it fails the character is unavailable here
+    if (wants(PROFILE_FIELDS)) {
+      const characterResponse = await this.api.get('blizzard', `${baseUrl}?namespace=profile-${region}&locale=en_US`, { headers });
+      const profile = characterResponse.data;
+      result.character_class = profile.character_class?.name || null;
+      result.active_spec = profile.active_spec?.name || null;
+      result.level = profile.level || null;
+      result.item_level = profile.equipped_item_level || profile.average_item_level || null;
+    }
+
+    if (wants(ACHIEVEMENT_FIELDS)) {
+      try {
+        const achievementsResponse = await this.api.get('blizzard', `${baseUrl}/achievements?namespace=profile-${region}&locale=en_US`, { headers });
+        result.achievement_points = achievementsResponse.data.total_points || 0;
+        this.logger.debug(`🏆 Achievement points for ${name}: ${result.achievement_points}`);
+      } catch (achievementError) {
+        this.logger.debug(`No achievement data for ${name}: ${achievementError.message}`);
+      }
+    }
+
+    if (wants(EQUIPMENT_FIELDS)) {
+      try {
+        const equipmentResponse = await this.api.get('blizzard', `${baseUrl}/equipment?namespace=profile-${region}&locale=en_US`, { headers });
+        result.equipment = this.formatEquipment(equipmentResponse.data.equipped_items || []);
+      } catch (equipmentError) {
+        this.logger.debug(`No equipment data for ${name}: ${equipmentError.message}`);
+      }
+    }
+
+    if (wants(ENCOUNTER_FIELDS)) {
+      try {
+        const encountersResponse = await this.api.get('blizzard', `${baseUrl}/encounters/raids?namespace=profile-${region}&locale=en_US`, { headers });
+        result.boss_kills = this.formatBossKills(encountersResponse.data.expansions || []);
+      } catch (encountersError) {
+        this.logger.debug(`No raid encounter data for ${name}: ${encountersError.message}`);
+      }
+    }
+
+    if (wants(PVP_FIELDS)) {
+      Object.assign(result, await this.fetchPvP(name, region, baseUrl, headers));
+    }
+
+    return result;
+  }
+
+  formatEquipment(equippedItems) {
+    return equippedItems
+      .filter(item => EQUIPMENT_SLOTS.includes(item.slot?.type))
+      .map(item => {
+        const enchant = (item.enchantments || []).find(entry => entry.enchantment_slot?.type === 'PERMANENT');
+        const sockets = item.sockets || [];
+        return {
+          slot: item.slot.type,
+          item_id: item.item.id,
+          item_name: item.name || null,
+          item_level: item.level?.value || null,
+          quality: item.quality?.type || null,
+          // "Enchanted: Radiant Mastery |A:Professions-ChatIcon-Quality-Tier3:20:20|a" -> "Radiant Mastery"
+          enchant: enchant ? enchant.display_string.replace(/^Enchanted: /, '').replace(/\|A:[^|]*\|a/g, '').trim() : null,
+          enchant_id: enchant?.enchantment_id || null,
+          sockets: sockets.length,
+          gems: sockets.filter(socket => socket.item).map(socket => ({ id: socket.item.id, name: socket.item.name || null })),
+          set_name: item.set?.item_set?.name || null
+        };
+      });
+  }
+
+  // One entry per boss and difficulty killed in the newest expansions' raids.
+  // Blizzard only reports the latest kill; the earliest is kept when it is stored.
+  formatBossKills(expansions) {
+    return [...expansions]
+      .sort((a, b) => b.expansion.id - a.expansion.id)
+      .slice(0, this.config.bossKillExpansions)
+      .flatMap(({ instances = [] }) => instances.flatMap(({ instance, modes = [] }) =>
+        modes.flatMap(({ difficulty, progress }) => (progress?.encounters || [])
+          .filter(entry => entry.completed_count > 0)
+          .map(entry => ({
+            raid: this.raidCatalogue.slugify(instance.name),
+            raid_name: instance.name,
+            encounter_id: entry.encounter.id,
+            encounter_name: entry.encounter.name,
+            difficulty: difficulty.type.toLowerCase(), // 'lfr', 'normal', 'heroic', 'mythic'
+            kill_count: entry.completed_count,
+            last_killed_at: new Date(entry.last_kill_timestamp)
+          })))));
+  }
+
+  async fetchPvP(name, region, baseUrl, headers) {
+    // Get current PvP season ID dynamically
+    // Fallback to not filtering by season if we can't determine current season
+    const currentSeasonId = await this.api.getCurrentPvpSeason(region);
+
+    // Only use rating if it's from current season or if we can't determine current season
+    const isCurrentSeason = bracket => !currentSeasonId || bracket.season?.id === currentSeasonId;
+    const seasonRating = bracket => isCurrentSeason(bracket) ? (bracket.rating || 0) : 0;
+
+    const ratings = {
+      pvp_season_id: currentSeasonId,
+      pvp_2v2_rating: 0,
+      pvp_3v3_rating: 0,
+      pvp_rbg_rating: 0,
+      solo_shuffle_rating: 0,
+      max_solo_shuffle_rating: 0,
+      rbg_shuffle_rating: 0
+    };
+
+    // Get each PvP bracket individually
+    for (const [bracket, field] of [['2v2', 'pvp_2v2_rating'], ['3v3', 'pvp_3v3_rating'], ['rbg', 'pvp_rbg_rating']]) {
+      try {
+        const bracketResponse = await this.api.get('blizzard', `${baseUrl}/pvp-bracket/${bracket}?namespace=profile-${region}&locale=en_US`, { headers });
+        ratings[field] = seasonRating(bracketResponse.data);
+      } catch {
+        ratings[field] = 0;
+      }
+    }
+
+    // Get Solo Shuffle and RBG Blitz ratings by checking PvP summary (one bracket per spec)
+    try {
+      const pvpSummaryResponse = await this.api.get('blizzard', `${baseUrl}/pvp-summary?namespace=profile-${region}&locale=en_US`, { headers });
+      const brackets = pvpSummaryResponse.data.brackets || [];
+
+      for (const bracket of brackets.filter(entry => entry.href.includes('/pvp-bracket/shuffle-'))) {
+        try {
+          const shuffleResponse = await this.api.get('blizzard', `${bracket.href}&locale=en_US`, { headers });
+          const rating = seasonRating(shuffleResponse.data);
+          const maxRating = isCurrentSeason(shuffleResponse.data) ? (shuffleResponse.data.season_best_rating || rating) : 0;
+
+          if (rating > ratings.solo_shuffle_rating) {
+            ratings.solo_shuffle_rating = rating;
+            ratings.max_solo_shuffle_rating = maxRating;
+          }
+
+          this.logger.debug(`🥇 Found Solo Shuffle bracket: ${bracket.href.split('/').pop()} - Rating: ${rating} (best: ${maxRating})`);
+        } catch (bracketError) {
+          this.logger.debug(`Failed to fetch shuffle bracket ${bracket.href}: ${bracketError.message}`);
+        }
+      }
+
+      for (const bracket of brackets.filter(entry => entry.href.includes('/pvp-bracket/blitz-'))) {
+        try {
+          const blitzResponse = await this.api.get('blizzard', `${bracket.href}&locale=en_US`, { headers });
+          ratings.rbg_shuffle_rating = Math.max(ratings.rbg_shuffle_rating, seasonRating(blitzResponse.data));
+          this.logger.debug(`⚡ Found RBG Blitz bracket: ${bracket.href.split('/').pop()} - Rating: ${seasonRating(blitzResponse.data)}`);
+        } catch (bracketError) {
+          this.logger.debug(`Failed to fetch blitz bracket ${bracket.href}: ${bracketError.message}`);
+        }
+      }
+    } catch (summaryError) {
+      this.logger.debug(`Could not get PvP summary for ${name}: ${summaryError.message}`);
+    }
+
+    this.logger.debug(`🏆 PvP brackets for ${name}: 2v2=${ratings.pvp_2v2_rating}, 3v3=${ratings.pvp_3v3_rating}, RBG=${ratings.pvp_rbg_rating}, Solo=${ratings.solo_shuffle_rating}, RBG Blitz=${ratings.rbg_shuffle_rating}`);
+    return ratings;
+  }
+}
+
+module.exports = BlizzardProvider;
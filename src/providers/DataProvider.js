@@ -0,0 +1,33 @@
+/**
+ * 🔌 Data Provider - Base class for character data sources
+ *
+ * A provider declares the character fields it can supply and fetches the ones the
+ * merge policy asks for. Fields it can't fill are left out (or null) so the
+ * registry falls back to the next provider for them.
+ */
+
+class DataProvider {
+  constructor(name, fields, api, service) {
+    this.name = name;
+    this.fields = fields;
+    this.api = api; // ExternalApiService: rate-limited get(), Blizzard token, logger
+    this.service = service; // API the provider calls (rate limiter and circuit breaker key)
+    this.logger = api.logger;
+  }
+
+  supports(field) {
+    return this.fields.includes(field);
+  }
+
+  // False while the API's circuit breaker is open
+  isAvailable() {
+    return this.api.isServiceAvailable(this.service);
+  }
+
+  // character: { name, realm, region, characterApiUrl, guild }, fields: subset of this.fields
+  async fetchCharacter(character, fields) {
+    throw new Error(`Provider ${this.name} does not implement fetchCharacter`);
+  }
+}
+
+module.exports = DataProvider;
@@ -0,0 +1,159 @@
+/**
+ * 🧩 Provider Registry - Per-field merge of character data across providers
+ *
+ * For every field the registry asks providers in priority order (PROVIDER_PRIORITY,
+ * PROVIDER_FIELD_PRIORITY) and keeps the first non-null value. A provider that fails
+ * or has no value for a field hands that field to the next one. Disabled providers
+ * (PROVIDERS_DISABLED, or at runtime) and providers whose API circuit is open are
+ * skipped entirely.
+ */
+
+class ProviderRegistry {
+  constructor(config, logger) {
+    this.config = config; // { priority, fieldPriority, disabled }
+    this.logger = logger;
+    this.providers = new Map();
+    this.disabled = new Set(config.disabled);
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  // Fails fast on provider names in the configuration that were never registered
+  validate() {
+    const configured = [
+      ...this.config.priority,
+      ...Object.values(this.config.fieldPriority).flat(),
+      ...this.config.disabled
+    ];
+    const unknown = [...new Set(configured.filter(name => !this.providers.has(name)))];
+    if (unknown.length > 0) {
+      throw new Error(`Unknown data provider(s) in configuration: ${unknown.join(', ')} (available: ${[...this.providers.keys()].join(', ')})`);
+    }
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  isEnabled(name) {
+    return this.providers.has(name) && !this.disabled.has(name);
+  }
+
+  setEnabled(name, enabled) {
+    if (!this.providers.has(name)) {
+      throw new Error(`Unknown provider: ${name}`);
+    }
+
+    if (enabled) {
+      this.disabled.delete(name);
+    } else {
+      this.disabled.add(name);
+    }
+    this.logger.info(`${enabled ? '✅ Enabled' : '⏸️ Disabled'} data provider ${name}`);
+  }
+
+  // Every field some registered provider can supply
+  getFields() {
+    return [...new Set([...this.providers.values()].flatMap(provider => provider.fields))];
+  }
+
+  getStatus() {
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      enabled: this.isEnabled(provider.name),
+      available: provider.isAvailable(),
+      fields: provider.fields
+    }));
+  }
+
+  // Whether any enabled provider can currently be reached
+  hasAvailableProvider() {
+    return [...this.providers.values()].some(provider => this.isEnabled(provider.name) && provider.isAvailable());
+  }
+
+  // Enabled, reachable providers able to supply the field, highest priority first
+  candidatesFor(field, only = null) {
+    const order = this.config.fieldPriority[field] || this.config.priority;
+    const ranked = [
+      ...order,
+      ...[...this.providers.keys()].filter(name => !order.includes(name)) // Unlisted providers go last
+    ];
+
+    return ranked
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.supports(field) && this.isEnabled(provider.name) && provider.isAvailable())
+      .filter(provider => !only || only.includes(provider.name));
+  }
+
+  /**
+   * Fetch a character's fields from as few providers as the priorities allow.
+   * Each provider is called at most once; lower-priority providers are only called
+   * for fields the ones above them could not fill.
+   * Returns { data, sources } where sources maps each field to the provider that supplied it.
+   */
+  async fetchCharacter(character, { fields = this.getFields(), only = null } = {}) {
+    const responses = new Map(); // Provider name -> data, or null when the call failed
+    const errors = [];
+    const data = {};
+    const sources = {};
+
+    for (;;) {
+      // Resolve what we can; collect the providers we still have to ask
+      const toCall = new Set();
+      for (const field of fields) {
+        if (field in sources) continue;
+
+        for (const provider of this.candidatesFor(field, only)) {
+          if (!responses.has(provider.name)) {
+            toCall.add(provider.name);
+            break;
+          }
+
+          const value = responses.get(provider.name)?.[field];
+          if (value !== undefined && value !== null) {
+            data[field] = value;
+            sources[field] = provider.name;
+            break;
+          }
+        }
+      }
+
+      if (toCall.size === 0) break;
+
+      // A provider also gets every other open field it supports, so a fallback later needs no second call
+      const failures = await Promise.all([...toCall].map(async (name) => {
+        const provider = this.providers.get(name);
+        const requested = fields.filter(field => !(field in sources) && provider.supports(field));
+        try {
+          responses.set(name, await provider.fetchCharacter(character, requested) || {});
+          return null;
+        } catch (error) {
+          responses.set(name, null);
+          this.logger.info(`⚠️ ${name} failed for ${character.name}: ${error.message}`);
+          return error;
+        }
+      }));
+      errors.push(...failures.filter(Boolean)); // Highest priority first
+    }
+
+    if (Object.keys(sources).length === 0) {
+      if (errors.length > 0) {
+        throw errors[0];
+      }
+      const unavailable = [...this.providers.values()].filter(provider => this.isEnabled(provider.name) && !provider.isAvailable());
+      if (unavailable.length > 0) {
+        const error = new Error(`No provider available for ${character.name}: ${unavailable.map(provider => provider.name).join(', ')} paused (circuit open)`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+      throw new Error(`No enabled provider returned data for ${character.name}`);
+    }
+
+    return { data, sources };
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,171 @@
+/**
+ * 🟠 Raider.IO Provider - M+ score, season, best runs per dungeon, weekly runs, raid progression and equipped item level
+ *
+ * Endpoint: https://raider.io/api/v1/characters/profile
+ * WARNING: Official documentation not accessible via search
+ */
+
+const DataProvider = require('./DataProvider');
+
+const FIELDS = [
+  'character_class',
+  'active_spec',
+  'item_level',
+  'mythic_plus_score',
+  'current_saison',
+  'raid_progress',
+  'raid_progression',
+  'equipment',
+  'mythic_plus_dungeons',
+  'weekly_mythic_plus_runs',
+  'weekly_highest_key_level'
+];
+
+// Raider.IO gear.items keys -> Blizzard slot types
+const GEAR_SLOTS = {
+  head: 'HEAD',
+  neck: 'NECK',
+  shoulder: 'SHOULDER',
+  back: 'BACK',
+  chest: 'CHEST',
+  wrist: 'WRIST',
+  hands: 'HANDS',
+  waist: 'WAIST',
+  legs: 'LEGS',
+  feet: 'FEET',
+  finger1: 'FINGER_1',
+  finger2: 'FINGER_2',
+  trinket1: 'TRINKET_1',
+  trinket2: 'TRINKET_2',
+  mainhand: 'MAIN_HAND',
+  offhand: 'OFF_HAND'
+};
+
+const ITEM_QUALITIES = ['POOR', 'COMMON', 'UNCOMMON', 'RARE', 'EPIC', 'LEGENDARY', 'ARTIFACT', 'HEIRLOOM'];
+
+class RaiderIOProvider extends DataProvider {
+  constructor(api, weeklyReset, raidCatalogue) {
+    super('raiderio', FIELDS, api, 'raiderIO');
+    this.weeklyReset = weeklyReset;
+    this.raidCatalogue = raidCatalogue;
+  }
+
+  // One profile request covers every field, so the requested subset doesn't change the call
+  async fetchCharacter({ name, realm, region }) {
+    const url = `https://raider.io/api/v1/characters/profile?region=${region}&realm=${encodeURIComponent(realm)}&name=${encodeURIComponent(name)}&fields=gear,mythic_plus_scores_by_season:current,raid_progression,mythic_plus_best_runs,mythic_plus_alternate_runs,mythic_plus_weekly_highest_level_runs`;
+
+    const response = await this.api.get('raiderIO', url);
+    const data = response.data;
+
+    let mythicPlusScore = 0;
+    let currentSaison = null;
+    if (data.mythic_plus_scores_by_season && data.mythic_plus_scores_by_season.length > 0) {
+      const currentSeason = data.mythic_plus_scores_by_season[0];
+      mythicPlusScore = currentSeason.scores?.all || 0;
+      currentSaison = currentSeason.season || null;
+      this.logger.info(`🎯 Found M+ score for ${name}: ${mythicPlusScore} (Season: ${currentSaison || 'current'})`);
+    } else {
+      this.logger.warn(`⚠️ No M+ season data found for ${name}`);
+    }
+
+    // Every tier is kept; raid_progress ("4/8 H") summarizes the raid picked for display
+    let raidProgression = null;
+    let raidProgress = null;
+    if (data.raid_progression) {
+      raidProgression = await this.formatRaidProgression(data.raid_progression);
+      const displayKey = await this.raidCatalogue.getDefaultRaidKey() || raidProgression[0]?.raid;
+      const displayed = raidProgression.find(raid => raid.raid === displayKey);
+      raidProgress = displayed ? this.raidCatalogue.formatProgress(displayed) : null;
+      this.logger.info(`🏰 Found raid progress for ${name}: ${raidProgress}`);
+    }
+
+    return {
+      character_class: data.class || null,
+      active_spec: data.active_spec_name || null, // As of Raider.IO's last crawl
+      item_level: data.gear?.item_level_equipped || null,
+      mythic_plus_score: mythicPlusScore,
+      current_saison: currentSaison,
+      raid_progress: raidProgress,
+      raid_progression: raidProgression,
+      equipment: data.gear?.items ? this.formatEquipment(data.gear.items) : null,
+      mythic_plus_dungeons: data.mythic_plus_best_runs
+        ? this.formatDungeons([...data.mythic_plus_best_runs, ...(data.mythic_plus_alternate_runs || [])])
+        : null,
+      ...(data.mythic_plus_weekly_highest_level_runs ? this.countWeeklyRuns(data.mythic_plus_weekly_highest_level_runs, region) : {})
+    };
+  }
+
+  // Best run per dungeon: alternate runs only win when they scored higher
+  formatDungeons(runs) {
+    const best = new Map();
+    for (const run of runs) {
+      const current = best.get(run.short_name);
+      if (!current || run.score > current.score || (run.score === current.score && run.mythic_level > current.mythic_level)) {
+        best.set(run.short_name, run);
+      }
+    }
+
+    return [...best.values()].map(run => ({
+      dungeon: run.short_name,
+      dungeon_name: run.dungeon,
+      mythic_level: run.mythic_level,
+      timed: run.num_keystone_upgrades > 0,
+      num_keystone_upgrades: run.num_keystone_upgrades || 0,
+      score: run.score || 0,
+      clear_time_ms: run.clear_time_ms || null,
+      completed_at: run.completed_at ? new Date(run.completed_at) : null
+    }));
+  }
+
+  // Raider.IO's week may lag the region's reset, so runs are counted from the reset ourselves.
+  // Raider.IO returns at most the 10 highest runs, enough for every Great Vault slot.
+  countWeeklyRuns(runs, region) {
+    const resetAt = this.weeklyReset.getPeriodStart(region);
+    const thisWeek = runs.filter(run => run.completed_at && new Date(run.completed_at) >= resetAt);
+    return {
+      weekly_mythic_plus_runs: thisWeek.length,
+      weekly_highest_key_level: thisWeek.length > 0 ? Math.max(...thisWeek.map(run => run.mythic_level)) : 0
+    };
+  }
+
+  // Raider.IO has enchant and gem IDs but no names, and doesn't report empty sockets
+  formatEquipment(items) {
+    return Object.entries(items)
+      .filter(([key, item]) => GEAR_SLOTS[key] && item)
+      .map(([key, item]) => ({
+        slot: GEAR_SLOTS[key],
+        item_id: item.item_id,
+        item_name: item.name || null,
+        item_level: item.item_level || null,
+        quality: ITEM_QUALITIES[item.item_quality] || null,
+        enchant: null,
+        enchant_id: item.enchant || null,
+        sockets: null,
+        gems: (item.gems || []).map(id => ({ id, name: null })),
+        set_name: null
+      }));
+  }
+
+  // Every raid Raider.IO tracks, newest first by the raid catalogue (Raider.IO's order for raids it doesn't know)
+  async formatRaidProgression(raidProgression) {
+    const catalogue = await this.raidCatalogue.getRaids();
+    const names = new Map(catalogue.map(raid => [raid.key, raid.name]));
+    const order = await this.raidCatalogue.getRaidOrder();
+
+    return Object.entries(raidProgression)
+      .filter(([, raid]) => raid.total_bosses > 0)
+      .map(([key, raid], index) => ({
+        raid: key,
+        raid_name: names.get(key) || this.raidCatalogue.formatName(key),
+        total_bosses: raid.total_bosses,
+        normal_bosses_killed: raid.normal_bosses_killed || 0,
+        heroic_bosses_killed: raid.heroic_bosses_killed || 0,
+        mythic_bosses_killed: raid.mythic_bosses_killed || 0,
+        order: order.has(key) ? order.get(key) : catalogue.length + index
+      }))
+      .sort((a, b) => a.order - b.order)
+      .map(({ order, ...raid }) => raid);
+  }
+}
+
+module.exports = RaiderIOProvider;
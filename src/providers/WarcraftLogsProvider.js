@@ -0,0 +1,194 @@
+/**
+ * 🟣 Warcraft Logs Provider - Parse percentiles and raid attendance
+ *
+ * API: Warcraft Logs v2 (GraphQL, client credentials)
+ * Endpoint: https://www.warcraftlogs.com/api/v2/client
+ * Both the token and GraphQL URLs are configurable so a local fake server can stand in.
+ *
+ * Parses come from the character's zone rankings (current raid tier unless
+ * WARCRAFTLOGS_ZONE_ID is set). Attendance is computed from the guild's most recent
+ * logged raids, fetched once per guild and shared by all its members.
+ */
+
+const DataProvider = require('./DataProvider');
+
+const PARSE_FIELDS = ['best_parse_percentile', 'median_parse_percentile'];
+const ATTENDANCE_FIELDS = ['raid_attendance'];
+
+const ATTENDANCE_PAGE_SIZE = 25;
+
+// Warcraft Logs presence codes: 1 = in the raid, 2 = benched (counted as attended)
+const ATTENDED_PRESENCE = [1, 2];
+
+const CHARACTER_RANKINGS_QUERY = `
+  query CharacterRankings($name: String!, $server: String!, $region: String!, $zoneID: Int) {
+    characterData {
+      character(name: $name, serverSlug: $server, serverRegion: $region) {
+        zoneRankings(zoneID: $zoneID)
+      }
+    }
+  }
+`;
+
+const GUILD_ATTENDANCE_QUERY = `
+  query GuildAttendance($name: String!, $server: String!, $region: String!, $zoneID: Int, $limit: Int, $page: Int) {
+    guildData {
+      guild(name: $name, serverSlug: $server, serverRegion: $region) {
+        attendance(zoneID: $zoneID, limit: $limit, page: $page) {
+          has_more_pages
+          data {
+            code
+            startTime
+            players { name presence }
+          }
+        }
+      }
+    }
+  }
+`;
+
+class WarcraftLogsProvider extends DataProvider {
+  constructor(api, config) {
+    super('warcraftlogs', [...PARSE_FIELDS, ...ATTENDANCE_FIELDS], api, 'warcraftLogs');
+    this.config = config; // config.warcraftLogs
+    this.token = null;
+    this.tokenExpiry = 0;
+    this.attendance = new Map(); // Guild key -> { fetchedAt, promise } (single-flight per guild)
+  }
+
+  async fetchCharacter({ name, realm, region, guild }, fields) {
+    const result = {};
+
+    if (PARSE_FIELDS.some(field => fields.includes(field))) {
+      const data = await this.query(CHARACTER_RANKINGS_QUERY, {
+        name,
+        server: realm,
+        region: region.toUpperCase(),
+        zoneID: this.config.zoneId
+      });
+
+      // Unknown on Warcraft Logs: leave the fields to other providers
+      const rankings = data.characterData?.character?.zoneRankings;
+      if (rankings) {
+        result.best_parse_percentile = this.roundPercent(rankings.bestPerformanceAverage);
+        result.median_parse_percentile = this.roundPercent(rankings.medianPerformanceAverage);
+        this.logger.debug(`📜 Parses for ${name}: best ${result.best_parse_percentile}, median ${result.median_parse_percentile}`);
+      }
+    }
+
+    // Attendance only makes sense for a guild member
+    if (guild && ATTENDANCE_FIELDS.some(field => fields.includes(field))) {
+      const attendance = await this.getGuildAttendance(guild);
+      if (attendance) {
+        result.raid_attendance = attendance.get(name.toLowerCase()) || 0;
+      }
+    }
+
+    return result;
+  }
+
+  // Attendance percentage per lowercase character name, null when the guild has no logs
+  async getGuildAttendance(guild) {
+    const cached = this.attendance.get(guild.key);
+    if (cached && Date.now() - cached.fetchedAt < this.config.attendanceCacheMinutes * 60 * 1000) {
+      return await cached.promise;
+    }
+
+    const promise = this.fetchGuildAttendance(guild);
+    this.attendance.set(guild.key, { fetchedAt: Date.now(), promise });
+
+    try {
+      return await promise;
+    } catch (error) {
+      this.attendance.delete(guild.key); // Don't keep a failure for the whole cache window
+      throw error;
+    }
+  }
+
+  async fetchGuildAttendance(guild) {
+    const reports = [];
+    let page = 1;
+
+    while (reports.length < this.config.attendanceReports) {
+      const data = await this.query(GUILD_ATTENDANCE_QUERY, {
+        name: guild.name,
+        server: await this.api.realmRegistry.resolve(guild.realm, guild.region),
+        region: guild.region.toUpperCase(),
+        zoneID: this.config.zoneId,
+        limit: ATTENDANCE_PAGE_SIZE,
+        page
+      });
+
+      const attendance = data.guildData?.guild?.attendance;
+      if (!attendance) {
+        if (page === 1) {
+          this.logger.warn(`⚠️ Guild ${guild.name} not found on Warcraft Logs`);
+          return null;
+        }
+        break;
+      }
+
+      reports.push(...(attendance.data || []));
+      if (!attendance.has_more_pages) break;
+      page++;
+    }
+
+    const recent = reports.slice(0, this.config.attendanceReports);
+    if (recent.length === 0) {
+      return null;
+    }
+
+    const attended = new Map();
+    for (const report of recent) {
+      const present = new Set((report.players || [])
+        .filter(player => ATTENDED_PRESENCE.includes(player.presence))
+        .map(player => player.name.toLowerCase()));
+      present.forEach(name => attended.set(name, (attended.get(name) || 0) + 1));
+    }
+
+    this.logger.info(`📜 Raid attendance for ${guild.name}: ${attended.size} characters over ${recent.length} logged raids`);
+
+    return new Map([...attended].map(([name, count]) => [name, this.roundPercent(count / recent.length * 100)]));
+  }
+
+  async query(query, variables) {
+    const token = await this.getToken();
+    const response = await this.api.post('warcraftLogs', this.config.apiUrl, { query, variables }, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    // GraphQL reports failures in the body with a 200 status
+    if (response.data.errors?.length) {
+      throw new Error(`Warcraft Logs query failed: ${response.data.errors.map(error => error.message).join('; ')}`);
+    }
+    return response.data.data || {};
+  }
+
+  async getToken() {
+    if (this.token && Date.now() < this.tokenExpiry) {
+      return this.token;
+    }
+
+    const response = await this.api.post('warcraftLogs', this.config.tokenUrl, 'grant_type=client_credentials', {
+      auth: {
+        username: this.config.clientId,
+        password: this.config.clientSecret
+      },
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    this.token = response.data.access_token;
+    // Refresh a minute early so an in-flight query never carries an expired token
+    this.tokenExpiry = Date.now() + ((response.data.expires_in || 3600) - 60) * 1000;
+    this.logger.info('✅ Warcraft Logs API token obtained');
+    return this.token;
+  }
+
+  roundPercent(value) {
+    return typeof value === 'number' ? Math.round(value * 10) / 10 : null;
+  }
+}
+
+module.exports = WarcraftLogsProvider;
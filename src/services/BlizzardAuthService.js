@@ -0,0 +1,145 @@
+/**
+ * 🔑 Blizzard Auth Service - OAuth client credentials tokens for the Blizzard API
+ *
+ * Endpoint: https://oauth.battle.net/token (grant_type=client_credentials)
+ *
+ * Every configured client (BLIZZARD_CLIENT_ID/SECRET plus BLIZZARD_CREDENTIALS) keeps its own
+ * token. Callers are handed tokens round-robin so the hourly quota of each client is shared.
+ * A token is refreshed tokenMarginSeconds before its expires_in runs out, and concurrent
+ * callers wait for the same refresh instead of each requesting a token.
+ */
+
+// A client whose token request failed is skipped this long while other clients can serve
+const FAILED_CLIENT_COOLDOWN_MS = 60 * 1000;
+
+// Used when the token response has no expires_in
+const DEFAULT_EXPIRES_IN_SECONDS = 3600;
+
+class BlizzardAuthService {
+  constructor(api, config, logger) {
+    this.api = api;
+    this.config = config; // { credentials, tokenUrl, tokenMarginSeconds }
+    this.logger = logger;
+    this.clients = config.credentials.map(({ clientId, clientSecret }) => ({
+      clientId,
+      clientSecret,
+      token: null,
+      expiresAt: 0,
+      obtainedAt: 0,
+      pending: null, // Single-flight refresh
+      retryAt: 0,
+      lastError: null,
+      refreshes: 0,
+      invalidations: 0,
+      issued: 0
+    }));
+    this.next = 0;
+  }
+
+  // Next client's token, skipping clients whose last token request failed while others are available
+  async getToken() {
+    const now = Date.now();
+    const order = this.clients.map((_, offset) => this.clients[(this.next + offset) % this.clients.length]);
+    const ready = order.filter(client => client.retryAt <= now);
+    // When every client failed recently, try the one that failed longest ago
+    const candidates = ready.length > 0 ? ready : [[...order].sort((a, b) => a.retryAt - b.retryAt)[0]];
+
+    let lastError;
+    for (const client of candidates) {
+      this.next = (this.clients.indexOf(client) + 1) % this.clients.length;
+      try {
+        const token = await this.getClientToken(client);
+        client.issued++;
+        return token;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  async getClientToken(client) {
+    if (client.token && Date.now() < client.expiresAt) {
+      return client.token;
+    }
+
+    if (!client.pending) {
+      client.pending = this.refresh(client).finally(() => { client.pending = null; });
+    }
+    return await client.pending;
+  }
+
+  async refresh(client) {
+    try {
+      const response = await this.api.post('blizzard', this.config.tokenUrl, 'grant_type=client_credentials', {
+        auth: {
+          username: client.clientId,
+          password: client.clientSecret
+        },
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+
+      const expiresIn = response.data.expires_in || DEFAULT_EXPIRES_IN_SECONDS;
+      // Short-lived tokens keep at least half their lifetime
+      const usableSeconds = Math.max(expiresIn - this.config.tokenMarginSeconds, expiresIn / 2);
+      client.token = response.data.access_token;
+      client.obtainedAt = Date.now();
+      client.expiresAt = client.obtainedAt + usableSeconds * 1000;
+      client.retryAt = 0;
+      client.lastError = null;
+      client.refreshes++;
+      this.logger.info(`✅ Blizzard API token obtained for client ${this.maskClientId(client.clientId)} (expires in ${Math.round(expiresIn / 60)} min)`);
+      return client.token;
+    } catch (error) {
+      client.retryAt = Date.now() + FAILED_CLIENT_COOLDOWN_MS;
+      client.lastError = error.message;
+      this.logger.error(`❌ Failed to get Blizzard token for client ${this.maskClientId(client.clientId)}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Called when the API rejected a token (401); the next getToken() fetches a new one.
+  // A token that was already replaced (another request saw the 401 first) is left alone.
+  invalidate(token) {
+    const client = this.clients.find(entry => entry.token === token);
+    if (!client) {
+      return false;
+    }
+
+    client.token = null;
+    client.expiresAt = 0;
+    client.invalidations++;
+    this.logger.warn(`🔑 Blizzard token for client ${this.maskClientId(client.clientId)} was rejected, refreshing`);
+    return true;
+  }
+
+  // "Bearer <token>" -> "<token>"
+  getTokenFromHeaders(headers = {}) {
+    const authorization = headers.Authorization || headers.authorization;
+    return authorization?.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : null;
+  }
+
+  maskClientId(clientId) {
+    return `${clientId.slice(0, 4)}…`;
+  }
+
+  getStats() {
+    const now = Date.now();
+    return this.clients.map(client => ({
+      clientId: this.maskClientId(client.clientId),
+      hasToken: Boolean(client.token) && now < client.expiresAt,
+      refreshing: Boolean(client.pending),
+      obtainedAt: client.obtainedAt ? new Date(client.obtainedAt).toISOString() : null,
+      expiresAt: client.token ? new Date(client.expiresAt).toISOString() : null,
+      refreshes: client.refreshes,
+      invalidations: client.invalidations,
+      issued: client.issued,
+      lastError: client.lastError,
+      retryAt: client.retryAt > now ? new Date(client.retryAt).toISOString() : null
+    }));
+  }
+}
+
+module.exports = BlizzardAuthService;
@@ -5,6 +5,13 @@
 const formData = require('form-data');
 const Mailgun = require('mailgun.js');
 const Logger = require('../utils/Logger');
+const { Events } = require('../utils/EventBus');
+
+// Sync runs that send a critical email when they fail
+const CRITICAL_SYNC_LABELS = {
+  discovery: 'Guild Discovery',
+  active_sync: 'Active Character Sync'
+};
 
 class EmailService {
   constructor(config) {
@@ -35,6 +42,132 @@ class EmailService {
     }
   }
 
+  /**
+   * Email on failed runs, on active syncs with many character errors and once when
+   * an external API goes down. Returns the unsubscribe function.
+   */
+  subscribe(eventBus) {
+    const unsubscribeOutages = eventBus.subscribe(Events.PROVIDER_CIRCUIT_CHANGED, async (event) => {
+      // Only the first trip of an outage; failed half-open probes reopen silently
+      if (event.state === 'open' && event.previous_state === 'closed') {
+        await this.sendProviderOutageNotification(event);
+      }
+    });
+
+    const unsubscribeRuns = eventBus.subscribe(Events.SYNC_RUN_FINISHED, async (event) => {
+      const syncType = CRITICAL_SYNC_LABELS[event.sync_type];
+      if (!syncType) {
+        return;
+      }
+
+      const guild = this.config.guilds.find(entry => entry.key === event.guild) || this.config.guild;
+
+      if (event.status === 'failed') {
+        await this.sendCriticalErrorNotification(event.error || new Error(event.error_message), {
+          syncType,
+          guild,
+          timestamp: event.timestamp
+        });
+        return;
+      }
+
+      // A paused run was cut short by an outage, already covered by the outage email
+      if (event.status === 'paused') {
+        return;
+      }
+
+      // More than 10% errors or more than 5 errors
+      const errorCount = event.failed;
+      if (event.sync_type === 'active_sync' && errorCount > 0 &&
+        ((errorCount / event.processed) * 100 > 10 || errorCount > 5)) {
+        await this.sendSyncErrorNotification({
+          syncType,
+          guild,
+          errorCount,
+          totalCount: event.processed,
+          duration: event.duration,
+          errors: event.errors || [],
+          timestamp: event.timestamp
+        });
+      }
+    });
+
+    return () => {
+      unsubscribeOutages();
+      unsubscribeRuns();
+    };
+  }
+
+  /**
+   * Send a single notification when an external API's circuit breaker opens
+   */
+  async sendProviderOutageNotification({ provider, failure_rate, retry_at, timestamp }) {
+    if (!this.isEnabled) {
+      return false;
+    }
+
+    try {
+      const failurePercent = Math.round(failure_rate * 100);
+      const messageData = {
+        from: `WoW Guild Sync <noreply@${this.config.mailgun.domain}>`,
+        to: [this.config.contactEmail],
+        subject: `🔌 Guild Sync paused - ${provider} unavailable`,
+        text: `${provider} is failing (${failurePercent}% of recent requests), so Guild Sync stopped calling it.
+
+Outage Details:
+━━━━━━━━━━━━━━━━━━━━━
+• API: ${provider}
+• Failure rate: ${failurePercent}%
+• Detected: ${timestamp}
+• Next probe: ${retry_at}
+
+Characters that need ${provider} stay queued and are synced once it answers again.
+Fields other providers can supply keep syncing in the meantime. No further email is
+sent for this outage; check /health for the current circuit state.`,
+        html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #ed8936 0%, #c05621 100%); color: white; padding: 20px; border-radius: 10px 10px 0 0; }
+    .content { background: #f7f7f7; padding: 20px; border-radius: 0 0 10px 10px; }
+    .summary { background: white; padding: 15px; border-radius: 8px; margin-bottom: 20px; }
+    .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #e2e8f0; color: #718096; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h2 style="margin: 0;">🔌 ${provider} unavailable</h2>
+      <p style="margin: 10px 0 0 0; opacity: 0.9;">Sync paused for this API</p>
+    </div>
+    <div class="content">
+      <div class="summary">
+        <div><strong>Failure rate:</strong> ${failurePercent}% of recent requests</div>
+        <div><strong>Detected:</strong> ${timestamp}</div>
+        <div><strong>Next probe:</strong> ${retry_at}</div>
+      </div>
+      <div class="footer">
+        Characters that need ${provider} stay queued and are synced once it answers again.
+        No further email is sent for this outage; check <code>/health</code> for the current circuit state.
+      </div>
+    </div>
+  </div>
+</body>
+</html>`
+      };
+
+      const result = await this.mg.messages.create(this.config.mailgun.domain, messageData);
+      Logger.info(`✅ Provider outage notification email sent: ${result.id}`);
+      return true;
+    } catch (error) {
+      Logger.error('❌ Failed to send provider outage notification email:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Send sync error notification email
    */
@@ -56,6 +189,7 @@ class EmailService {
         totalCount = 0,
         duration = 0,
         errors = [],
+        guild = this.config.guild,
         timestamp = new Date().toISOString()
       } = errorDetails;
 
@@ -87,9 +221,9 @@ ${errorSummary}${additionalErrors}
 
 Environment:
 ━━━━━━━━━━━━━━━━━━━━━
-• Guild: ${this.config.guild?.name || 'Unknown'}
-• Realm: ${this.config.guild?.realm || 'Unknown'}
-• Region: ${this.config.guild?.region || 'Unknown'}
+• Guild: ${guild?.name || 'Unknown'}
+• Realm: ${guild?.realm || 'Unknown'}
+• Region: ${guild?.region || 'Unknown'}
 
 Please check the application logs for more details.`,
         html: `
@@ -148,7 +282,7 @@ Please check the application logs for more details.`,
       </div>
 
       <div class="footer">
-        <div><strong>Guild:</strong> ${this.config.guild?.name || 'Unknown'} - ${this.config.guild?.realm || 'Unknown'} (${this.config.guild?.region || 'Unknown'})</div>
+        <div><strong>Guild:</strong> ${guild?.name || 'Unknown'} - ${guild?.realm || 'Unknown'} (${guild?.region || 'Unknown'})</div>
         <div><strong>Timestamp:</strong> ${timestamp}</div>
         <div style="margin-top: 10px; font-style: italic;">Check application logs for detailed information.</div>
       </div>
@@ -182,6 +316,7 @@ Please check the application logs for more details.`,
     try {
       const {
         syncType = 'Unknown',
+        guild = this.config.guild,
         timestamp = new Date().toISOString()
       } = context;
 
@@ -200,9 +335,9 @@ Timestamp: ${timestamp}
 
 Environment:
 ━━━━━━━━━━━━━━━━━━━━━
-• Guild: ${this.config.guild?.name || 'Unknown'}
-• Realm: ${this.config.guild?.realm || 'Unknown'}
-• Region: ${this.config.guild?.region || 'Unknown'}
+• Guild: ${guild?.name || 'Unknown'}
+• Realm: ${guild?.realm || 'Unknown'}
+• Region: ${guild?.region || 'Unknown'}
 
 IMMEDIATE ACTION REQUIRED: Please check the application immediately.`,
         html: `
@@ -243,9 +378,9 @@ IMMEDIATE ACTION REQUIRED: Please check the application immediately.`,
 
       <div class="error-box">
         <h4 style="margin-top: 0;">Environment</h4>
-        <div><strong>Guild:</strong> ${this.config.guild?.name || 'Unknown'}</div>
-        <div><strong>Realm:</strong> ${this.config.guild?.realm || 'Unknown'}</div>
-        <div><strong>Region:</strong> ${this.config.guild?.region || 'Unknown'}</div>
+        <div><strong>Guild:</strong> ${guild?.name || 'Unknown'}</div>
+        <div><strong>Realm:</strong> ${guild?.realm || 'Unknown'}</div>
+        <div><strong>Region:</strong> ${guild?.region || 'Unknown'}</div>
       </div>
 
       <div class="action-required">
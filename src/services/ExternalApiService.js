@@ -3,49 +3,228 @@
  */
 
 const axios = require('axios');
+const RateLimiter = require('../utils/RateLimiter');
+const HttpCache = require('../utils/HttpCache');
+const RetryPolicy = require('../utils/RetryPolicy');
+const CircuitBreaker = require('../utils/CircuitBreaker');
+const EventBus = require('../utils/EventBus');
+const WorkerPool = require('../utils/WorkerPool');
+const WeeklyReset = require('../utils/WeeklyReset');
+const ProviderRegistry = require('../providers/ProviderRegistry');
+const RaiderIOProvider = require('../providers/RaiderIOProvider');
+const BlizzardProvider = require('../providers/BlizzardProvider');
+const WarcraftLogsProvider = require('../providers/WarcraftLogsProvider');
+const RaidCatalogueService = require('./RaidCatalogueService');
+const BlizzardAuthService = require('./BlizzardAuthService');
+const RealmRegistryService = require('./RealmRegistryService');
+
+// Endpoint families for the response cache (first match wins; TTLs in config.httpCache)
+const CACHE_FAMILIES = [
+  ['pvpSeason', /\/data\/wow\/pvp-season\//],
+  ['guildRoster', /\/data\/wow\/guild\/[^/]+\/[^/]+\/roster/],
+  ['gameData', /\.api\.blizzard\.com\/data\/wow\//],
+  ['characterAchievements', /\/profile\/wow\/character\/[^/]+\/[^/]+\/achievements/],
+  ['characterPvp', /\/profile\/wow\/character\/[^/]+\/[^/]+\/pvp-/],
+  ['characterEquipment', /\/profile\/wow\/character\/[^/]+\/[^/]+\/equipment/],
+  ['characterEncounters', /\/profile\/wow\/character\/[^/]+\/[^/]+\/encounters\//],
+  ['characterProfile', /\/profile\/wow\/character\/[^/]+\/[^/?]+(\?|$)/],
+  ['raiderIO', /raider\.io\/api\//]
+];
 
 class ExternalApiService {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
-    this.blizzardToken = null;
+
+    // Every request waits for a token from its provider's bucket (limits are per minute)
+    const rateLimit = config.guild.rateLimit;
+    this.rateLimiters = {
+      blizzard: new RateLimiter(rateLimit.blizzard),
+      raiderIO: new RateLimiter(rateLimit.raiderIO),
+      warcraftLogs: new RateLimiter(rateLimit.warcraftLogs)
+    };
+    this.workerPool = new WorkerPool(config.service.concurrency);
+    this.cache = new HttpCache(config.httpCache);
+    this.retryPolicy = new RetryPolicy({
+      maxRetries: config.service.maxRetries,
+      baseDelayMs: config.service.retryBaseDelayMs,
+      backoffMultiplier: config.service.backoffMultiplier,
+      maxBackoffMs: config.service.maxBackoffMs
+    }, logger);
+
+    // One breaker per API, next to its rate limiter
+    this.breakers = Object.fromEntries(Object.keys(this.rateLimiters).map(service => [
+      service,
+      new CircuitBreaker(service, config.circuitBreaker, (state, previous, breaker) => this.onCircuitChange(breaker, state, previous))
+    ]));
+
+    this.blizzardAuth = new BlizzardAuthService(this, config.blizzard, logger);
+    this.raidCatalogue = new RaidCatalogueService(this, config.raids, logger);
+    this.realmRegistry = new RealmRegistryService(this, config.realms, logger);
+
+    // Character data sources, merged per field (see src/providers)
+    this.providers = new ProviderRegistry(config.providers, logger)
+      .register(new RaiderIOProvider(this, new WeeklyReset(config.mythicPlus.weeklyResets), this.raidCatalogue))
+      .register(new BlizzardProvider(this, this.raidCatalogue, config.progression));
+    if (config.warcraftLogs.clientId && config.warcraftLogs.clientSecret) {
+      this.providers.register(new WarcraftLogsProvider(this, config.warcraftLogs));
+    }
+    this.providers.validate();
   }
 
   // ============================================================================
-  // AUTHENTICATION
+  // HTTP
   // ============================================================================
-  
-  async getBlizzardToken() {
-    // Check if token exists and is not expired
-    if (this.blizzardToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-      return this.blizzardToken;
+
+  // A Blizzard request rejected with 401 (token revoked or expired early) is retried once with a fresh token
+  async get(provider, url, options = {}) {
+    try {
+      return await this.getCached(provider, url, options);
+    } catch (error) {
+      const token = provider === 'blizzard' ? this.blizzardAuth.getTokenFromHeaders(options.headers) : null;
+      if (error.response?.status !== 401 || !token) {
+        throw error;
+      }
+
+      this.blizzardAuth.invalidate(token);
+      const freshToken = await this.getBlizzardToken();
+      return await this.getCached(provider, url, {
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${freshToken}` }
+      });
+    }
+  }
+
+  // Cached per endpoint family; pass { cache: false } to always hit the API
+  async getCached(provider, url, { cache = true, ...options } = {}) {
+    const family = this.getCacheFamily(url);
+    if (!cache || !this.cache.isCacheable(family)) {
+      return await this.send(provider, url, () => axios.get(url, options));
+    }
+
+    const cached = this.cache.lookup(family, url);
+    if (cached?.fresh) {
+      return cached.fresh;
     }
 
+    let response;
     try {
-      const response = await axios.post(this.config.blizzard.tokenUrl, 
-        'grant_type=client_credentials',
-        {
-          auth: {
-            username: this.config.blizzard.clientId,
-            password: this.config.blizzard.clientSecret
-          },
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
+      response = await this.send(provider, url, () => axios.get(url, cached ? {
+        ...options,
+        headers: { ...options.headers, 'If-Modified-Since': cached.lastModified },
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      } : options));
+    } catch (error) {
+      if (cached) this.cache.changed(family, url);
+      throw error;
+    }
+
+    if (response.status === 304) {
+      return this.cache.revalidated(family, url, cached.entry);
+    }
+
+    if (cached) this.cache.changed(family, url);
+    this.cache.store(family, url, response);
+    return response;
+  }
+
+  getCacheFamily(url) {
+    const match = CACHE_FAMILIES.find(([, pattern]) => pattern.test(url));
+    return match ? match[0] : 'other';
+  }
+
+  getCacheStats() {
+    return this.cache.getStats();
+  }
 
-      this.blizzardToken = response.data.access_token;
-      // Set expiry to 1 hour (tokens typically last longer, but this ensures refresh)
-      this.tokenExpiry = Date.now() + (60 * 60 * 1000);
-      this.logger.info('✅ Blizzard API token obtained');
-      return this.blizzardToken;
+  // For POST-only APIs (OAuth tokens, GraphQL); shares the provider's rate limit with get()
+  async post(provider, url, data, options = {}) {
+    return await this.send(provider, url, () => axios.post(url, data, options));
+  }
+
+  // Transient failures (429, 5xx, timeouts) are retried with backoff; each attempt takes its own rate limit token.
+  // While the API's circuit is open requests fail fast with a CircuitOpenError instead.
+  async send(provider, url, request) {
+    const breaker = this.breakers[provider];
+    if (!breaker) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+
+    breaker.beforeRequest();
+    try {
+      const response = await this.retryPolicy.execute(async () => {
+        breaker.throwIfOpen();
+        await this.acquire(provider);
+        return await request();
+      }, `${provider} ${url.split('?')[0]}`);
+      breaker.recordSuccess();
+      return response;
     } catch (error) {
-      this.logger.error('❌ Failed to get Blizzard token:', error.message);
+      // A 404 or 400 still proves the API is up; only outages count against the circuit
+      if (error.code !== 'CIRCUIT_OPEN') {
+        if (this.retryPolicy.isRetryable(error)) {
+          breaker.recordFailure();
+        } else {
+          breaker.recordSuccess();
+        }
+      }
       throw error;
     }
   }
 
+  isServiceAvailable(service) {
+    return this.breakers[service]?.isAvailable() ?? false;
+  }
+
+  getCircuitStates() {
+    return Object.fromEntries(Object.entries(this.breakers).map(([service, breaker]) => [service, breaker.getState()]));
+  }
+
+  onCircuitChange(breaker, state, previous) {
+    const { failureRate, retryAt } = breaker.getState();
+    if (state === 'open') {
+      this.logger.warn(`🔌 ${breaker.name} circuit opened (${Math.round(failureRate * 100)}% failures), pausing requests until ${retryAt}`);
+    } else {
+      this.logger.info(`🔌 ${breaker.name} circuit ${state === 'closed' ? 'closed, requests resume' : 'half-open, probing'}`);
+    }
+
+    EventBus.publish(EventBus.Events.PROVIDER_CIRCUIT_CHANGED, {
+      provider: breaker.name,
+      state,
+      previous_state: previous,
+      failure_rate: failureRate,
+      retry_at: retryAt
+    });
+  }
+
+  async acquire(provider) {
+    const limiter = this.rateLimiters[provider];
+    if (!limiter) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+
+    await limiter.acquire();
+  }
+
+  getRateLimitStats() {
+    return Object.fromEntries(
+      Object.entries(this.rateLimiters).map(([provider, limiter]) => [provider, limiter.getStats()])
+    );
+  }
+
+  // ============================================================================
+  // AUTHENTICATION
+  // ============================================================================
+  
+  // Rotates across the configured clients (see BlizzardAuthService)
+  async getBlizzardToken() {
+    return await this.blizzardAuth.getToken();
+  }
+
+  getBlizzardAuthStats() {
+    return this.blizzardAuth.getStats();
+  }
+
   // ============================================================================
   // 1. GET GUILD ROSTER FROM BLIZZARD API
   // 
@@ -59,13 +238,13 @@ class ExternalApiService {
     try {
       const token = await this.getBlizzardToken();
       const normalizedGuild = encodeURIComponent(guildName.toLowerCase().replace(/\s+/g, '-'));
-      const normalizedRealm = encodeURIComponent(realm.toLowerCase());
+      const realmSlug = await this.realmRegistry.resolve(realm, region);
       
-      const url = `https://${region}.api.blizzard.com/data/wow/guild/${normalizedRealm}/${normalizedGuild}/roster?namespace=profile-${region}&locale=en_US`;
+      const url = `https://${region}.api.blizzard.com/data/wow/guild/${encodeURIComponent(realmSlug)}/${normalizedGuild}/roster?namespace=profile-${region}&locale=en_US`;
       
       this.logger.info(`🔍 Fetching guild roster: ${guildName} from ${realm}-${region}`);
       
-      const response = await axios.get(url, {
+      const response = await this.get('blizzard', url, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -80,9 +259,11 @@ class ExternalApiService {
       }
       
       return members.map(member => ({
+        blizzard_id: member.character.id, // Stable identity across renames and realm transfers
         name: member.character.name,
-        realm: member.character.realm?.slug || realm, // Use slug for realm name
+        realm: member.character.realm?.slug || realmSlug, // Use slug for realm name
         level: member.character.level,
+        guild_rank: member.rank,
         class: this.getClassNameFromId(member.character.playable_class?.id) || 'Unknown',
         character_api_url: member.character.key?.href // CRITICAL: Store Blizzard's provided API URL
       }));
@@ -94,465 +275,60 @@ class ExternalApiService {
   }
 
   // ============================================================================
-  // 2. GET CHARACTER DATA FROM RAIDER.IO OR BLIZZARD API
-  // 
-  // API 1: Character Profile (Raider.IO API)  
-  // WARNING: Official documentation not accessible via search
-  // Endpoint: https://raider.io/api/v1/characters/profile
-  // 
-  // API 2: Character Profile (Blizzard Battle.net API)
-  // WARNING: Official documentation links are currently not accessible  
-  // Endpoint: https://{region}.api.blizzard.com/profile/wow/character/{realmSlug}/{characterName}
+  // 2. GET CHARACTER DATA FROM THE REGISTERED PROVIDERS
+  //
+  // Each provider (src/providers) declares the fields it can supply; the registry
+  // merges them per field by priority, falling back when a provider fails or is disabled.
   // ============================================================================
-  
-  async getMember(name, realm, region, source = 'raiderio', characterApiUrl = null) {
+
+  // source: 'auto' merges every enabled provider, a provider name restricts the fetch to it
+  // guild: the character's guild, needed by guild-based fields such as raid attendance
+  async getMember(name, realm, region, source = 'auto', characterApiUrl = null, guild = null) {
     this.logger.info(`📊 Fetching character data for ${name} using ${source.toUpperCase()}`);
-    
-    if (source === 'raiderio' || source === 'auto') {
-      try {
-        return await this.getMemberFromRaiderIO(name, realm, region);
-      } catch (error) {
-        if (source === 'auto') {
-          this.logger.info(`⚠️ Raider.IO failed for ${name}, trying Blizzard API`);
-          return await this.getMemberFromBlizzard(name, realm, region, characterApiUrl);
-        }
-        throw error;
-      }
-    }
-    
-    if (source === 'blizzard') {
-      return await this.getMemberFromBlizzard(name, realm, region, characterApiUrl);
-    }
-    
-    throw new Error(`Unknown source: ${source}. Use 'raiderio', 'blizzard', or 'auto'`);
-  }
 
-  // ============================================================================
-  // RAIDER.IO IMPLEMENTATION
-  // ============================================================================
-  
-  async getMemberFromRaiderIO(name, realm, region) {
-    const url = `https://raider.io/api/v1/characters/profile?region=${region}&realm=${realm}&name=${encodeURIComponent(name)}&fields=gear,mythic_plus_scores_by_season:current,raid_progression`;
-    
-    const response = await axios.get(url);
-    const data = response.data;
-    
-    // Extract data
-    const characterClass = data.class || 'Unknown';
-    const level = 80; // Raider.IO doesn't provide level, assume max
-    const itemLevel = data.gear?.item_level_equipped || 0;
-    
-    let mythicPlusScore = 0;
-    let currentSaison = null;
-    if (data.mythic_plus_scores_by_season && data.mythic_plus_scores_by_season.length > 0) {
-      const currentSeason = data.mythic_plus_scores_by_season[0];
-      mythicPlusScore = currentSeason.scores?.all || 0;
-      currentSaison = currentSeason.season || null;
-      this.logger.info(`🎯 Found M+ score for ${name}: ${mythicPlusScore} (Season: ${currentSaison || 'current'})`);
-    } else {
-      this.logger.warn(`⚠️ No M+ season data found for ${name}`);
-    }
-    
-    // Extract raid progression from PR
-    let raidProgress = null;
-    if (data.raid_progression) {
-      const progressData = this.formatRaidProgression(data.raid_progression);
-      raidProgress = progressData.currentRaid ? progressData.currentRaid.progress : null; // Just store the progress part (e.g., "4/8 H")
-      this.logger.info(`🏰 Found raid progress for ${name}: ${raidProgress}`);
+    if (source !== 'auto' && !this.providers.get(source)) {
+      throw new Error(`Unknown source: ${source}. Use 'auto' or one of ${this.providers.getStatus().map(provider => provider.name).join(', ')}`);
     }
-    
-    // Get additional data from Blizzard API (achievements and PvP)
-    let achievementPoints = 0;
-    let pvp2v2Rating = 0;
-    let pvp3v3Rating = 0;
-    let pvpRbgRating = 0;
-    let soloShuffleRating = 0;
-    let maxSoloShuffleRating = 0;
-    let rbgShuffleRating = 0;
-    
-    try {
-      const blizzardData = await this.getBlizzardAchievementsAndPvP(name, realm, region, characterClass);
-      achievementPoints = blizzardData.achievement_points;
-      pvp2v2Rating = blizzardData.pvp_2v2_rating;
-      pvp3v3Rating = blizzardData.pvp_3v3_rating;
-      pvpRbgRating = blizzardData.pvp_rbg_rating;
-      soloShuffleRating = blizzardData.solo_shuffle_rating;
-      maxSoloShuffleRating = blizzardData.max_solo_shuffle_rating;
-      rbgShuffleRating = blizzardData.rbg_shuffle_rating || 0;
-    } catch (blizzardError) {
-      this.logger.debug(`Could not fetch Blizzard data for ${name}: ${blizzardError.message}`);
-    }
-    
-    this.logger.info(`📈 RaiderIO + Blizzard data for ${name}: iLvl ${itemLevel}, M+ ${mythicPlusScore}${raidProgress ? `, Raids: ${raidProgress}` : ''}, PvP(2v2:${pvp2v2Rating}/3v3:${pvp3v3Rating}/RBG:${pvpRbgRating}), Solo:${soloShuffleRating}, Achievements:${achievementPoints}`);
-    
-    
+
+    // Providers get the realm slug, whichever form the caller had
+    const realmSlug = await this.realmRegistry.resolve(realm, region);
+    const { data, sources } = await this.providers.fetchCharacter(
+      { name, realm: realmSlug, region, characterApiUrl, guild },
+      { only: source === 'auto' ? null : [source] }
+    );
+
+    this.logger.info(`📈 Data for ${name}: iLvl ${data.item_level}, M+ ${data.mythic_plus_score}${data.raid_progress ? `, Raids: ${data.raid_progress}` : ''}, PvP(2v2:${data.pvp_2v2_rating}/3v3:${data.pvp_3v3_rating}/RBG:${data.pvp_rbg_rating}), Solo:${data.solo_shuffle_rating}, Achievements:${data.achievement_points}${data.best_parse_percentile != null ? `, Parses: ${data.best_parse_percentile}/${data.median_parse_percentile}` : ''}`);
+
     return {
-      source: 'raiderio+blizzard',
-      character_class: characterClass,
-      level: level,
-      item_level: itemLevel,
-      mythic_plus_score: mythicPlusScore,
-      current_saison: currentSaison,
-      current_pvp_rating: Math.max(pvp2v2Rating, pvp3v3Rating, pvpRbgRating), // Backward compatibility
-      raid_progress: raidProgress,
-      pvp_2v2_rating: pvp2v2Rating,
-      pvp_3v3_rating: pvp3v3Rating,
-      pvp_rbg_rating: pvpRbgRating,
-      solo_shuffle_rating: soloShuffleRating,
-      max_solo_shuffle_rating: maxSoloShuffleRating,
-      rbg_shuffle_rating: rbgShuffleRating,
-      achievement_points: achievementPoints,
+      ...data,
+      source: [...new Set(Object.values(sources))].join('+'),
+      sources,
+      // Backward compatibility; left out when no provider supplied PvP data
+      current_pvp_rating: data.pvp_2v2_rating !== undefined
+        ? Math.max(data.pvp_2v2_rating || 0, data.pvp_3v3_rating || 0, data.pvp_rbg_rating || 0)
+        : undefined,
       last_updated: new Date()
     };
   }
 
   // ============================================================================
-  // BLIZZARD API HELPER METHODS
+  // BLIZZARD GAME DATA
   // ============================================================================
   
-  async getBlizzardAchievementsAndPvP(name, realm, region, characterClass) {
-    const token = await this.getBlizzardToken();
-    const normalizedRealm = encodeURIComponent(realm.toLowerCase());
-    const normalizedName = encodeURIComponent(name.toLowerCase());
-    const baseUrl = `https://${region}.api.blizzard.com/profile/wow/character/${normalizedRealm}/${normalizedName}`;
-
-    let achievementPoints = 0;
-    let pvp2v2Rating = 0;
-    let pvp3v3Rating = 0;
-    let pvpRbgRating = 0;
-    let soloShuffleRating = 0;
-    let maxSoloShuffleRating = 0;
-    let rbgShuffleRating = 0;
-
-    // Get current PvP season ID dynamically
-    let currentSeasonId = null;
+  // Current PvP season ID from pvp-season/index, null when it can't be determined
+  async getCurrentPvpSeason(region) {
     try {
-      const seasonResponse = await axios.get(`https://${region}.api.blizzard.com/data/wow/pvp-season/index?namespace=dynamic-${region}&locale=en_US`, {
+      const token = await this.getBlizzardToken();
+      const seasonResponse = await this.get('blizzard', `https://${region}.api.blizzard.com/data/wow/pvp-season/index?namespace=dynamic-${region}&locale=en_US`, {
         headers: { 'Authorization': `Bearer ${token}` }
       });
-      const currentSeason = seasonResponse.data.current_season;
-      currentSeasonId = currentSeason?.id;
+      const currentSeasonId = seasonResponse.data.current_season?.id || null;
       this.logger.debug(`🎯 Current PvP season ID: ${currentSeasonId}`);
+      return currentSeasonId;
     } catch (seasonError) {
       this.logger.debug(`Could not get current season ID: ${seasonError.message}`);
-      // Fallback to not filtering by season if we can't determine current season
-      currentSeasonId = null;
-    }
-    
-    // Get achievement points
-    try {
-      const achievementsResponse = await axios.get(`${baseUrl}/achievements?namespace=profile-${region}&locale=en_US`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      achievementPoints = achievementsResponse.data.total_points || 0;
-      this.logger.debug(`🏆 Achievement points for ${name}: ${achievementPoints}`);
-    } catch (achievementError) {
-      this.logger.debug(`No achievement data for ${name}: ${achievementError.message}`);
-    }
-    
-    // Get character profile for spec info (needed for Solo Shuffle)
-    let activeSpec = '';
-    try {
-      const characterResponse = await axios.get(`${baseUrl}?namespace=profile-${region}&locale=en_US`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      activeSpec = characterResponse.data.active_spec?.name?.toLowerCase() || '';
-    } catch (specError) {
-      this.logger.debug(`Could not get spec for ${name}: ${specError.message}`);
-    }
-    
-    // Get PvP ratings (individual brackets)
-    try {
-      const characterClassName = characterClass.toLowerCase().replace(/\s+/g, '');
-      const soloShuffleBracket = `shuffle-${characterClassName}-${activeSpec}`;
-      
-      // Get each PvP bracket individually
-      try {
-        const pvp2v2Response = await axios.get(`${baseUrl}/pvp-bracket/2v2?namespace=profile-${region}&locale=en_US`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        // Only use rating if it's from current season or if we can't determine current season
-        const seasonMatches = !currentSeasonId || pvp2v2Response.data.season?.id === currentSeasonId;
-        pvp2v2Rating = seasonMatches ? (pvp2v2Response.data.rating || 0) : 0;
-      } catch { pvp2v2Rating = 0; }
-      
-      try {
-        const pvp3v3Response = await axios.get(`${baseUrl}/pvp-bracket/3v3?namespace=profile-${region}&locale=en_US`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        // Only use rating if it's from current season or if we can't determine current season
-        const seasonMatches = !currentSeasonId || pvp3v3Response.data.season?.id === currentSeasonId;
-        pvp3v3Rating = seasonMatches ? (pvp3v3Response.data.rating || 0) : 0;
-      } catch { pvp3v3Rating = 0; }
-      
-      try {
-        const pvpRbgResponse = await axios.get(`${baseUrl}/pvp-bracket/rbg?namespace=profile-${region}&locale=en_US`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        // Only use rating if it's from current season or if we can't determine current season
-        const seasonMatches = !currentSeasonId || pvpRbgResponse.data.season?.id === currentSeasonId;
-        pvpRbgRating = seasonMatches ? (pvpRbgResponse.data.rating || 0) : 0;
-      } catch { pvpRbgRating = 0; }
-      
-      // Get Solo Shuffle and RBG Blitz ratings by checking PvP summary
-      try {
-        const pvpSummaryResponse = await axios.get(`${baseUrl}/pvp-summary?namespace=profile-${region}&locale=en_US`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        
-        const brackets = pvpSummaryResponse.data.brackets || [];
-        
-        // Find Solo Shuffle brackets (shuffle-*)
-        const shuffleBrackets = brackets.filter(bracket => 
-          bracket.href.includes('/pvp-bracket/shuffle-')
-        );
-        
-        // Find RBG Blitz brackets (blitz-*)
-        const blitzBrackets = brackets.filter(bracket => 
-          bracket.href.includes('/pvp-bracket/blitz-')
-        );
-        
-        // Process Solo Shuffle brackets
-        if (shuffleBrackets.length > 0) {
-          let highestRating = 0;
-          let highestMaxRating = 0;
-          
-          for (const bracket of shuffleBrackets) {
-            try {
-              const shuffleResponse = await axios.get(`${bracket.href}&locale=en_US`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-              });
-              // Only use rating if it's from current season or if we can't determine current season
-              const seasonMatches = !currentSeasonId || shuffleResponse.data.season?.id === currentSeasonId;
-              const rating = seasonMatches ? (shuffleResponse.data.rating || 0) : 0;
-              const maxRating = seasonMatches ? (shuffleResponse.data.season_best_rating || rating) : 0;
-              
-              if (rating > highestRating) {
-                highestRating = rating;
-                highestMaxRating = maxRating;
-              }
-              
-              this.logger.debug(`🥇 Found Solo Shuffle bracket: ${bracket.href.split('/').pop()} - Rating: ${rating} (best: ${maxRating})`);
-            } catch (bracketError) {
-              this.logger.debug(`Failed to fetch shuffle bracket ${bracket.href}: ${bracketError.message}`);
-            }
-          }
-          
-          soloShuffleRating = highestRating;
-          maxSoloShuffleRating = highestMaxRating;
-          this.logger.debug(`🥇 Best Solo Shuffle for ${name}: ${soloShuffleRating} (best: ${maxSoloShuffleRating})`);
-        } else {
-          this.logger.debug(`No Solo Shuffle brackets found for ${name}`);
-        }
-        
-        // Process RBG Blitz brackets
-        if (blitzBrackets.length > 0) {
-          let highestBlitzRating = 0;
-          
-          for (const bracket of blitzBrackets) {
-            try {
-              const blitzResponse = await axios.get(`${bracket.href}&locale=en_US`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-              });
-              // Only use rating if it's from current season or if we can't determine current season
-              const seasonMatches = !currentSeasonId || blitzResponse.data.season?.id === currentSeasonId;
-              const rating = seasonMatches ? (blitzResponse.data.rating || 0) : 0;
-              
-              if (rating > highestBlitzRating) {
-                highestBlitzRating = rating;
-              }
-              
-              this.logger.debug(`⚡ Found RBG Blitz bracket: ${bracket.href.split('/').pop()} - Rating: ${rating}`);
-            } catch (bracketError) {
-              this.logger.debug(`Failed to fetch blitz bracket ${bracket.href}: ${bracketError.message}`);
-            }
-          }
-          
-          rbgShuffleRating = highestBlitzRating;
-          this.logger.debug(`⚡ Best RBG Blitz for ${name}: ${rbgShuffleRating}`);
-        } else {
-          this.logger.debug(`No RBG Blitz brackets found for ${name}`);
-        }
-        
-      } catch (summaryError) {
-        this.logger.debug(`Could not get PvP summary for ${name}: ${summaryError.message}`);
-      }
-    } catch (pvpError) {
-      this.logger.debug(`No PvP data for ${name}: ${pvpError.message}`);
+      return null;
     }
-    
-    this.logger.debug(`🏆 PvP brackets for ${name}: 2v2=${pvp2v2Rating}, 3v3=${pvp3v3Rating}, RBG=${pvpRbgRating}, Solo=${soloShuffleRating}, RBG Blitz=${rbgShuffleRating}`);
-    
-    return {
-      achievement_points: achievementPoints,
-      pvp_2v2_rating: pvp2v2Rating,
-      pvp_3v3_rating: pvp3v3Rating,
-      pvp_rbg_rating: pvpRbgRating,
-      solo_shuffle_rating: soloShuffleRating,
-      max_solo_shuffle_rating: maxSoloShuffleRating,
-      rbg_shuffle_rating: rbgShuffleRating
-    };
-  }
-
-  // ============================================================================
-  // BLIZZARD API IMPLEMENTATION
-  // ============================================================================
-  
-  async getMemberFromBlizzard(name, realm, region, characterApiUrl = null) {
-    const token = await this.getBlizzardToken();
-    
-    // Use provided API URL if available, otherwise fall back to manual construction
-    let characterUrl;
-    if (characterApiUrl) {
-      characterUrl = characterApiUrl + '&locale=en_US';
-      this.logger.debug(`🔗 Using provided API URL: ${characterUrl}`);
-    } else {
-      const normalizedRealm = encodeURIComponent(realm.toLowerCase());
-      const normalizedName = encodeURIComponent(name.toLowerCase());
-      characterUrl = `https://${region}.api.blizzard.com/profile/wow/character/${normalizedRealm}/${normalizedName}?namespace=profile-${region}&locale=en_US`;
-      this.logger.debug(`🔧 Using manual URL construction: ${characterUrl}`);
-    }
-    
-    // Get basic character info
-    const characterResponse = await axios.get(characterUrl, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
-    
-    const characterClass = characterResponse.data.character_class?.name || 'Unknown';
-    const level = characterResponse.data.level || 0;
-    const itemLevel = characterResponse.data.equipped_item_level || characterResponse.data.average_item_level || 0;
-    
-    // Get achievement points
-    let achievementPoints = 0;
-    try {
-      // Extract base URL for achievements query (remove query parameters)
-      const baseUrl = characterUrl.split('?')[0];
-      const achievementsResponse = await axios.get(`${baseUrl}/achievements?namespace=profile-${region}&locale=en_US`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      achievementPoints = achievementsResponse.data.total_points || 0;
-      this.logger.debug(`🏆 Achievement points for ${name}: ${achievementPoints}`);
-    } catch (achievementError) {
-      this.logger.debug(`No achievement data for ${name}: ${achievementError.message}`);
-    }
-    
-    // Get PvP ratings including individual brackets and Solo Shuffle
-    let currentPvpRating = 0;
-    let pvp2v2Rating = 0;
-    let pvp3v3Rating = 0;
-    let pvpRbgRating = 0;
-    let soloShuffleRating = 0;
-    let maxSoloShuffleRating = 0;
-    
-    try {
-      const characterClassName = characterResponse.data.character_class?.name?.toLowerCase() || '';
-      const activeSpec = characterResponse.data.active_spec?.name?.toLowerCase() || '';
-      
-      // Extract base URL for PvP queries (remove query parameters)
-      const baseUrl = characterUrl.split('?')[0];
-      
-      // Get each PvP bracket individually
-      try {
-        const pvp2v2Response = await axios.get(`${baseUrl}/pvp-bracket/2v2?namespace=profile-${region}&locale=en_US`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        // Only use rating if it's from current season or if we can't determine current season
-        const seasonMatches = !currentSeasonId || pvp2v2Response.data.season?.id === currentSeasonId;
-        pvp2v2Rating = seasonMatches ? (pvp2v2Response.data.rating || 0) : 0;
-      } catch { pvp2v2Rating = 0; }
-      
-      try {
-        const pvp3v3Response = await axios.get(`${baseUrl}/pvp-bracket/3v3?namespace=profile-${region}&locale=en_US`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        // Only use rating if it's from current season or if we can't determine current season
-        const seasonMatches = !currentSeasonId || pvp3v3Response.data.season?.id === currentSeasonId;
-        pvp3v3Rating = seasonMatches ? (pvp3v3Response.data.rating || 0) : 0;
-      } catch { pvp3v3Rating = 0; }
-      
-      try {
-        const pvpRbgResponse = await axios.get(`${baseUrl}/pvp-bracket/rbg?namespace=profile-${region}&locale=en_US`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        // Only use rating if it's from current season or if we can't determine current season
-        const seasonMatches = !currentSeasonId || pvpRbgResponse.data.season?.id === currentSeasonId;
-        pvpRbgRating = seasonMatches ? (pvpRbgResponse.data.rating || 0) : 0;
-      } catch { pvpRbgRating = 0; }
-
-      currentPvpRating = Math.max(pvp2v2Rating, pvp3v3Rating, pvpRbgRating);
-      
-      // Get Solo Shuffle rating by checking PvP summary for all shuffle brackets
-      try {
-        const pvpSummaryResponse = await axios.get(`${baseUrl}/pvp-summary?namespace=profile-${region}&locale=en_US`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        
-        const brackets = pvpSummaryResponse.data.brackets || [];
-        const shuffleBrackets = brackets.filter(bracket => 
-          bracket.href.includes('/pvp-bracket/shuffle-')
-        );
-        
-        if (shuffleBrackets.length > 0) {
-          let highestRating = 0;
-          let highestMaxRating = 0;
-          
-          // Check all shuffle brackets to find highest rating
-          for (const bracket of shuffleBrackets) {
-            try {
-              const shuffleResponse = await axios.get(`${bracket.href}&locale=en_US`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-              });
-              // Only use rating if it's from current season or if we can't determine current season
-              const seasonMatches = !currentSeasonId || shuffleResponse.data.season?.id === currentSeasonId;
-              const rating = seasonMatches ? (shuffleResponse.data.rating || 0) : 0;
-              const maxRating = seasonMatches ? (shuffleResponse.data.season_best_rating || rating) : 0;
-              
-              if (rating > highestRating) {
-                highestRating = rating;
-                highestMaxRating = maxRating;
-              }
-              
-              this.logger.debug(`🥇 Found Solo Shuffle bracket: ${bracket.href.split('/').pop()} - Rating: ${rating} (best: ${maxRating})`);
-            } catch (bracketError) {
-              this.logger.debug(`Failed to fetch shuffle bracket ${bracket.href}: ${bracketError.message}`);
-            }
-          }
-          
-          soloShuffleRating = highestRating;
-          maxSoloShuffleRating = highestMaxRating;
-          this.logger.debug(`🥇 Best Solo Shuffle for ${name}: ${soloShuffleRating} (best: ${maxSoloShuffleRating})`);
-        } else {
-          this.logger.debug(`No Solo Shuffle brackets found for ${name}`);
-        }
-      } catch (summaryError) {
-        this.logger.debug(`Could not get PvP summary for ${name}: ${summaryError.message}`);
-      }
-      
-    } catch (pvpError) {
-      this.logger.debug(`No PvP data for ${name}: ${pvpError.message}`);
-    }
-    
-    this.logger.debug(`⚔️ Blizzard data for ${name}: iLvl ${itemLevel}, PvP ${currentPvpRating}, Achievements ${achievementPoints}, Solo Shuffle ${soloShuffleRating}/${maxSoloShuffleRating}`);
-    
-    return {
-      source: 'blizzard',
-      character_class: characterClass,
-      level: level,
-      item_level: itemLevel,
-      mythic_plus_score: 0, // Blizzard doesn't provide M+ scores
-      current_saison: null, // Blizzard doesn't provide M+ season data
-      current_pvp_rating: currentPvpRating,
-      raid_progress: null, // Blizzard API doesn't provide easy raid progression data
-      pvp_2v2_rating: pvp2v2Rating,
-      pvp_3v3_rating: pvp3v3Rating,
-      pvp_rbg_rating: pvpRbgRating,
-      achievement_points: achievementPoints,
-      solo_shuffle_rating: soloShuffleRating,
-      max_solo_shuffle_rating: maxSoloShuffleRating,
-      last_updated: new Date()
-    };
   }
 
   // ============================================================================
@@ -562,12 +338,11 @@ class ExternalApiService {
   async getLastLoginTimestamp(name, realm, region) {
     try {
       const token = await this.getBlizzardToken();
-      const normalizedRealm = encodeURIComponent(realm.toLowerCase());
+      const realmSlug = encodeURIComponent(await this.realmRegistry.resolve(realm, region));
       const normalizedName = encodeURIComponent(name.toLowerCase());
-      const url = `https://${region}.api.blizzard.com/profile/wow/character/${normalizedRealm}/${normalizedName}?namespace=profile-${region}&locale=en_US`;
+      const url = `https://${region}.api.blizzard.com/profile/wow/character/${realmSlug}/${normalizedName}?namespace=profile-${region}&locale=en_US`;
       
-      const axios = require('axios');
-      const response = await axios.get(url, {
+      const response = await this.get('blizzard', url, {
         headers: { 'Authorization': `Bearer ${token}` },
         timeout: 10000
       });
@@ -578,22 +353,15 @@ class ExternalApiService {
         const now = new Date();
         const daysSince = Math.floor((now - lastLogin) / (1000 * 60 * 60 * 24));
         
-        let activityStatus;
-        if (daysSince <= 30) {
-          activityStatus = 'active';
-        } else {
-          activityStatus = 'inactive';
-        }
-        
         return {
           last_login_timestamp: data.last_login_timestamp,
-          activity_status: activityStatus,
+          activity_status: this.classifyActivity(daysSince),
           days_since_login: daysSince
         };
       } else {
         return {
           last_login_timestamp: null,
-          activity_status: 'inactive',
+          activity_status: 'unknown',
           days_since_login: null
         };
       }
@@ -602,7 +370,7 @@ class ExternalApiService {
       if (error.response?.status === 404) {
         return {
           last_login_timestamp: null,
-          activity_status: 'inactive',
+          activity_status: 'unknown',
           days_since_login: null,
           error: 'character_not_found'
         };
@@ -611,49 +379,59 @@ class ExternalApiService {
     }
   }
 
+  // Maps days since last login onto the configured activity tiers
+  classifyActivity(daysSinceLogin) {
+    const { activeDays, casualDays } = this.config.activity;
+    if (daysSinceLogin <= activeDays) return 'active';
+    if (daysSinceLogin <= casualDays) return 'casual';
+    return 'inactive';
+  }
+
   async bulkCheckActivity(characters, region) {
-    const results = [];
-    const token = await this.getBlizzardToken();
-    
+    let checked = 0;
+    await this.getBlizzardToken(); // Fetch once up front rather than from every worker
+
     this.logger.info(`🔍 Starting bulk activity check for ${characters.length} characters`);
     
-    for (let i = 0; i < characters.length; i++) {
-      const char = characters[i];
+    const results = await this.workerPool.map(characters, async (char) => {
       try {
-        this.logger.info(`📊 [${i+1}/${characters.length}] Checking activity for ${char.name} (${char.realm})`);
-        
         const activityData = await this.getLastLoginTimestamp(char.name, char.realm, region);
         
         // Log the result for each character
         const status = activityData.activity_status;
         const days = activityData.days_since_login;
-        this.logger.info(`✅ ${char.name}: ${status}${days !== null ? ` (${days} days ago)` : ''}`);
+        this.logger.info(`✅ [${++checked}/${characters.length}] ${char.name} (${char.realm}): ${status}${days !== null ? ` (${days} days ago)` : ''}`);
         
-        results.push({
+        return {
           character_name: char.name,
           realm: char.realm,
           activityData: activityData
-        });
+        };
         
       } catch (error) {
-        this.logger.error(`❌ Failed to check activity for ${char.name}: ${error.message}`);
-        results.push({
+        if (error.code === 'CIRCUIT_OPEN') {
+          // Blizzard is down: keep the stored tier, nothing to report per character
+          return {
+            character_name: char.name,
+            realm: char.realm,
+            activityData: { last_login_timestamp: null, activity_status: 'unknown', days_since_login: null, error: 'circuit_open' }
+          };
+        }
+
+        this.logger.error(`❌ [${++checked}/${characters.length}] Failed to check activity for ${char.name}: ${error.message}`);
+        return {
           character_name: char.name,
           realm: char.realm,
           activityData: {
             last_login_timestamp: null,
             activity_status: 'unknown',
             days_since_login: null,
-            error: error.message
+            error: error.message,
+            retry_count: error.retryCount || 0
           }
-        });
-      }
-      
-      // Small delay to avoid rate limiting
-      if (i < characters.length - 1) {
-        await this.sleep(200);
+        };
       }
-    }
+    });
     
     this.logger.info(`✅ Bulk activity check completed: ${results.length} characters processed`);
     return results;
@@ -663,77 +441,6 @@ class ExternalApiService {
   // UTILITY METHODS
   // ============================================================================
   
-  formatRaidProgression(raidProgression) {
-    const raids = Object.entries(raidProgression);
-    const allRaids = [];
-    
-    // Current raid priority (most recent/important)
-    const raidPriority = ['manaforge-omega', 'liberation-of-undermine', 'nerubar-palace', 'blackrock-depths'];
-    
-    // Process each raid and extract meaningful progress
-    for (const [raidKey, raidData] of raids) {
-      if (raidData.total_bosses > 0) {
-        const raidName = this.formatRaidName(raidKey);
-        let progress = '';
-        
-        // Build progress summary (prioritize highest difficulty with kills)
-        if (raidData.mythic_bosses_killed > 0) {
-          progress = `${raidData.mythic_bosses_killed}/${raidData.total_bosses} M`;
-        } else if (raidData.heroic_bosses_killed > 0) {
-          progress = `${raidData.heroic_bosses_killed}/${raidData.total_bosses} H`;
-        } else if (raidData.normal_bosses_killed > 0) {
-          progress = `${raidData.normal_bosses_killed}/${raidData.total_bosses} N`;
-        }
-        
-        // Always include raids, even with 0 progress if they're current content
-        const priority = raidPriority.indexOf(raidKey);
-        if (progress || priority === 0) { // Include if has progress OR if it's the current raid (priority 0)
-          if (!progress) {
-            progress = `0/${raidData.total_bosses}`;
-          }
-          allRaids.push({
-            key: raidKey,
-            name: raidName,
-            progress: progress,
-            normal: raidData.normal_bosses_killed,
-            heroic: raidData.heroic_bosses_killed,
-            mythic: raidData.mythic_bosses_killed,
-            total: raidData.total_bosses,
-            priority: priority
-          });
-        }
-      }
-    }
-    
-    // Sort by priority (current raid first)
-    allRaids.sort((a, b) => {
-      if (a.priority === -1 && b.priority === -1) return 0;
-      if (a.priority === -1) return 1;
-      if (b.priority === -1) return -1;
-      return a.priority - b.priority;
-    });
-    
-    // Get current raid progress (highest priority with progress)
-    const currentRaid = allRaids.length > 0 ? allRaids[0] : null;
-    const summary = currentRaid ? `${currentRaid.name}: ${currentRaid.progress}` : 'No progress';
-    
-    return {
-      raids: allRaids,
-      currentRaid: currentRaid,
-      summary: summary
-    };
-  }
-  
-  formatRaidName(raidKey) {
-    const raidNames = {
-      'nerubar-palace': 'Nerub-ar Palace',
-      'liberation-of-undermine': 'Liberation of Undermine',
-      'manaforge-omega': 'Manaforge Omega',
-      'blackrock-depths': 'Blackrock Depths'
-    };
-    return raidNames[raidKey] || raidKey.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-  }
-
   getClassNameFromId(classId) {
     const classMap = {
       1: 'Warrior',
@@ -7,14 +7,66 @@ const PrismaService = require('./PrismaService');
 const ExternalApiService = require('./ExternalApiService');
 const WebApiService = require('./WebApiService');
 const EmailService = require('./EmailService');
+const WebhookService = require('./WebhookService');
 const Logger = require('../utils/Logger');
+const EventBus = require('../utils/EventBus');
+const WorkerPool = require('../utils/WorkerPool');
+const GearAudit = require('../utils/GearAudit');
+const WeeklyReset = require('../utils/WeeklyReset');
+const RaidComposition = require('../utils/RaidComposition');
+
+const { Events } = EventBus;
+
+// Stats aggregated across a player's characters in the players view
+const PLAYER_BEST_FIELDS = [
+  'item_level',
+  'mythic_plus_score',
+  'achievement_points',
+  'pvp_2v2_rating',
+  'pvp_3v3_rating',
+  'pvp_rbg_rating',
+  'solo_shuffle_rating',
+  'rbg_shuffle_rating'
+];
+
+// Most to least active; a player takes the tier of their most active character
+const ACTIVITY_TIERS = ['active', 'casual', 'inactive', 'unknown'];
+
+// Blizzard character ID when known, name + realm for rows that predate it
+function memberIdentity(member) {
+  if (member.blizzard_id) {
+    return `id:${member.blizzard_id}`;
+  }
+  return `name:${(member.character_name || member.name).toLowerCase()}-${member.realm.toLowerCase()}`;
+}
+
+// Stat a past season's standings are ranked by
+const SEASON_RANKING = {
+  mythic_plus: member => member.mythic_plus_score || 0,
+  pvp: member => Math.max(
+    member.pvp_2v2_rating || 0,
+    member.pvp_3v3_rating || 0,
+    member.pvp_rbg_rating || 0,
+    member.solo_shuffle_rating || 0,
+    member.rbg_shuffle_rating || 0
+  )
+};
+
+// Lowercase three-letter weekday ('mon', 'tue', ...) as seen in the given timezone
+function getWeekday(timezone) {
+  return new Intl.DateTimeFormat('en-US', { weekday: 'short', timeZone: timezone })
+    .format(new Date())
+    .toLowerCase();
+}
 
 class GuildSyncService {
   constructor(config) {
     this.config = config;
     this.isRunning = false;
-    this.isGuildDiscoveryRunning = false;
-    this.isActiveSyncRunning = false;
+    this.runningDiscoveries = new Set(); // Guild keys with a discovery in progress
+    this.runningActiveSyncs = new Set(); // Guild keys with an active sync in progress
+    this.runningMissingDataSyncs = new Set(); // Guild keys with a missing data sync in progress
+    this.processingQueues = new Set(); // Guild keys with a job queue worker running
     this.syncProgress = { current: 0, total: 0, errors: 0 };
     this.stats = {
       totalSynced: 0,
@@ -30,10 +82,30 @@ class GuildSyncService {
     this.externalApi = new ExternalApiService(config, Logger);
     this.webApi = new WebApiService(config, Logger);
     this.emailService = new EmailService(config);
-
-    // Cron jobs for two-tier sync system
-    this.guildDiscoveryJob = null;
-    this.activeCharacterSyncJob = null;
+    this.webhookService = new WebhookService(config);
+    this.gearAudit = new GearAudit(config.gearAudit);
+    this.weeklyReset = new WeeklyReset(config.mythicPlus.weeklyResets);
+    this.raidComposition = new RaidComposition();
+
+    // Integrations react to domain events instead of being called from the sync loops
+    this.unsubscribers = [
+      EventBus.subscribe('*', event => Logger.debug(`📣 ${event.type}`, event.guild ? `(${event.guild})` : '')),
+      this.emailService.subscribe(EventBus),
+      this.webhookService.subscribe(EventBus)
+    ];
+
+    // Bounds how many characters sync at once; API pacing is left to the rate limiters
+    this.workerPool = new WorkerPool(config.service.concurrency);
+
+    // Guild rows for every configured guild (populated on start)
+    this.guilds = [];
+
+    // Cron jobs for every guild's discovery, active and missing-data syncs
+    this.cronJobs = [];
+
+    // Current season key per season type, and rollovers in progress (shared by concurrent workers)
+    this.currentSeasons = new Map();
+    this.seasonRollovers = new Map();
   }
 
   async start() {
@@ -48,6 +120,20 @@ class GuildSyncService {
       await this.db.cleanupDuplicates();
       Logger.info('🧹 Cleaned up duplicate entries');
 
+      // Register configured guilds
+      this.guilds = await this.initializeGuilds();
+
+      // Jobs left processing by a crash or redeploy are picked up again
+      const requeued = await this.db.requeueStaleJobs();
+      if (requeued > 0) {
+        Logger.info(`♻️ Requeued ${requeued} interrupted sync jobs`);
+      }
+      await this.db.clearFinishedJobs();
+      const interrupted = await this.db.failInterruptedSyncRuns();
+      if (interrupted > 0) {
+        Logger.info(`♻️ Marked ${interrupted} interrupted sync runs as failed`);
+      }
+
       // Test email configuration if enabled
       if (this.emailService.isEnabled) {
         Logger.info('📧 Testing email notification configuration...');
@@ -61,13 +147,15 @@ class GuildSyncService {
       // Set service as running before first sync
       this.isRunning = true;
 
-      // Run initial guild discovery on startup
-      Logger.info('🚀 Running initial guild discovery on startup...');
-      await this.runGuildDiscovery();
+      for (const guild of this.guilds) {
+        // Run initial guild discovery on startup
+        Logger.info(`🚀 Running initial guild discovery for ${guild.name} on startup...`);
+        await this.runGuildDiscovery(guild, 'startup');
 
-      // Run immediate sync for active members with missing data
-      Logger.info('🎯 Checking for active members with missing achievement/PvP data...');
-      await this.runMissingDataSync();
+        // Run immediate sync for active members with missing data
+        Logger.info(`🎯 Checking ${guild.name} for active members with missing achievement/PvP data...`);
+        await this.runMissingDataSync(guild, 'startup');
+      }
 
       // Schedule two-tier sync system
       this.scheduleTwoTierSync();
@@ -93,12 +181,8 @@ class GuildSyncService {
     this.isRunning = false;
 
     // Stop cron jobs
-    if (this.guildDiscoveryJob) {
-      this.guildDiscoveryJob.stop();
-    }
-    if (this.activeCharacterSyncJob) {
-      this.activeCharacterSyncJob.stop();
-    }
+    this.cronJobs.forEach(job => job.stop());
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
 
     // Close database
     await this.db.close();
@@ -106,52 +190,87 @@ class GuildSyncService {
     Logger.info('✅ Guild Sync Service stopped');
   }
 
+  async initializeGuilds() {
+    const guilds = [];
+    for (const guildConfig of this.config.guilds) {
+      guilds.push(await this.db.ensureGuild(guildConfig));
+    }
+
+    // Data from single-guild deployments belongs to the primary guild
+    const assigned = await this.db.assignUnscopedRows(guilds[0].id);
+    if (assigned > 0) {
+      Logger.info(`🏷️ Assigned ${assigned} existing members to ${guilds[0].name}`);
+    }
+
+    Logger.info(`🏰 Syncing ${guilds.length} guild(s): ${guilds.map(guild => `${guild.name} (${guild.realm}-${guild.region})`).join(', ')}`);
+    return guilds;
+  }
+
+  getGuild(key) {
+    return this.guilds.find(guild => guild.key === key) || null;
+  }
+
   scheduleTwoTierSync() {
-    // Schedule guild discovery every 6 hours
-    Logger.info('📅 Scheduling guild discovery: every 6 hours');
-    this.guildDiscoveryJob = cron.schedule('0 */6 * * *', async () => {
-      if (!this.isRunning || this.isGuildDiscoveryRunning) {
-        Logger.info('⏭️ Skipping scheduled guild discovery - already running or service stopped');
-        return;
-      }
-      
-      await this.runGuildDiscovery();
-    }, {
-      scheduled: false,
-      timezone: 'UTC'
-    });
+    for (const guild of this.guilds) {
+      this.scheduleSync(guild, 'discovery', 'guild discovery', this.runningDiscoveries,
+        () => this.runGuildDiscovery(guild, 'cron'));
+      this.scheduleSync(guild, 'activeSync', 'active character sync', this.runningActiveSyncs,
+        () => this.runActiveCharacterSync(guild, 'cron'));
+      this.scheduleSync(guild, 'missingData', 'missing data sync', this.runningMissingDataSyncs,
+        () => this.runMissingDataSync(guild, 'cron'));
+    }
+  }
 
-    // Schedule active character sync every hour
-    Logger.info('📅 Scheduling active character sync: every hour');
-    this.activeCharacterSyncJob = cron.schedule('0 * * * *', async () => {
-      if (!this.isRunning || this.isActiveSyncRunning) {
-        Logger.info('⏭️ Skipping scheduled active sync - already running or service stopped');
-        return;
-      }
-      
-      await this.runActiveCharacterSync();
-    }, {
-      scheduled: false,
-      timezone: 'UTC'
-    });
+  // Schedules the regular cron expression of a sync plus any per-weekday overrides for it
+  scheduleSync(guild, syncName, label, runningGuilds, run) {
+    const { timezone, overrides } = this.config.schedule;
+    const syncOverrides = overrides.filter(override => override.sync === syncName);
+    const overriddenDays = syncOverrides.flatMap(override => override.days);
+    const schedules = [{ cron: this.config.schedule[syncName], days: null }, ...syncOverrides];
+
+    for (const schedule of schedules) {
+      const days = schedule.days ? ` on ${schedule.days.join(', ')}` : '';
+      Logger.info(`📅 Scheduling ${label} for ${guild.name}: "${schedule.cron}" (${timezone})${days}`);
+
+      const job = cron.schedule(schedule.cron, async () => {
+        // On overridden weekdays only the override fires
+        const today = getWeekday(timezone);
+        if (schedule.days ? !schedule.days.includes(today) : overriddenDays.includes(today)) {
+          return;
+        }
+
+        if (!this.isRunning || runningGuilds.has(guild.key)) {
+          Logger.info(`⏭️ Skipping scheduled ${label} for ${guild.name} - already running or service stopped`);
+          return;
+        }
 
-    this.guildDiscoveryJob.start();
-    this.activeCharacterSyncJob.start();
+        await run();
+      }, {
+        scheduled: false,
+        timezone
+      });
+
+      job.start();
+      this.cronJobs.push(job);
+    }
   }
 
-  async runGuildDiscovery() {
-    if (this.isGuildDiscoveryRunning) {
-      Logger.info('⏭️ Guild discovery already in progress, skipping');
+  async runGuildDiscovery(guild, trigger = 'manual') {
+    if (this.runningDiscoveries.has(guild.key)) {
+      Logger.info(`⏭️ Guild discovery for ${guild.name} already in progress, skipping`);
       return;
     }
 
-    this.isGuildDiscoveryRunning = true;
-    const discoveryStartTime = new Date();
-    Logger.info('🔍 Starting guild discovery and activity check...');
+    this.runningDiscoveries.add(guild.key);
+    const outcome = { status: 'completed' };
+    let run = null;
+    Logger.info(`🔍 Starting guild discovery and activity check for ${guild.name}...`);
 
     try {
+      run = await this.startSyncRun(guild, 'discovery', trigger);
+
       // Step 1: Discover current guild members
-      const members = await this.discoverGuildMembers();
+      const members = await this.discoverGuildMembers(guild);
       if (!members || members.length === 0) {
         Logger.warn('⚠️ No guild members found, skipping discovery');
         this.isSyncing = false;
@@ -160,7 +279,7 @@ class GuildSyncService {
 
       // Step 2: Upsert guild members to database first
       Logger.info(`💾 Upserting ${members.length} guild members to database`);
-      const upsertPromises = members.map(member => this.db.upsertGuildMember(member));
+      const upsertPromises = members.map(member => this.db.upsertGuildMember({ ...member, guild_id: guild.id }));
       const upsertResults = await Promise.allSettled(upsertPromises);
       
       let upsertSuccess = 0;
@@ -177,10 +296,28 @@ class GuildSyncService {
       Logger.info(`📊 Starting activity check for ${members.length} members`);
       
       // Step 3: Bulk check activity for all members
-      const activityResults = await this.externalApi.bulkCheckActivity(members, this.config.guild.region);
+      const activityResults = await this.externalApi.bulkCheckActivity(members, guild.region);
       
       Logger.info(`📋 Processing activity data for ${activityResults.length} characters`);
       
+      // Characters whose activity could not be checked are recorded against the run
+      // (not the ones skipped while Blizzard's circuit was open)
+      const activityFailures = activityResults.filter(result =>
+        result.activityData.error && !['character_not_found', 'circuit_open'].includes(result.activityData.error));
+      for (const failure of activityFailures) {
+        await this.db.logSyncError(
+          failure.character_name,
+          failure.realm,
+          'activity_check',
+          failure.activityData.error,
+          'blizzard',
+          null,
+          guild.id,
+          run.id,
+          failure.activityData.retry_count
+        );
+      }
+
       // Step 4: Update activity status in database
       const updateResults = await this.db.bulkUpdateActivityStatus(activityResults);
       
@@ -195,344 +332,518 @@ class GuildSyncService {
       });
 
       // Step 5: Complete discovery
-      const discoveryEndTime = new Date();
-      const duration = Math.round((discoveryEndTime - discoveryStartTime) / 1000);
-      
-      Logger.info(`🎉 Guild discovery completed: ${successCount} updated, ${errorCount} errors (${duration}s)`);
-
-      // Emit completion
-      if (global.io) {
-        global.io.emit('discoveryComplete', {
-          total: members.length,
-          updated: successCount,
-          errors: errorCount,
-          duration: duration,
-          timestamp: new Date().toISOString()
-        });
-      }
-
-    } catch (error) {
-      Logger.error('❌ Guild discovery failed:', error.message || error);
-      this.stats.totalErrors++;
+      Logger.info(`🎉 Guild discovery for ${guild.name} completed: ${successCount} updated, ${errorCount} errors`);
 
-      // Send critical error notification
-      await this.emailService.sendCriticalErrorNotification(error, {
-        syncType: 'Guild Discovery',
-        timestamp: new Date().toISOString()
+      Object.assign(outcome, {
+        processed: members.length,
+        updated: successCount,
+        failed: activityFailures.length + errorCount
       });
 
-      if (global.io) {
-        global.io.emit('discoveryError', {
-          message: `Guild discovery failed: ${error.message}`,
-          timestamp: new Date().toISOString()
-        });
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') {
+        // Outage already reported once by the circuit breaker
+        Logger.warn(`⏸️ Guild discovery for ${guild.name} paused: ${error.message}`);
+        outcome.status = 'paused';
+        outcome.error = error;
+      } else {
+        Logger.error(`❌ Guild discovery for ${guild.name} failed:`, error.message || error);
+        this.stats.totalErrors++;
+        outcome.status = 'failed';
+        outcome.error = error;
       }
     } finally {
-      this.isGuildDiscoveryRunning = false;
+      this.runningDiscoveries.delete(guild.key);
+      await this.finishSyncRun(guild, 'discovery', run, outcome);
     }
   }
 
-  async runActiveCharacterSync() {
-    if (this.isActiveSyncRunning) {
-      Logger.info('⏭️ Active character sync already in progress, skipping');
+  async runActiveCharacterSync(guild, trigger = 'manual') {
+    if (this.runningActiveSyncs.has(guild.key)) {
+      Logger.info(`⏭️ Active character sync for ${guild.name} already in progress, skipping`);
       return;
     }
 
-    this.isActiveSyncRunning = true;
+    this.runningActiveSyncs.add(guild.key);
     const syncStartTime = new Date();
-    Logger.info('🔄 Starting active character sync (30-day window)...');
+    const outcome = { status: 'completed' };
+    let run = null;
+    Logger.info(`🔄 Starting active character sync for ${guild.name}...`);
 
     try {
-      // Step 1: Get active characters from database (30-day window)
-      const activeMembers = await this.db.getActiveCharacters(30);
+      run = await this.startSyncRun(guild, 'active_sync', trigger);
+
+      // Step 1: Get characters whose activity tier is due (active hourly, casual daily by default)
+      const activeMembers = await this.db.getActiveCharacters(this.config.activity.syncIntervalHours, guild.id);
       if (!activeMembers || activeMembers.length === 0) {
-        Logger.warn('⚠️ No active members found, skipping sync');
-        this.isActiveSyncRunning = false;
+        Logger.info(`✅ No active or casual members of ${guild.name} are due for sync`);
         return;
       }
 
-      // Initialize progress tracking
-      this.syncProgress = { current: 0, total: activeMembers.length, errors: 0 };
-      Logger.info(`📊 Starting sync for ${activeMembers.length} active members`);
-
-      // Emit initial progress
-      if (global.io) {
-        global.io.emit('syncProgress', {
-          current: 0,
-          total: activeMembers.length,
-          errors: 0,
-          status: 'starting',
-          type: 'active_sync'
-        });
-      }
-
-      // Step 2: Sync each active character
-      let syncedCount = 0;
-      let errorCount = 0;
-      this.recentErrors = []; // Clear previous errors
+      // Step 2: Queue a sync job per active character (survives crashes and redeploys)
+      await this.enqueueSyncJobs(activeMembers, 'active_sync');
+      Logger.info(`📊 Queued sync for ${activeMembers.length} active members`);
+
+      // Step 3: Work through the queue
+      const result = await this.processSyncQueue(guild, 'active_sync', run.id);
+      Object.assign(outcome, {
+        status: result.paused ? 'paused' : 'completed',
+        processed: result.synced + result.errors.length,
+        updated: result.synced,
+        failed: result.errors.length
+      });
 
-      for (let i = 0; i < activeMembers.length; i++) {
-        if (!this.isRunning) break;
+      // Step 4: Complete sync
+      const syncEndTime = new Date();
+      const duration = Math.round((syncEndTime - syncStartTime) / 1000);
 
-        const member = activeMembers[i];
-        this.syncProgress.current = i + 1;
+      this.stats.lastFullSync = syncEndTime;
+      this.stats.lastSyncDuration = duration;
+      this.recentErrors = result.errors;
 
-        try {
-          Logger.info(`📊 [${this.syncProgress.current}/${this.syncProgress.total}] Syncing ${member.character_name}...`);
+      Logger.info(`🎉 Active sync for ${guild.name} ${result.paused ? 'paused' : 'completed'}: ${result.synced} synced, ${result.errors.length} errors (${duration}s)`);
+      outcome.errors = result.errors;
 
-          // Get character data from API (using existing logic)
-          const data = await this.externalApi.getMember(
-            member.character_name,
-            member.realm,
-            this.config.guild.region,
-            'auto',
-            member.character_api_url || null
-          );
+    } catch (error) {
+      Logger.error(`❌ Active character sync for ${guild.name} failed:`, error.message || error);
+      this.stats.totalErrors++;
+      outcome.status = 'failed';
+      outcome.error = error;
+    } finally {
+      this.runningActiveSyncs.delete(guild.key);
+      await this.finishSyncRun(guild, 'active_sync', run, outcome);
+    }
+  }
 
-          if (data) {
-            // Update database with synced data
-            await this.db.upsertGuildMember({
-              character_name: member.character_name,
-              realm: member.realm,
-              class: data.character_class || member.class,
-              // level: data.level, // Don't update level during hourly sync - keep original from Blizzard
-              item_level: data.item_level,
-              mythic_plus_score: data.mythic_plus_score,
-              current_saison: data.current_saison,
-              current_pvp_rating: data.current_pvp_rating,
-              raid_progress: data.raid_progress,
-              pvp_2v2_rating: data.pvp_2v2_rating || 0,
-              pvp_3v3_rating: data.pvp_3v3_rating || 0,
-              pvp_rbg_rating: data.pvp_rbg_rating || 0,
-              achievement_points: data.achievement_points || 0,
-              solo_shuffle_rating: data.solo_shuffle_rating || 0,
-              max_solo_shuffle_rating: data.max_solo_shuffle_rating || 0
-            });
+  async runMissingDataSync(guild, trigger = 'manual') {
+    if (this.runningMissingDataSyncs.has(guild.key)) {
+      Logger.info(`⏭️ Missing data sync for ${guild.name} already in progress, skipping`);
+      return;
+    }
 
-            syncedCount++;
-            this.stats.totalSynced++;
-            Logger.info(`✅ [${this.syncProgress.current}/${this.syncProgress.total}] ${member.character_name} synced successfully`);
-          } else {
-            errorCount++;
-            this.stats.totalErrors++;
-            this.recentErrors.push({
-              character: member.character_name,
-              message: 'No data returned from API'
-            });
-            Logger.warn(`⚠️ [${this.syncProgress.current}/${this.syncProgress.total}] ${member.character_name} - no data returned`);
-          }
+    this.runningMissingDataSyncs.add(guild.key);
+    Logger.info(`🔍 Starting missing data sync for active members of ${guild.name}...`);
+    const outcome = { status: 'completed' };
+    let run = null;
+    
+    try {
+      run = await this.startSyncRun(guild, 'missing_data', trigger);
 
-        } catch (error) {
-          errorCount++;
-          this.stats.totalErrors++;
-          this.syncProgress.errors = errorCount;
+      // Get active members with missing achievement/PvP data
+      const missingDataMembers = await this.db.getActiveCharactersWithMissingData(
+        Object.keys(this.config.activity.syncIntervalHours), guild.id
+      );
+      
+      if (!missingDataMembers || missingDataMembers.length === 0) {
+        Logger.info(`✅ All active members of ${guild.name} have complete data`);
+        return;
+      }
 
-          // Track error details
-          this.recentErrors.push({
-            character: member.character_name,
-            message: error.message || 'Unknown error'
-          });
+      Logger.info(`🎯 Found ${missingDataMembers.length} active members with missing data in ${guild.name}`);
+      await this.enqueueSyncJobs(missingDataMembers, 'missing_data');
 
-          Logger.error(`❌ [${this.syncProgress.current}/${this.syncProgress.total}] Error syncing ${member.character_name}: ${error.message}`);
-        }
+      const result = await this.processSyncQueue(guild, 'missing_data', run.id);
+      Object.assign(outcome, {
+        status: result.paused ? 'paused' : 'completed',
+        processed: result.synced + result.errors.length,
+        updated: result.synced,
+        failed: result.errors.length
+      });
 
-        // Emit progress update
-        if (global.io) {
-          global.io.emit('syncProgress', {
-            current: this.syncProgress.current,
-            total: this.syncProgress.total,
-            errors: errorCount,
-            character: member.character_name,
-            status: 'syncing',
-            type: 'active_sync'
-          });
-        }
+      Logger.info(`🎉 Missing data sync for ${guild.name} completed: ${result.synced} synced, ${result.errors.length} errors`);
 
-        // Wait 1 second before next character
-        if (i < activeMembers.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
+      // Share the refreshed roster (only built when someone listens)
+      if (EventBus.hasSubscribers(Events.ROSTER_UPDATED)) {
+        EventBus.publish(Events.ROSTER_UPDATED, {
+          guild: guild.key,
+          sync_type: 'missing_data',
+          members: await this.getGuildMembers(guild.key)
+        });
       }
 
-      // Step 3: Complete sync
-      const syncEndTime = new Date();
-      const duration = Math.round((syncEndTime - syncStartTime) / 1000);
+    } catch (error) {
+      Logger.error(`❌ Missing data sync for ${guild.name} failed:`, error.message);
+      outcome.status = 'failed';
+      outcome.error = error;
+    } finally {
+      this.runningMissingDataSyncs.delete(guild.key);
+      await this.finishSyncRun(guild, 'missing_data', run, outcome);
+    }
+  }
 
-      this.stats.lastFullSync = syncEndTime;
-      this.stats.lastSyncDuration = duration;
+  async startSyncRun(guild, syncType, trigger) {
+    const run = await this.db.startSyncRun(guild.id, syncType, trigger);
+    EventBus.publish(Events.SYNC_RUN_STARTED, {
+      guild: guild.key,
+      sync_type: syncType,
+      run_id: run.id,
+      trigger
+    });
+    return run;
+  }
 
-      Logger.info(`🎉 Active sync completed: ${syncedCount} synced, ${errorCount} errors (${duration}s)`);
-
-      // Send error notification if there were significant errors
-      if (errorCount > 0) {
-        const errorRate = (errorCount / activeMembers.length) * 100;
-        if (errorRate > 10 || errorCount > 5) { // More than 10% errors or more than 5 errors
-          const errorDetails = {
-            syncType: 'Active Character Sync',
-            errorCount: errorCount,
-            totalCount: activeMembers.length,
-            duration: duration,
-            errors: this.recentErrors,
-            timestamp: new Date().toISOString()
-          };
-          await this.emailService.sendSyncErrorNotification(errorDetails);
-        }
+  // Run bookkeeping must never mask the outcome of the sync itself
+  async finishSyncRun(guild, syncType, run, outcome) {
+    const { error = null, errors = [], ...counts } = outcome;
+    const errorMessage = error ? (error.message || String(error)) : null;
+
+    if (run) {
+      try {
+        await this.db.finishSyncRun(run.id, { ...counts, errorMessage });
+      } catch (dbError) {
+        Logger.error(`❌ Failed to record sync run ${run.id}:`, dbError.message || dbError);
       }
+    }
 
-      // Emit completion
-      if (global.io) {
-        global.io.emit('syncComplete', {
-          current: this.syncProgress.total,
-          total: this.syncProgress.total,
-          errors: errorCount,
-          duration: duration,
-          status: 'complete',
-          type: 'active_sync'
-        });
+    if (counts.updated > 0) {
+      try {
+        await this.updateProgressionTimeline(guild);
+      } catch (progressionError) {
+        Logger.error(`❌ Failed to update progression timeline for ${guild.name}:`, progressionError.message || progressionError);
       }
+    }
 
-    } catch (error) {
-      Logger.error('❌ Active character sync failed:', error.message || error);
-      this.stats.totalErrors++;
+    EventBus.publish(Events.SYNC_RUN_FINISHED, {
+      guild: guild.key,
+      sync_type: syncType,
+      run_id: run ? run.id : null,
+      status: counts.status,
+      processed: counts.processed || 0,
+      updated: counts.updated || 0,
+      failed: counts.failed || 0,
+      duration: run ? Math.round((Date.now() - new Date(run.started_at)) / 1000) : 0,
+      errors,
+      error,
+      error_message: errorMessage
+    });
+  }
 
-      // Send critical error notification
-      await this.emailService.sendCriticalErrorNotification(error, {
-        syncType: 'Active Character Sync',
-        timestamp: new Date().toISOString()
-      });
+  // ============================================================================
+  // SYNC JOB QUEUE
+  // ============================================================================
+
+  async enqueueSyncJobs(members, syncType, options = {}) {
+    const jobs = [];
+    for (const member of members) {
+      jobs.push(await this.db.schedulePlayerSync(member, syncType, {
+        maxAttempts: this.config.service.jobMaxAttempts,
+        ...options
+      }));
+    }
+    return jobs;
+  }
+
+  // Claims and runs every due job of the guild until the queue is drained, or until
+  // no data provider can be reached (circuits open): the rest stays queued for the next run
+  async processSyncQueue(guild, syncType, runId = null) {
+    const result = { total: await this.db.countDueSyncJobs(guild.id), synced: 0, errors: [], skipped: 0, paused: false };
+    let processed = 0;
+
+    this.processingQueues.add(guild.key);
+    this.syncProgress = { current: 0, total: result.total, errors: 0 };
+
+    EventBus.publish(Events.SYNC_PROGRESS, {
+      guild: guild.key,
+      sync_type: syncType,
+      status: 'starting',
+      current: 0,
+      total: result.total,
+      errors: 0
+    });
+
+    try {
+      while (this.isRunning && !result.paused) {
+        const jobs = await this.db.getNextSyncJobs(this.config.guild.rateLimit.batchSize, guild.id);
+        if (jobs.length === 0) break;
+
+        await this.workerPool.map(jobs, async (job) => {
+          if (!this.isRunning || result.paused) return;
 
-      if (global.io) {
-        global.io.emit('syncError', {
-          message: `Active sync failed: ${error.message}`,
-          timestamp: new Date().toISOString()
+          if (!this.externalApi.providers.hasAvailableProvider()) {
+            result.paused = true;
+            Logger.warn(`⏸️ Pausing ${syncType} for ${guild.name}: no data provider reachable, remaining characters stay queued`);
+            return;
+          }
+
+          // Another worker may have claimed it in the meantime
+          const claimed = await this.db.markJobProcessing(job.id);
+          if (!claimed) return;
+
+          const position = ++processed;
+          result.total = Math.max(result.total, processed);
+          this.syncProgress.current = processed;
+          this.syncProgress.total = result.total;
+          const member = job.member;
+
+          try {
+            Logger.info(`📊 [${position}/${result.total}] Syncing ${member.character_name} (${job.sync_type})...`);
+            await this.syncCharacter(member, guild, job.sync_type);
+            await this.db.markJobCompleted(job.id);
+
+            result.synced++;
+            this.stats.totalSynced++;
+            Logger.info(`✅ [${position}/${result.total}] ${member.character_name} synced successfully`);
+          } catch (error) {
+            if (error.code === 'CIRCUIT_OPEN') {
+              // Not the character's fault: hand the job back for the next run
+              await this.db.releaseJob(job.id);
+              result.skipped++;
+              return;
+            }
+
+            this.stats.totalErrors++;
+            result.errors.push({
+              character: member.character_name,
+              message: error.message || 'Unknown error'
+            });
+            this.syncProgress.errors = result.errors.length;
+
+            await this.db.markJobFailed(job.id, error.message || 'Unknown error', this.config.service.jobRetryDelayMs);
+
+            const { errorType, service, urlAttempted, retryCount } = this.classifySyncError(error);
+            await this.db.logSyncError(
+              member.character_name,
+              member.realm,
+              errorType,
+              error.message || error.toString(),
+              service,
+              urlAttempted,
+              guild.id,
+              runId,
+              retryCount
+            );
+            Logger.error(`❌ [${position}/${result.total}] Error syncing ${member.character_name}: ${error.message}`);
+          }
+
+          EventBus.publish(Events.SYNC_PROGRESS, {
+            guild: guild.key,
+            sync_type: syncType,
+            status: 'syncing',
+            current: result.synced + result.errors.length,
+            total: result.total,
+            errors: result.errors.length,
+            character: member.character_name
+          });
         });
       }
     } finally {
-      this.isActiveSyncRunning = false;
+      this.processingQueues.delete(guild.key);
       this.syncProgress = { current: 0, total: 0, errors: 0 };
     }
+
+    return result;
   }
 
-  async runMissingDataSync() {
-    Logger.info('🔍 Starting missing data sync for active members...');
-    
-    try {
-      // Get active members with missing achievement/PvP data
-      const missingDataMembers = await this.db.getActiveCharactersWithMissingData(30);
-      
-      if (!missingDataMembers || missingDataMembers.length === 0) {
-        Logger.info('✅ All active members have complete data');
-        return;
-      }
+  async syncCharacter(member, guild, syncType) {
+    const data = await this.externalApi.getMember(
+      member.character_name,
+      member.realm,
+      guild.region,
+      'auto',
+      null,
+      guild
+    );
+
+    if (!data) {
+      throw new Error('No data returned from API');
+    }
 
-      Logger.info(`🎯 Found ${missingDataMembers.length} active members with missing data`);
+    // A new season must be archived before its first scores overwrite last season's
+    await this.checkSeasonRollover('mythic_plus', data.current_saison);
+    await this.checkSeasonRollover('pvp', data.pvp_season_id);
+
+    // Update database with synced data
+    const characterClass = data.character_class || member.class;
+    const updatedMember = await this.db.upsertGuildMember({
+      character_name: member.character_name,
+      realm: member.realm,
+      class: characterClass,
+      active_spec: data.active_spec, // Left unchanged when no provider reports a spec
+      role: data.active_spec ? this.raidComposition.getRole(characterClass, data.active_spec) : undefined,
+      level: data.level, // Only Blizzard knows the level; left unchanged when it is disabled
+      item_level: data.item_level,
+      mythic_plus_score: data.mythic_plus_score,
+      current_saison: data.current_saison,
+      weekly_mythic_plus_runs: data.weekly_mythic_plus_runs,
+      weekly_highest_key_level: data.weekly_highest_key_level,
+      weekly_runs_reset_at: data.weekly_mythic_plus_runs !== undefined ? this.weeklyReset.getPeriodStart(guild.region) : undefined,
+      current_pvp_rating: data.current_pvp_rating,
+      raid_progress: data.raid_progress,
+      best_parse_percentile: data.best_parse_percentile,
+      median_parse_percentile: data.median_parse_percentile,
+      raid_attendance: data.raid_attendance,
+      pvp_2v2_rating: data.pvp_2v2_rating,
+      pvp_3v3_rating: data.pvp_3v3_rating,
+      pvp_rbg_rating: data.pvp_rbg_rating,
+      achievement_points: data.achievement_points,
+      solo_shuffle_rating: data.solo_shuffle_rating,
+      max_solo_shuffle_rating: data.max_solo_shuffle_rating,
+      rbg_shuffle_rating: data.rbg_shuffle_rating
+    });
 
-      // Emit start notification
-      if (global.io) {
-        global.io.emit('missingDataSyncStart', {
-          total: missingDataMembers.length,
-          timestamp: new Date().toISOString()
-        });
+    // Keep a point-in-time copy so progression can be reviewed later
+    await this.db.recordCharacterSnapshot(updatedMember.id, data, syncType);
+
+    if (data.equipment) {
+      await this.db.replaceCharacterEquipment(updatedMember.id, data.equipment);
+    }
+
+    if (data.mythic_plus_dungeons) {
+      await this.db.replaceMythicPlusDungeons(updatedMember.id, data.current_saison, data.mythic_plus_dungeons);
+    }
+
+    if (data.raid_progression) {
+      await this.db.replaceRaidProgression(updatedMember.id, data.raid_progression);
+    }
+
+    if (data.boss_kills) {
+      await this.db.recordBossKills(updatedMember.id, data.boss_kills);
+    }
+
+    EventBus.publish(Events.MEMBER_UPDATED, {
+      guild: guild.key,
+      character_name: member.character_name,
+      realm: member.realm,
+      sync_type: syncType,
+      // null = no provider returned the field this time; the stored value is unchanged
+      data: {
+        achievement_points: data.achievement_points ?? null,
+        item_level: data.item_level,
+        mythic_plus_score: data.mythic_plus_score,
+        raid_progress: data.raid_progress,
+        best_parse_percentile: data.best_parse_percentile,
+        median_parse_percentile: data.median_parse_percentile,
+        raid_attendance: data.raid_attendance,
+        pvp_2v2_rating: data.pvp_2v2_rating ?? null,
+        pvp_3v3_rating: data.pvp_3v3_rating ?? null,
+        pvp_rbg_rating: data.pvp_rbg_rating ?? null,
+        solo_shuffle_rating: data.solo_shuffle_rating ?? null,
+        max_solo_shuffle_rating: data.max_solo_shuffle_rating ?? null,
+        rbg_shuffle_rating: data.rbg_shuffle_rating ?? null,
+        last_updated: new Date()
       }
+    });
 
-      let syncedCount = 0;
-      let errorCount = 0;
+    return updatedMember;
+  }
 
-      for (let i = 0; i < missingDataMembers.length && this.isRunning; i++) {
-        const member = missingDataMembers[i];
-        
-        try {
-          Logger.info(`🔄 [${i+1}/${missingDataMembers.length}] Syncing missing data for ${member.character_name}...`);
+  // Archives the current season the first time a character reports a newer one (once per season, concurrent callers wait)
+  async checkSeasonRollover(seasonType, seasonKey) {
+    if (!seasonKey || this.currentSeasons.get(seasonType) === String(seasonKey)) {
+      return;
+    }
 
-          const data = await this.externalApi.getMember(
-            member.character_name,
-            member.realm,
-            this.config.guild.region,
-            'auto'
-          );
+    const rolloverKey = `${seasonType}:${seasonKey}`;
+    if (!this.seasonRollovers.has(rolloverKey)) {
+      this.seasonRollovers.set(rolloverKey, this.rollOverSeason(seasonType, String(seasonKey))
+        .finally(() => this.seasonRollovers.delete(rolloverKey)));
+    }
+    await this.seasonRollovers.get(rolloverKey);
+  }
 
-          if (data) {
-            await this.db.upsertGuildMember({
-              character_name: member.character_name,
-              realm: member.realm,
-              class: data.character_class || member.class,
-              level: data.level,
-              item_level: data.item_level,
-              mythic_plus_score: data.mythic_plus_score,
-              current_saison: data.current_saison,
-              current_pvp_rating: data.current_pvp_rating,
-              raid_progress: data.raid_progress,
-              pvp_2v2_rating: data.pvp_2v2_rating || 0,
-              pvp_3v3_rating: data.pvp_3v3_rating || 0,
-              pvp_rbg_rating: data.pvp_rbg_rating || 0,
-              achievement_points: data.achievement_points || 0,
-              solo_shuffle_rating: data.solo_shuffle_rating || 0,
-              max_solo_shuffle_rating: data.max_solo_shuffle_rating || 0
-            });
+  async rollOverSeason(seasonType, seasonKey) {
+    const known = await this.db.findSeason(seasonType, seasonKey);
+    if (known?.ended_at) {
+      // Stale data from an archived season, never roll back
+      return;
+    }
 
-            syncedCount++;
-            Logger.info(`✅ [${i+1}/${missingDataMembers.length}] ${member.character_name} missing data synced`);
-
-            // Real-time update to web dashboard
-            if (global.io) {
-              global.io.emit('memberDataUpdated', {
-                character_name: member.character_name,
-                realm: member.realm,
-                data: {
-                  achievement_points: data.achievement_points || 0,
-                  item_level: data.item_level,
-                  mythic_plus_score: data.mythic_plus_score,
-                  raid_progress: data.raid_progress,
-                  pvp_2v2_rating: data.pvp_2v2_rating || 0,
-                  pvp_3v3_rating: data.pvp_3v3_rating || 0,
-                  pvp_rbg_rating: data.pvp_rbg_rating || 0,
-                  solo_shuffle_rating: data.solo_shuffle_rating || 0,
-                  max_solo_shuffle_rating: data.max_solo_shuffle_rating || 0,
-                  last_updated: new Date()
-                },
-                timestamp: new Date().toISOString()
-              });
-            }
-          }
-        } catch (error) {
-          errorCount++;
-          Logger.error(`❌ [${i+1}/${missingDataMembers.length}] Failed to sync ${member.character_name}: ${error.message}`);
-        }
+    const current = await this.db.getCurrentSeason(seasonType);
+    if (current && current.season_key !== seasonKey) {
+      const archived = await this.db.archiveSeason(current);
+      Logger.info(`🏁 ${seasonType} season ${current.season_key} ended, archived ${archived} characters (new season: ${seasonKey})`);
 
-        // Wait 1 second between characters
-        if (i < missingDataMembers.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
+      EventBus.publish(Events.SEASON_ROLLED_OVER, {
+        season_type: seasonType,
+        previous_season: current.season_key,
+        season: seasonKey,
+        archived
+      });
+    }
 
-      Logger.info(`🎉 Missing data sync completed: ${syncedCount} synced, ${errorCount} errors`);
+    await this.db.startSeason(seasonType, seasonKey);
+    this.currentSeasons.set(seasonType, seasonKey);
+  }
 
-      // Emit completion with updated member list
-      if (global.io) {
-        const updatedMembers = await this.getGuildMembers();
-        global.io.emit('missingDataSyncComplete', {
-          synced: syncedCount,
-          errors: errorCount,
-          timestamp: new Date().toISOString()
-        });
+  // Queues a single character ahead of scheduled work and starts a worker if none is running
+  async requestCharacterSync(characterName, realm) {
+    const member = await this.db.findMember(characterName, realm);
+    if (!member) {
+      return null;
+    }
 
-        global.io.emit('membersUpdated', {
-          members: updatedMembers,
-          count: updatedMembers.length,
-          timestamp: new Date().toISOString(),
-          syncType: 'missing_data'
-        });
-      }
+    const [job] = await this.enqueueSyncJobs([member], 'on_demand', { priority: 10 });
+    const guild = this.guilds.find(g => g.id === member.guild_id) || this.guilds[0];
+
+    if (!this.processingQueues.has(guild.key)) {
+      this.runOnDemandSync(guild).catch(error => {
+        Logger.error(`❌ On-demand sync for ${guild.name} failed:`, error.message || error);
+      });
+    }
 
+    return job;
+  }
+
+  async runOnDemandSync(guild) {
+    const outcome = { status: 'completed' };
+    const run = await this.startSyncRun(guild, 'on_demand', 'manual');
+
+    try {
+      const result = await this.processSyncQueue(guild, 'on_demand', run.id);
+      Object.assign(outcome, {
+        status: result.paused ? 'paused' : 'completed',
+        processed: result.synced + result.errors.length,
+        updated: result.synced,
+        failed: result.errors.length
+      });
     } catch (error) {
-      Logger.error('❌ Missing data sync failed:', error.message);
+      outcome.status = 'failed';
+      outcome.error = error;
+      throw error;
+    } finally {
+      await this.finishSyncRun(guild, 'on_demand', run, outcome);
+    }
+  }
+
+  // Maps an API/sync failure onto the error_type/service columns of sync_errors
+  classifySyncError(error) {
+    let errorType = 'unknown_error';
+    let service = 'unknown';
+    let urlAttempted = null;
+    const status = error.response?.status;
+    const url = error.config?.url;
+    const serviceOf = () => url.includes('raider.io') ? 'raiderio' : url.includes('warcraftlogs') ? 'warcraftlogs' : 'blizzard';
+
+    if (error.code === 'ERR_BAD_REQUEST' && status === 404) {
+      errorType = 'api_404';
+      service = serviceOf();
+      urlAttempted = url;
+    } else if (status === 429) {
+      errorType = 'api_rate_limited';
+      service = serviceOf();
+      urlAttempted = url;
+    } else if (status >= 500) {
+      errorType = 'api_server_error';
+      service = serviceOf();
+      urlAttempted = url;
+    } else if (error.code === 'ECONNABORTED') {
+      errorType = 'api_timeout';
+      service = serviceOf();
+      urlAttempted = url;
+    } else if (error.message?.includes('JSON')) {
+      errorType = 'parse_error';
     }
+
+    // Set by RetryPolicy on errors from external API requests
+    return { errorType, service, urlAttempted, retryCount: error.retryCount || 0 };
   }
 
   // Legacy method kept for backward compatibility - now calls guild discovery
   async runFullSync() {
     Logger.info('🔄 Legacy runFullSync called - executing guild discovery');
-    return await this.runGuildDiscovery();
+    for (const guild of this.guilds) {
+      await this.runGuildDiscovery(guild);
+    }
   }
 
   // Original full sync logic moved here for reference if needed
@@ -548,7 +859,7 @@ class GuildSyncService {
 
     try {
       // Step 1: Discover current guild members
-      const members = await this.discoverGuildMembers();
+      const members = await this.discoverGuildMembers(this.guilds[0]);
       if (!members || members.length === 0) {
         Logger.warn('⚠️ No guild members found, skipping sync');
         this.isSyncing = false;
@@ -559,15 +870,14 @@ class GuildSyncService {
       this.syncProgress = { current: 0, total: members.length, errors: 0 };
       Logger.info(`📊 Starting character data sync for ${members.length} members`);
 
-      // Emit initial progress
-      if (global.io) {
-        global.io.emit('syncProgress', {
-          current: 0,
-          total: members.length,
-          errors: 0,
-          status: 'starting'
-        });
-      }
+      EventBus.publish(Events.SYNC_PROGRESS, {
+        guild: this.guilds[0].key,
+        sync_type: 'full_sync',
+        status: 'starting',
+        current: 0,
+        total: members.length,
+        errors: 0
+      });
 
       // Step 2: Sync each character with 1 second delay
       let syncedCount = 0;
@@ -586,7 +896,7 @@ class GuildSyncService {
           const data = await this.externalApi.getMember(
             member.name,
             member.realm,
-            this.config.guild.region,
+            this.guilds[0].region,
             'auto',
             member.character_api_url
           );
@@ -597,6 +907,8 @@ class GuildSyncService {
               character_name: member.name,
               realm: member.realm,
               class: data.character_class || member.class,
+              active_spec: data.active_spec,
+              role: data.active_spec ? this.raidComposition.getRole(data.character_class || member.class, data.active_spec) : undefined,
               level: data.level,
               item_level: data.item_level,
               mythic_plus_score: data.mythic_plus_score,
@@ -621,21 +933,7 @@ class GuildSyncService {
           this.syncProgress.errors = errorCount;
 
           // Log detailed error
-          let errorType = 'unknown_error';
-          let service = 'unknown';
-          let urlAttempted = null;
-
-          if (error.code === 'ERR_BAD_REQUEST' && error.response?.status === 404) {
-            errorType = 'api_404';
-            service = error.config?.url?.includes('raider.io') ? 'raiderio' : 'blizzard';
-            urlAttempted = error.config?.url;
-          } else if (error.code === 'ECONNABORTED') {
-            errorType = 'api_timeout';
-            service = error.config?.url?.includes('raider.io') ? 'raiderio' : 'blizzard';
-            urlAttempted = error.config?.url;
-          } else if (error.message?.includes('JSON')) {
-            errorType = 'parse_error';
-          }
+          const { errorType, service, urlAttempted, retryCount } = this.classifySyncError(error);
 
           await this.db.logSyncError(
             member.name,
@@ -643,22 +941,24 @@ class GuildSyncService {
             errorType,
             error.message || error.toString(),
             service,
-            urlAttempted
+            urlAttempted,
+            null,
+            null,
+            retryCount
           );
 
           Logger.error(`❌ [${this.syncProgress.current}/${this.syncProgress.total}] Error syncing ${member.name}: ${error.message}`);
         }
 
-        // Emit progress update
-        if (global.io) {
-          global.io.emit('syncProgress', {
-            current: this.syncProgress.current,
-            total: this.syncProgress.total,
-            errors: errorCount,
-            character: member.name,
-            status: 'syncing'
-          });
-        }
+        EventBus.publish(Events.SYNC_PROGRESS, {
+          guild: this.guilds[0].key,
+          sync_type: 'full_sync',
+          status: 'syncing',
+          current: this.syncProgress.current,
+          total: this.syncProgress.total,
+          errors: errorCount,
+          character: member.name
+        });
 
         // Wait 1 second before next character (except for last one)
         if (i < members.length - 1) {
@@ -675,22 +975,23 @@ class GuildSyncService {
 
       Logger.info(`🎉 Full sync completed: ${syncedCount} synced, ${errorCount} errors (${duration}s)`);
 
-      // Emit completion and updated member list
-      if (global.io) {
-        const updatedMembers = await this.getGuildMembers();
-        global.io.emit('syncComplete', {
-          current: this.syncProgress.total,
-          total: this.syncProgress.total,
-          errors: errorCount,
-          duration: duration,
-          status: 'complete'
-        });
-        
-        global.io.emit('membersUpdated', {
-          members: updatedMembers,
-          count: updatedMembers.length,
-          timestamp: new Date().toISOString(),
-          lastSync: {
+      EventBus.publish(Events.SYNC_RUN_FINISHED, {
+        guild: this.guilds[0].key,
+        sync_type: 'full_sync',
+        run_id: null,
+        status: 'completed',
+        processed: syncedCount + errorCount,
+        updated: syncedCount,
+        failed: errorCount,
+        duration
+      });
+
+      if (EventBus.hasSubscribers(Events.ROSTER_UPDATED)) {
+        EventBus.publish(Events.ROSTER_UPDATED, {
+          guild: this.guilds[0].key,
+          sync_type: 'full_sync',
+          members: await this.getGuildMembers(this.guilds[0].key),
+          last_sync: {
             processed: syncedCount,
             errors: errorCount,
             duration: duration
@@ -701,27 +1002,33 @@ class GuildSyncService {
     } catch (error) {
       Logger.error('❌ Full sync failed:', error.message || error);
       this.stats.totalErrors++;
-      
-      if (global.io) {
-        global.io.emit('syncError', {
-          message: `Full sync failed: ${error.message}`,
-          timestamp: new Date().toISOString()
-        });
-      }
+
+      EventBus.publish(Events.SYNC_RUN_FINISHED, {
+        guild: this.guilds[0].key,
+        sync_type: 'full_sync',
+        run_id: null,
+        status: 'failed',
+        processed: 0,
+        updated: 0,
+        failed: 0,
+        duration: Math.round((Date.now() - syncStartTime) / 1000),
+        error,
+        error_message: error.message || String(error)
+      });
     } finally {
       this.isSyncing = false;
       this.syncProgress = { current: 0, total: 0, errors: 0 };
     }
   }
 
-  async discoverGuildMembers() {
+  async discoverGuildMembers(guild) {
     try {
-      Logger.info('🔍 Discovering current guild members...');
+      Logger.info(`🔍 Discovering current members of ${guild.name}...`);
 
       const members = await this.externalApi.getMembers(
-        this.config.guild.name,
-        this.config.guild.realm,
-        this.config.guild.region
+        guild.name,
+        guild.realm,
+        guild.region
       );
       
       if (members.length === 0) {
@@ -732,7 +1039,7 @@ class GuildSyncService {
       Logger.info(`📋 Found ${members.length} current guild members`);
       
       // Handle membership changes (new/departed members)
-      await this.handleMembershipChanges(members);
+      await this.handleMembershipChanges(members, guild);
       
       return members;
 
@@ -742,25 +1049,74 @@ class GuildSyncService {
     }
   }
 
-  async handleMembershipChanges(currentMembers) {
+  async handleMembershipChanges(currentMembers, guild) {
     try {
-      const currentNames = currentMembers.map(m => m.name);
-      
-      // Get existing members from database
-      const existingNames = await this.db.getAllMemberNames();
+      // Renames and realm transfers keep their row (matched by Blizzard character ID)
+      const identityChanges = await this.db.reconcileCharacterIdentities(currentMembers, guild.id);
+      for (const change of identityChanges) {
+        const from = `${change.previous.character_name}-${change.previous.realm}`;
+        const to = `${change.member.name}-${change.member.realm}`;
+        if (change.released) {
+          Logger.info(`🔀 ${to} was held by another character's row, kept as ${change.released.character_name} until that character shows up again`);
+        }
+        Logger.info(`✏️ Detected ${change.eventType}: ${from} → ${to}`);
+        EventBus.publish(Events.MEMBER_RENAMED, {
+          guild: guild.key,
+          character_name: change.member.name,
+          realm: change.member.realm,
+          previous_name: change.previous.character_name,
+          previous_realm: change.previous.realm,
+          change: change.eventType
+        });
+      }
+
+      // Get current (not departed) members of this guild from database
+      const existingMembers = await this.db.getCurrentMembers(guild.id);
+      const existingKeys = new Set(existingMembers.map(memberIdentity));
+      const currentKeys = new Set(currentMembers.map(memberIdentity));
       
       // Find new and departed members
-      const newMembers = currentNames.filter(name => !existingNames.includes(name));
-      const departedMembers = existingNames.filter(name => !currentNames.includes(name));
+      const newMembers = currentMembers.filter(member => !existingKeys.has(memberIdentity(member)));
+      const departedMembers = existingMembers.filter(member => !currentKeys.has(memberIdentity(member)));
+
+      // The first discovery of a guild is an import, not a wave of joins
+      if (existingMembers.length === 0 && await this.db.countGuildMembers(guild.id, { includeDeparted: true }) === 0) {
+        Logger.info(`📥 Initial roster import for ${guild.name}: ${newMembers.length} members`);
+        return;
+      }
       
       if (newMembers.length > 0) {
-        Logger.info(`➕ Found ${newMembers.length} new members: ${newMembers.slice(0, 5).join(', ')}${newMembers.length > 5 ? '...' : ''}`);
+        const newNames = newMembers.map(member => member.name);
+        Logger.info(`➕ Found ${newMembers.length} new members: ${newNames.slice(0, 5).join(', ')}${newMembers.length > 5 ? '...' : ''}`);
+
+        let rejoinCount = 0;
+        for (const member of newMembers) {
+          const eventType = await this.db.recordMemberJoin(member, guild.id);
+          if (eventType === 'rejoin') rejoinCount++;
+          EventBus.publish(Events.MEMBER_JOINED, {
+            guild: guild.key,
+            character_name: member.name,
+            realm: member.realm,
+            rejoin: eventType === 'rejoin'
+          });
+        }
+        if (rejoinCount > 0) {
+          Logger.info(`🔁 ${rejoinCount} of them rejoined after leaving`);
+        }
       }
       
       if (departedMembers.length > 0) {
-        Logger.info(`➖ Found ${departedMembers.length} departed members: ${departedMembers.slice(0, 5).join(', ')}${departedMembers.length > 5 ? '...' : ''}`);
-        const removedCount = await this.db.removeDepartedMembers(departedMembers);
-        Logger.info(`🗑️ Cleaned up ${removedCount} departed members from database`);
+        const departedNames = departedMembers.map(member => member.character_name);
+        Logger.info(`➖ Found ${departedMembers.length} departed members: ${departedNames.slice(0, 5).join(', ')}${departedMembers.length > 5 ? '...' : ''}`);
+        const departedCount = await this.db.markMembersDeparted(departedMembers.map(member => member.id), guild.id);
+        Logger.info(`👋 Marked ${departedCount} departed members as left`);
+        for (const member of departedMembers) {
+          EventBus.publish(Events.MEMBER_LEFT, {
+            guild: guild.key,
+            character_name: member.character_name,
+            realm: member.realm
+          });
+        }
       }
       
       if (newMembers.length === 0 && departedMembers.length === 0) {
@@ -788,7 +1144,14 @@ class GuildSyncService {
       lastSyncDuration: this.stats.lastSyncDuration,
       isRunning: this.isRunning,
       isSyncing: this.isSyncing,
-      syncProgress: this.isSyncing ? this.syncProgress : null
+      syncProgress: this.isSyncing ? this.syncProgress : null,
+      concurrency: this.workerPool.concurrency,
+      rateLimits: this.externalApi.getRateLimitStats(),
+      circuits: this.externalApi.getCircuitStates(),
+      blizzardAuth: this.externalApi.getBlizzardAuthStats(),
+      httpCache: this.externalApi.getCacheStats(),
+      raidCatalogue: this.externalApi.raidCatalogue.getStats(),
+      realmRegistry: this.externalApi.realmRegistry.getStats()
     };
   }
 
@@ -826,8 +1189,448 @@ class GuildSyncService {
     }
   }
 
-  async getGuildMembers() {
-    return await this.db.getGuildMembers();
+  // ranks: optional list of rank indexes and/or configured rank names (case-insensitive)
+  // raid: optional raid key whose progress replaces the default raid_progress
+  async getGuildMembers(guildKey = null, { ranks = null, raid = null } = {}) {
+    const guild = guildKey ? this.getGuild(guildKey) : null;
+    let members = (await this.db.getGuildMembers(guild ? guild.id : null)).map(member => ({
+      ...member,
+      ...this.getWeeklyRuns(member),
+      guild_rank_name: this.getRankName(member.guild_key, member.guild_rank)
+    }));
+
+    if (raid) {
+      const progression = new Map((await this.db.getGuildRaidProgression(guild ? guild.id : null, raid))
+        .map(entry => [`${entry.character_name}-${entry.realm}`, entry]));
+      members = members.map(member => {
+        const entry = progression.get(`${member.character_name}-${member.realm}`);
+        return { ...member, raid_progress: entry ? this.externalApi.raidCatalogue.formatProgress(entry) : null };
+      });
+    }
+
+    if (!ranks || ranks.length === 0) {
+      return members;
+    }
+
+    const wanted = ranks.map(rank => String(rank).trim().toLowerCase());
+    return members.filter(member =>
+      member.guild_rank !== null && (
+        wanted.includes(String(member.guild_rank)) ||
+        wanted.includes(member.guild_rank_name.toLowerCase())
+      )
+    );
+  }
+
+  // Groups the roster per player (main + alts); unlinked characters count as their own player
+  async getPlayers(guildKey = null, options = {}) {
+    const members = await this.getGuildMembers(guildKey, options);
+    const groups = new Map();
+
+    for (const member of members) {
+      const key = member.player_id ? `player:${member.player_id}` : `character:${member.character_name}-${member.realm}`;
+      if (!groups.has(key)) {
+        groups.set(key, { main: null, alts: [] });
+      }
+
+      const group = groups.get(key);
+      if (member.is_main || !member.player_id) {
+        group.main = member;
+      } else {
+        group.alts.push(member);
+      }
+    }
+
+    const players = [...groups.values()].map(({ main, alts }) => {
+      const characters = main ? [main, ...alts] : alts; // The main may be outside this listing
+      const best = {};
+      for (const field of PLAYER_BEST_FIELDS) {
+        const top = characters.reduce((current, character) =>
+          (character[field] || 0) > (current?.[field] || 0) ? character : current, null);
+        best[field] = top ? { value: top[field], character_name: top.character_name } : null;
+      }
+
+      return {
+        player_id: characters[0].player_id,
+        name: characters[0].player_name || (main || characters[0]).character_name,
+        main,
+        alts,
+        character_count: characters.length,
+        activity_status: ACTIVITY_TIERS.find(tier => characters.some(character => character.activity_status === tier)) || 'unknown',
+        last_login_timestamp: Math.max(...characters.map(character => character.last_login_timestamp || 0)) || null,
+        best
+      };
+    });
+
+    return players.sort((a, b) => (b.best.item_level?.value || 0) - (a.best.item_level?.value || 0));
+  }
+
+  // Final standings of a past season; null when the season is unknown or still running
+  async getSeasonStandings(seasonKey, { seasonType = null, guildKey = null } = {}) {
+    const seasonTypes = seasonType ? [seasonType] : Object.keys(SEASON_RANKING);
+    let season = null;
+    for (const type of seasonTypes) {
+      season = await this.db.findSeason(type, seasonKey);
+      if (season) break;
+    }
+
+    if (!season || !season.ended_at) {
+      return null;
+    }
+
+    const guild = guildKey ? this.getGuild(guildKey) : null;
+    const rankBy = SEASON_RANKING[season.season_type];
+    const members = (await this.db.getSeasonArchive(season.id, guild ? guild.id : null))
+      .sort((a, b) => rankBy(b) - rankBy(a))
+      .map((member, index) => {
+        const memberGuildKey = this.guilds.find(entry => entry.id === member.guild_id)?.key || null;
+        return {
+          position: index + 1,
+          ...member,
+          guild_key: memberGuildKey,
+          guild_rank_name: this.getRankName(memberGuildKey, member.guild_rank)
+        };
+      });
+
+    return { season, members };
+  }
+
+  // Equipped items per slot with set bonuses and audit findings; null for unknown characters
+  async getCharacterGear(characterName, realm) {
+    const member = await this.db.getCharacterEquipment(characterName, realm);
+    if (!member) {
+      return null;
+    }
+
+    const { guild_id: guildId, equipment, ...character } = member;
+    const guildKey = this.guilds.find(entry => entry.id === guildId)?.key || null;
+    return {
+      ...character,
+      guild_key: guildKey,
+      guild_rank_name: this.getRankName(guildKey, character.guild_rank),
+      updated_at: equipment.length > 0 ? equipment[0].updated_at : null,
+      equipment: this.gearAudit.sortSlots(equipment),
+      set_bonuses: this.gearAudit.summarizeSets(equipment),
+      issues: this.gearAudit.audit(equipment, character.item_level)
+    };
+  }
+
+  // Members with gear issues, most issues first; rule narrows the report to one audit rule
+  async getGearAudit(guildKey = null, { ranks = null, rule = null } = {}) {
+    const guild = guildKey ? this.getGuild(guildKey) : null;
+    const members = await this.getGuildMembers(guildKey, { ranks });
+    const equipmentByCharacter = new Map((await this.db.getGuildEquipment(guild ? guild.id : null))
+      .map(entry => [`${entry.character_name}-${entry.realm}`, entry.equipment]));
+
+    const summary = { audited: 0, without_equipment: 0, with_issues: 0 };
+    GearAudit.RULES.forEach(name => { summary[name] = 0; });
+
+    const flagged = [];
+    for (const member of members) {
+      const equipment = equipmentByCharacter.get(`${member.character_name}-${member.realm}`) || [];
+      if (equipment.length === 0) {
+        summary.without_equipment++;
+        continue;
+      }
+
+      summary.audited++;
+      const issues = this.gearAudit.audit(equipment, member.item_level)
+        .filter(issue => !rule || issue.rule === rule);
+      issues.forEach(issue => { summary[issue.rule]++; });
+      if (issues.length === 0) continue;
+
+      summary.with_issues++;
+      flagged.push({
+        character_name: member.character_name,
+        realm: member.realm,
+        guild_key: member.guild_key,
+        guild_rank: member.guild_rank,
+        guild_rank_name: member.guild_rank_name,
+        class: member.class,
+        item_level: member.item_level,
+        activity_status: member.activity_status,
+        issues
+      });
+    }
+
+    flagged.sort((a, b) => b.issues.length - a.issues.length || a.character_name.localeCompare(b.character_name));
+    return { rules: this.gearAudit.getRules(), summary, members: flagged };
+  }
+
+  // Counts stored before the region's latest reset belong to an earlier week
+  getWeeklyRuns(member) {
+    const region = (this.getGuildConfig(member.guild_key) || this.config.guild).region;
+    const resetAt = this.weeklyReset.getPeriodStart(region);
+    const thisWeek = member.weekly_runs_reset_at && new Date(member.weekly_runs_reset_at) >= resetAt;
+    return {
+      weekly_mythic_plus_runs: thisWeek ? member.weekly_mythic_plus_runs : 0,
+      weekly_highest_key_level: thisWeek ? member.weekly_highest_key_level : 0,
+      weekly_runs_reset_at: resetAt
+    };
+  }
+
+  getVaultSlots(weeklyRuns) {
+    return this.config.mythicPlus.vaultThresholds.filter(runs => weeklyRuns >= runs).length;
+  }
+
+  // Dungeon-by-member matrix of current-season best runs with Great Vault progress.
+  // A dungeon is still needed without a timed run (at minLevel or above when given).
+  async getMythicPlusMatrix(guildKey = null, { ranks = null, minLevel = null } = {}) {
+    const guild = guildKey ? this.getGuild(guildKey) : null;
+    const season = (await this.db.getCurrentSeason('mythic_plus'))?.season_key || null;
+    const members = await this.getGuildMembers(guildKey, { ranks });
+    const runs = await this.db.getGuildMythicPlusDungeons(guild ? guild.id : null, season);
+
+    const dungeons = new Map();
+    const runsByCharacter = new Map();
+    for (const run of runs) {
+      dungeons.set(run.dungeon, run.dungeon_name);
+      const key = `${run.character_name}-${run.realm}`;
+      if (!runsByCharacter.has(key)) runsByCharacter.set(key, {});
+      runsByCharacter.get(key)[run.dungeon] = {
+        mythic_level: run.mythic_level,
+        timed: run.timed,
+        num_keystone_upgrades: run.num_keystone_upgrades,
+        score: run.score,
+        completed_at: run.completed_at
+      };
+    }
+
+    const dungeonList = [...dungeons].map(([dungeon, name]) => ({ dungeon, dungeon_name: name }))
+      .sort((a, b) => a.dungeon_name.localeCompare(b.dungeon_name));
+    const isDone = best => best && best.timed && (!minLevel || best.mythic_level >= minLevel);
+    const vaultSlots = this.config.mythicPlus.vaultThresholds.length;
+
+    const rows = members
+      .map(member => {
+        const best = runsByCharacter.get(`${member.character_name}-${member.realm}`) || {};
+        return {
+          character_name: member.character_name,
+          realm: member.realm,
+          guild_key: member.guild_key,
+          guild_rank_name: member.guild_rank_name,
+          class: member.class,
+          mythic_plus_score: member.mythic_plus_score,
+          weekly: {
+            runs: member.weekly_mythic_plus_runs,
+            highest_key_level: member.weekly_highest_key_level,
+            vault_slots: this.getVaultSlots(member.weekly_mythic_plus_runs)
+          },
+          dungeons: Object.fromEntries(dungeonList.map(({ dungeon }) => [dungeon, best[dungeon] || null])),
+          needs: dungeonList.map(({ dungeon }) => dungeon).filter(dungeon => !isDone(best[dungeon]))
+        };
+      })
+      .sort((a, b) => (b.mythic_plus_score || 0) - (a.mythic_plus_score || 0) || a.character_name.localeCompare(b.character_name));
+
+    const region = (guild || this.config.guild).region;
+    return {
+      season,
+      week: this.weeklyReset.getPeriod(region),
+      vault_thresholds: this.config.mythicPlus.vaultThresholds,
+      dungeons: dungeonList.map(entry => ({
+        ...entry,
+        timed: rows.filter(row => isDone(row.dungeons[entry.dungeon])).length,
+        needed_by: rows.filter(row => row.needs.includes(entry.dungeon)).length
+      })),
+      vault: {
+        full: rows.filter(row => row.weekly.vault_slots === vaultSlots).length,
+        partial: rows.filter(row => row.weekly.vault_slots > 0 && row.weekly.vault_slots < vaultSlots).length,
+        empty: rows.filter(row => row.weekly.vault_slots === 0).length
+      },
+      members: rows
+    };
+  }
+
+  // Role counts and raid buff/debuff coverage; only active members by default
+  async getComposition(guildKey = null, { ranks = null, activity = ['active'] } = {}) {
+    const members = (await this.getGuildMembers(guildKey, { ranks }))
+      .filter(member => !activity || activity.length === 0 || activity.includes(member.activity_status));
+    return { activity, ...this.raidComposition.summarize(members) };
+  }
+
+  // Raid catalogue (newest first) merged with the raids members have progression in
+  async getRaids(guildKey = null) {
+    const guild = guildKey ? this.getGuild(guildKey) : null;
+    const catalogue = this.externalApi.raidCatalogue;
+    const [raids, tracked, defaultRaid] = await Promise.all([
+      catalogue.getRaids(),
+      this.db.getTrackedRaids(guild ? guild.id : null),
+      catalogue.getDefaultRaidKey()
+    ]);
+
+    const trackedByKey = new Map(tracked.map(entry => [entry.raid, entry]));
+    const known = new Set(raids.map(raid => raid.key));
+    const entries = [
+      ...raids,
+      // Raids Raider.IO reports that the journal doesn't list (or all of them when it was unreachable)
+      ...tracked.filter(entry => !known.has(entry.raid)).map(entry => ({ key: entry.raid, name: catalogue.formatName(entry.raid) }))
+    ];
+
+    return {
+      default: defaultRaid || tracked[0]?.raid || null,
+      raids: entries.map(raid => ({
+        key: raid.key,
+        name: raid.name,
+        expansion: raid.expansion || null,
+        journal_id: raid.journal_id || null,
+        total_bosses: trackedByKey.get(raid.key)?.total_bosses || null,
+        members: trackedByKey.get(raid.key)?.members || 0,
+        members_with_kills: trackedByKey.get(raid.key)?.members_with_kills || 0
+      }))
+    };
+  }
+
+  // Raid team (RAID_TEAM_RANKS) and how many of them make a majority (PROGRESSION_MAJORITY)
+  async getRaidTeam(guild) {
+    const { teamRanks, majority } = this.config.progression;
+    const team = await this.getGuildMembers(guild.key, { ranks: teamRanks.length > 0 ? teamRanks : null });
+    return {
+      team,
+      needed: Math.floor(team.length * majority) + 1
+    };
+  }
+
+  // Raid team kills per boss and difficulty: key -> { raid, raid_name, encounter_id, encounter_name, difficulty, kills }
+  groupBossKills(kills, team) {
+    const teamKeys = new Set(team.map(member => `${member.character_name}-${member.realm}`));
+    const bosses = new Map();
+    for (const kill of kills) {
+      if (!teamKeys.has(`${kill.character_name}-${kill.realm}`)) continue;
+
+      const key = `${kill.encounter_id}-${kill.difficulty}`;
+      if (!bosses.has(key)) {
+        const { raid, raid_name, encounter_id, encounter_name, difficulty } = kill;
+        bosses.set(key, { raid, raid_name, encounter_id, encounter_name, difficulty, kills: [] });
+      }
+      bosses.get(key).kills.push(kill);
+    }
+    return bosses;
+  }
+
+  // Records bosses a majority of the raid team newly has down. The majority was reached
+  // with the first kill of the member who completed it; recorded entries are never changed.
+  async updateProgressionTimeline(guild) {
+    const { team, needed } = await this.getRaidTeam(guild);
+    if (team.length === 0) {
+      return [];
+    }
+
+    const recorded = new Set((await this.db.getGuildProgression(guild.id))
+      .map(entry => `${entry.encounter_id}-${entry.difficulty}`));
+    const bosses = this.groupBossKills(await this.db.getGuildBossKills(guild.id), team);
+
+    const entries = [];
+    for (const [key, boss] of bosses) {
+      if (recorded.has(key) || boss.kills.length < needed) continue;
+
+      const firstKills = boss.kills.map(kill => kill.first_killed_at).sort((a, b) => a - b);
+      const { kills, ...encounter } = boss;
+      entries.push({
+        ...encounter,
+        killed_at: firstKills[needed - 1],
+        killers: kills.length,
+        team_size: team.length
+      });
+    }
+
+    if (entries.length === 0) {
+      return [];
+    }
+
+    entries.sort((a, b) => a.killed_at - b.killed_at);
+    await this.db.recordGuildProgression(guild.id, entries);
+
+    for (const entry of entries) {
+      Logger.info(`🏆 ${guild.name}: ${entry.encounter_name} (${entry.difficulty}) down for ${entry.killers}/${entry.team_size} of the raid team`);
+      EventBus.publish(Events.GUILD_BOSS_KILLED, {
+        guild: guild.key,
+        raid: entry.raid,
+        encounter_name: entry.encounter_name,
+        difficulty: entry.difficulty,
+        killed_at: entry.killed_at.toISOString(),
+        killers: entry.killers,
+        team_size: entry.team_size
+      });
+    }
+    return entries;
+  }
+
+  // Guild timeline plus the raid team's current kills per boss and difficulty
+  async getProgression(guildKey, { raid = null } = {}) {
+    const guild = this.getGuild(guildKey);
+    const { team, needed } = await this.getRaidTeam(guild);
+    const [timeline, kills, raidOrder] = await Promise.all([
+      this.db.getGuildProgression(guild.id, raid),
+      this.db.getGuildBossKills(guild.id),
+      this.externalApi.raidCatalogue.getRaidOrder()
+    ]);
+
+    const recorded = new Map(timeline.map(entry => [`${entry.encounter_id}-${entry.difficulty}`, entry]));
+    const bosses = this.groupBossKills(kills.filter(kill => !raid || kill.raid === raid), team);
+
+    const raids = new Map();
+    for (const [key, boss] of bosses) {
+      if (!raids.has(boss.raid)) {
+        raids.set(boss.raid, { raid: boss.raid, raid_name: boss.raid_name, bosses: new Map() });
+      }
+      const encounters = raids.get(boss.raid).bosses;
+      if (!encounters.has(boss.encounter_id)) {
+        encounters.set(boss.encounter_id, { encounter_id: boss.encounter_id, encounter_name: boss.encounter_name, first_kill: null, difficulties: {} });
+      }
+
+      const encounter = encounters.get(boss.encounter_id);
+      const firstKill = new Date(Math.min(...boss.kills.map(kill => kill.first_killed_at)));
+      encounter.first_kill = encounter.first_kill && encounter.first_kill < firstKill ? encounter.first_kill : firstKill;
+      encounter.difficulties[boss.difficulty] = {
+        killers: boss.kills.length,
+        guild_killed_at: recorded.get(key)?.killed_at || null
+      };
+    }
+
+    const position = key => raidOrder.has(key) ? raidOrder.get(key) : raidOrder.size;
+    return {
+      team: {
+        ranks: this.config.progression.teamRanks,
+        size: team.length,
+        needed
+      },
+      timeline: timeline.map(({ id, guild_id, ...entry }) => entry),
+      // Newest raid first; bosses in the order the team first killed them
+      raids: [...raids.values()]
+        .sort((a, b) => position(a.raid) - position(b.raid))
+        .map(entry => ({
+          raid: entry.raid,
+          raid_name: entry.raid_name,
+          bosses: [...entry.bosses.values()]
+            .sort((a, b) => a.first_kill - b.first_kill)
+            .map(({ first_kill, ...boss }) => boss)
+        }))
+    };
+  }
+
+  async getSeasons() {
+    return await this.db.getSeasons();
+  }
+
+  async getGuilds() {
+    const guilds = await this.db.getGuilds();
+    return guilds.map(guild => ({
+      ...guild,
+      rank_names: this.getGuildConfig(guild.key)?.rankNames || []
+    }));
+  }
+
+  getGuildConfig(guildKey) {
+    return this.config.guilds.find(guild => guild.key === guildKey) || null;
+  }
+
+  // Blizzard only reports the rank index; names come from GUILD_RANKS / GUILDS
+  getRankName(guildKey, rank) {
+    if (rank === null || rank === undefined) {
+      return null;
+    }
+
+    const rankNames = this.getGuildConfig(guildKey)?.rankNames || [];
+    return rankNames[rank] || (rank === 0 ? 'Guild Master' : `Rank ${rank}`);
   }
 
 }
@@ -6,7 +6,19 @@ const express = require('express');
 const path = require('path');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const PrismaService = require('./PrismaService');
 const Logger = require('../utils/Logger');
+const EventBus = require('../utils/EventBus');
+
+const { Events } = EventBus;
+
+const SYNC_JOB_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+const SYNC_RUN_TYPES = ['discovery', 'active_sync', 'missing_data', 'on_demand'];
+const MEMBERSHIP_EVENT_TYPES = ['join', 'leave', 'rejoin', 'rename', 'transfer'];
+const SEASON_TYPES = ['mythic_plus', 'pvp'];
+const ACTIVITY_STATUSES = ['active', 'casual', 'inactive', 'unknown'];
+const REGIONS = ['us', 'eu', 'kr', 'tw'];
+const GEAR_AUDIT_RULES = require('../utils/GearAudit').RULES;
 
 class HealthServer {
   constructor(port = 3001) {
@@ -14,6 +26,144 @@ class HealthServer {
     this.app = express();
     this.server = null;
     this.io = null;
+    this.unsubscribeEvents = null;
+  }
+
+  // Guards mutating endpoints when ADMIN_API_KEY is set (open otherwise)
+  requireAdmin(req, res, next) {
+    const apiKey = global.guildSyncService?.config?.admin?.apiKey;
+    if (!apiKey) {
+      return next();
+    }
+
+    if (req.get('Authorization') !== `Bearer ${apiKey}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  }
+
+  // External API response cache counters per endpoint family (Prometheus lines)
+  formatCacheMetrics(cacheStats) {
+    const families = Object.entries(cacheStats?.families || {});
+    const counter = (name, help, key) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...families.map(([family, counts]) => `${name}{family="${family}"} ${counts[key]}`),
+      ``
+    ];
+
+    return [
+      ...counter('guild_sync_http_cache_hits_total', 'External API responses served from the cache', 'hits'),
+      ...counter('guild_sync_http_cache_misses_total', 'External API responses fetched because nothing fresh was cached', 'misses'),
+      ...counter('guild_sync_http_cache_revalidated_total', 'Expired cache entries confirmed unchanged by a 304 response', 'revalidated'),
+      `# HELP guild_sync_http_cache_entries Responses currently cached`,
+      `# TYPE guild_sync_http_cache_entries gauge`,
+      `guild_sync_http_cache_entries ${cacheStats?.entries || 0}`,
+      ``
+    ];
+  }
+
+  // Translates domain events into the Socket.IO events the dashboard listens to
+  forwardEventsToSocket() {
+    const handlers = {
+      [Events.SYNC_PROGRESS]: (event) => {
+        this.io.emit('syncProgress', {
+          guild: event.guild,
+          current: event.current,
+          total: event.total,
+          errors: event.errors,
+          character: event.character,
+          status: event.status,
+          type: event.sync_type
+        });
+      },
+      [Events.MEMBER_UPDATED]: (event) => {
+        this.io.emit('memberDataUpdated', {
+          guild: event.guild,
+          character_name: event.character_name,
+          realm: event.realm,
+          data: event.data,
+          timestamp: event.timestamp
+        });
+      },
+      [Events.ROSTER_UPDATED]: (event) => {
+        this.io.emit('membersUpdated', {
+          guild: event.guild,
+          members: event.members,
+          count: event.members.length,
+          timestamp: event.timestamp,
+          syncType: event.sync_type,
+          lastSync: event.last_sync
+        });
+      },
+      [Events.SYNC_RUN_FINISHED]: (event) => {
+        const failed = event.status === 'failed';
+        if (event.sync_type === 'discovery') {
+          this.io.emit(failed ? 'discoveryError' : 'discoveryComplete', failed
+            ? { guild: event.guild, message: `Guild discovery failed: ${event.error_message}`, timestamp: event.timestamp }
+            : { guild: event.guild, total: event.processed, updated: event.updated, errors: event.failed, duration: event.duration, timestamp: event.timestamp });
+        } else if (failed) {
+          this.io.emit('syncError', { guild: event.guild, message: `Sync failed: ${event.error_message}`, timestamp: event.timestamp });
+        } else if (event.sync_type === 'missing_data') {
+          this.io.emit('missingDataSyncComplete', { guild: event.guild, synced: event.updated, errors: event.failed, timestamp: event.timestamp });
+        } else {
+          this.io.emit('syncComplete', {
+            guild: event.guild,
+            current: event.processed,
+            total: event.processed,
+            errors: event.failed,
+            duration: event.duration,
+            status: 'complete',
+            type: event.sync_type
+          });
+        }
+
+        const paused = event.status === 'paused';
+        this.io.emit('log', {
+          type: failed ? 'error' : paused ? 'warning' : 'success',
+          message: failed
+            ? `${event.sync_type} for ${event.guild} failed: ${event.error_message}`
+            : `${event.sync_type} for ${event.guild} ${paused ? 'paused (provider outage)' : 'finished'}`,
+          timestamp: event.timestamp,
+          stats: { processed: event.updated, errors: event.failed, duration: event.duration }
+        });
+      },
+      [Events.MEMBER_JOINED]: (event) => {
+        this.io.emit('log', { type: 'info', message: `${event.character_name} ${event.rejoin ? 'rejoined' : 'joined'} ${event.guild}`, timestamp: event.timestamp });
+      },
+      [Events.MEMBER_LEFT]: (event) => {
+        this.io.emit('log', { type: 'warning', message: `${event.character_name} left ${event.guild}`, timestamp: event.timestamp });
+      },
+      [Events.MEMBER_RENAMED]: (event) => {
+        this.io.emit('log', { type: 'info', message: `${event.previous_name}-${event.previous_realm} is now ${event.character_name}-${event.realm} (${event.change})`, timestamp: event.timestamp });
+      },
+      [Events.SEASON_ROLLED_OVER]: (event) => {
+        this.io.emit('seasonRollover', {
+          season_type: event.season_type,
+          previous_season: event.previous_season,
+          season: event.season,
+          archived: event.archived,
+          timestamp: event.timestamp
+        });
+        this.io.emit('log', { type: 'info', message: `${event.season_type} season ${event.previous_season} archived (${event.archived} characters)`, timestamp: event.timestamp });
+      },
+      [Events.GUILD_BOSS_KILLED]: (event) => {
+        this.io.emit('progressionUpdated', { guild: event.guild, raid: event.raid, timestamp: event.timestamp });
+        this.io.emit('log', { type: 'success', message: `${event.guild}: ${event.encounter_name} (${event.difficulty}) down for ${event.killers}/${event.team_size} of the raid team`, timestamp: event.timestamp });
+      },
+      [Events.PROVIDER_CIRCUIT_CHANGED]: (event) => {
+        this.io.emit('log', {
+          type: event.state === 'open' ? 'error' : event.state === 'closed' ? 'success' : 'info',
+          message: event.state === 'open'
+            ? `${event.provider} unavailable, requests paused until ${event.retry_at}`
+            : `${event.provider} circuit ${event.state === 'closed' ? 'closed, requests resumed' : 'half-open, probing'}`,
+          timestamp: event.timestamp
+        });
+      }
+    };
+
+    const unsubscribers = Object.entries(handlers).map(([type, handler]) => EventBus.subscribe(type, handler));
+    this.unsubscribeEvents = () => unsubscribers.forEach(unsubscribe => unsubscribe());
   }
 
   async start() {
@@ -90,8 +240,9 @@ class HealthServer {
           `# HELP guild_sync_uptime_seconds Service uptime in seconds`,
           `# TYPE guild_sync_uptime_seconds gauge`,
           `guild_sync_uptime_seconds ${Math.floor((stats.uptimeMs || 0) / 1000)}`,
-          ``
-        ].join('\\n');
+          ``,
+          ...this.formatCacheMetrics(stats.httpCache)
+        ].join('\n');
 
         res.set('Content-Type', 'text/plain');
         res.send(metrics);
@@ -102,6 +253,119 @@ class HealthServer {
       }
     });
 
+    // Configured guilds API endpoint
+    this.app.get('/api/guilds', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const guilds = await global.guildSyncService.getGuilds();
+        res.json({
+          count: guilds.length,
+          guilds: guilds
+        });
+      } catch (error) {
+        Logger.error('Guilds endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get guilds', details: error.message });
+      }
+    });
+
+    this.app.get('/api/raids', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const guildKey = req.query.guild || null;
+        if (guildKey && !global.guildSyncService.getGuild(guildKey)) {
+          return res.status(404).json({ error: `Unknown guild: ${guildKey}` });
+        }
+
+        const catalogue = await global.guildSyncService.getRaids(guildKey);
+        res.json({
+          guild: guildKey,
+          ...catalogue,
+          count: catalogue.raids.length
+        });
+      } catch (error) {
+        Logger.error('Raids endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get raids', details: error.message });
+      }
+    });
+
+    // Realm registry of a region (default: the primary guild's region)
+    this.app.get('/api/realms', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const region = (req.query.region || global.guildSyncService.config.guild.region).toLowerCase();
+        if (!REGIONS.includes(region)) {
+          return res.status(400).json({ error: `Unknown region: ${region}`, available: REGIONS });
+        }
+
+        const realms = await global.guildSyncService.externalApi.realmRegistry.getRealms(region);
+        res.json({
+          region,
+          count: realms.length,
+          realms
+        });
+      } catch (error) {
+        Logger.error('Realms endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get realms', details: error.message });
+      }
+    });
+
+    this.app.get('/api/realms/:realm', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const region = (req.query.region || global.guildSyncService.config.guild.region).toLowerCase();
+        if (!REGIONS.includes(region)) {
+          return res.status(400).json({ error: `Unknown region: ${region}`, available: REGIONS });
+        }
+
+        const realm = await global.guildSyncService.externalApi.realmRegistry.getRealm(req.params.realm, region);
+        if (!realm) {
+          return res.status(404).json({ error: `Unknown realm: ${req.params.realm} (${region})` });
+        }
+
+        res.json({ region, ...realm });
+      } catch (error) {
+        Logger.error('Realm endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to resolve realm', details: error.message });
+      }
+    });
+
+    this.app.get('/api/progression', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        // The timeline is per guild; the primary guild unless one is picked
+        const guildKey = req.query.guild || global.guildSyncService.config.guilds[0].key;
+        if (!global.guildSyncService.getGuild(guildKey)) {
+          return res.status(404).json({ error: `Unknown guild: ${guildKey}` });
+        }
+
+        const raid = req.query.raid || null;
+        const progression = await global.guildSyncService.getProgression(guildKey, { raid });
+        res.json({
+          guild: guildKey,
+          raid,
+          ...progression
+        });
+      } catch (error) {
+        Logger.error('Progression endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get guild progression', details: error.message });
+      }
+    });
+
     // Guild members API endpoint
     this.app.get('/api/members', async (req, res) => {
       try {
@@ -109,8 +373,39 @@ class HealthServer {
           return res.status(503).json({ error: 'Service not ready' });
         }
 
-        const members = await global.guildSyncService.getGuildMembers();
+        const guildKey = req.query.guild || null;
+        if (guildKey && !global.guildSyncService.getGuild(guildKey)) {
+          return res.status(404).json({ error: `Unknown guild: ${guildKey}` });
+        }
+
+        const ranks = req.query.rank
+          ? req.query.rank.split(',').map(rank => rank.trim()).filter(Boolean)
+          : null;
+
+        if (req.query.view === 'players') {
+          const players = await global.guildSyncService.getPlayers(guildKey, { ranks });
+          return res.json({
+            guild: guildKey,
+            ranks,
+            view: 'players',
+            count: players.length,
+            players: players
+          });
+        }
+
+        const raid = req.query.raid || null;
+        if (raid) {
+          const { raids } = await global.guildSyncService.getRaids(guildKey);
+          if (!raids.some(entry => entry.key === raid)) {
+            return res.status(400).json({ error: `Unknown raid: ${raid}`, available: raids.map(entry => entry.key) });
+          }
+        }
+
+        const members = await global.guildSyncService.getGuildMembers(guildKey, { ranks, raid });
         res.json({
+          guild: guildKey,
+          ranks,
+          raid,
           count: members.length,
           members: members
         });
@@ -121,8 +416,180 @@ class HealthServer {
       }
     });
 
+    // Character stat history (snapshots written on every sync pass)
+    this.app.get('/api/members/:realm/:name/history', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+          return res.status(400).json({ error: 'Invalid date range', details: 'from/to must be ISO dates' });
+        }
+
+        const metrics = req.query.metrics
+          ? req.query.metrics.split(',').map(metric => metric.trim()).filter(Boolean)
+          : PrismaService.SNAPSHOT_METRICS;
+        const unknownMetrics = metrics.filter(metric => !PrismaService.SNAPSHOT_METRICS.includes(metric));
+        if (unknownMetrics.length > 0) {
+          return res.status(400).json({
+            error: `Unknown metrics: ${unknownMetrics.join(', ')}`,
+            available: PrismaService.SNAPSHOT_METRICS
+          });
+        }
+
+        const history = await global.guildSyncService.db.getCharacterHistory(req.params.name, req.params.realm, {
+          from,
+          to,
+          metrics
+        });
+
+        if (!history) {
+          return res.status(404).json({ error: 'Character not found' });
+        }
+
+        res.json({
+          ...history,
+          metrics,
+          count: history.snapshots.length
+        });
+      } catch (error) {
+        Logger.error('History endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get character history', details: error.message });
+      }
+    });
+
     // Manual endpoints removed - all operations are now automated via cron jobs
 
+    // Equipped items of a character, with their enchant/gem audit
+    this.app.get('/api/members/:realm/:name/gear', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const gear = await global.guildSyncService.getCharacterGear(req.params.name, req.params.realm);
+        if (!gear) {
+          return res.status(404).json({ error: 'Character not found' });
+        }
+
+        res.json(gear);
+      } catch (error) {
+        Logger.error('Gear endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get character gear', details: error.message });
+      }
+    });
+
+    // Best Mythic+ key per dungeon for every member (dungeon matrix)
+    this.app.get('/api/mythic-plus/dungeons', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const guildKey = req.query.guild || null;
+        if (guildKey && !global.guildSyncService.getGuild(guildKey)) {
+          return res.status(404).json({ error: `Unknown guild: ${guildKey}` });
+        }
+
+        const minLevel = req.query.min_level ? parseInt(req.query.min_level, 10) : null;
+        if (req.query.min_level && !(minLevel > 0)) {
+          return res.status(400).json({ error: 'min_level must be a positive key level' });
+        }
+
+        const ranks = req.query.rank
+          ? req.query.rank.split(',').map(rank => rank.trim()).filter(Boolean)
+          : null;
+
+        const matrix = await global.guildSyncService.getMythicPlusMatrix(guildKey, { ranks, minLevel });
+        res.json({
+          guild: guildKey,
+          ranks,
+          min_level: minLevel,
+          ...matrix,
+          count: matrix.members.length
+        });
+      } catch (error) {
+        Logger.error('Mythic+ dungeons endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to build Mythic+ dungeon matrix', details: error.message });
+      }
+    });
+
+    // Missing enchants, gems and low item levels across the roster
+    this.app.get('/api/gear-audit', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const guildKey = req.query.guild || null;
+        if (guildKey && !global.guildSyncService.getGuild(guildKey)) {
+          return res.status(404).json({ error: `Unknown guild: ${guildKey}` });
+        }
+
+        const rule = req.query.rule || null;
+        if (rule && !GEAR_AUDIT_RULES.includes(rule)) {
+          return res.status(400).json({ error: `Unknown rule: ${rule}`, available: GEAR_AUDIT_RULES });
+        }
+
+        const ranks = req.query.rank
+          ? req.query.rank.split(',').map(rank => rank.trim()).filter(Boolean)
+          : null;
+
+        const report = await global.guildSyncService.getGearAudit(guildKey, { ranks, rule });
+        res.json({
+          guild: guildKey,
+          ranks,
+          rule,
+          generated_at: new Date().toISOString(),
+          ...report,
+          count: report.members.length
+        });
+      } catch (error) {
+        Logger.error('Gear audit endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to build gear audit', details: error.message });
+      }
+    });
+
+    // Role counts and raid buff coverage of the roster
+    this.app.get('/api/composition', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const guildKey = req.query.guild || null;
+        if (guildKey && !global.guildSyncService.getGuild(guildKey)) {
+          return res.status(404).json({ error: `Unknown guild: ${guildKey}` });
+        }
+
+        // ?activity=all counts every member regardless of activity tier
+        const activity = req.query.activity === 'all'
+          ? null
+          : (req.query.activity || 'active').split(',').map(status => status.trim()).filter(Boolean);
+        const unknownStatus = activity?.find(status => !ACTIVITY_STATUSES.includes(status));
+        if (unknownStatus) {
+          return res.status(400).json({ error: `Unknown activity status: ${unknownStatus}`, available: [...ACTIVITY_STATUSES, 'all'] });
+        }
+
+        const ranks = req.query.rank
+          ? req.query.rank.split(',').map(rank => rank.trim()).filter(Boolean)
+          : null;
+
+        const composition = await global.guildSyncService.getComposition(guildKey, { ranks, activity });
+        res.json({
+          guild: guildKey,
+          ranks,
+          ...composition
+        });
+      } catch (error) {
+        Logger.error('Composition endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to build raid composition', details: error.message });
+      }
+    });
+
     // Errors API endpoint
     this.app.get('/api/errors', async (req, res) => {
       try {
@@ -131,8 +598,13 @@ class HealthServer {
         }
 
         const limit = parseInt(req.query.limit) || 100;
-        const errors = await global.guildSyncService.db.getSyncErrors(limit);
-        const stats = await global.guildSyncService.db.getErrorStats();
+        const guild = req.query.guild ? global.guildSyncService.getGuild(req.query.guild) : null;
+        if (req.query.guild && !guild) {
+          return res.status(404).json({ error: `Unknown guild: ${req.query.guild}` });
+        }
+
+        const errors = await global.guildSyncService.db.getSyncErrors(limit, guild ? guild.id : null);
+        const stats = await global.guildSyncService.db.getErrorStats(guild ? guild.id : null);
         
         res.json({
           errors,
@@ -145,6 +617,327 @@ class HealthServer {
       }
     });
 
+    // Roster churn (joins, leaves, rejoins, renames and transfers detected by guild discovery)
+    this.app.get('/api/membership-events', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const pageSize = Math.min(200, Math.max(1, parseInt(req.query.pageSize) || 50));
+
+        const eventType = req.query.type || null;
+        if (eventType && !MEMBERSHIP_EVENT_TYPES.includes(eventType)) {
+          return res.status(400).json({ error: `Unknown event type: ${eventType}`, available: MEMBERSHIP_EVENT_TYPES });
+        }
+
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+          return res.status(400).json({ error: 'Invalid date range', details: 'from/to must be ISO dates' });
+        }
+
+        const guild = req.query.guild ? global.guildSyncService.getGuild(req.query.guild) : null;
+        if (req.query.guild && !guild) {
+          return res.status(404).json({ error: `Unknown guild: ${req.query.guild}` });
+        }
+
+        const { events, total, summary } = await global.guildSyncService.db.getMembershipEvents({
+          page,
+          pageSize,
+          guildId: guild ? guild.id : null,
+          eventType,
+          from,
+          to
+        });
+
+        res.json({
+          events,
+          summary,
+          page,
+          pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        });
+      } catch (error) {
+        Logger.error('Membership events endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get membership events', details: error.message });
+      }
+    });
+
+    // Seasons seen by the sync, and the archived standings of past ones
+    this.app.get('/api/seasons', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const seasons = await global.guildSyncService.getSeasons();
+        res.json({ seasons, total: seasons.length });
+      } catch (error) {
+        Logger.error('Seasons endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get seasons', details: error.message });
+      }
+    });
+
+    this.app.get('/api/seasons/:season/members', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const seasonType = req.query.type || null;
+        if (seasonType && !SEASON_TYPES.includes(seasonType)) {
+          return res.status(400).json({ error: `Unknown season type: ${seasonType}`, available: SEASON_TYPES });
+        }
+
+        if (req.query.guild && !global.guildSyncService.getGuild(req.query.guild)) {
+          return res.status(404).json({ error: `Unknown guild: ${req.query.guild}` });
+        }
+
+        const standings = await global.guildSyncService.getSeasonStandings(req.params.season, {
+          seasonType,
+          guildKey: req.query.guild || null
+        });
+        if (!standings) {
+          return res.status(404).json({
+            error: `No archived season: ${req.params.season}`,
+            details: 'Seasons are archived when the sync detects the next one (see /api/seasons)'
+          });
+        }
+
+        res.json({
+          season: standings.season,
+          members: standings.members,
+          total: standings.members.length
+        });
+      } catch (error) {
+        Logger.error('Season standings endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get season standings', details: error.message });
+      }
+    });
+
+    // Main/alt linking
+    this.app.post('/api/players/link', this.requireAdmin, async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const { main: mainRef, alt: altRef } = req.body || {};
+        if (!mainRef?.name || !mainRef?.realm || !altRef?.name || !altRef?.realm) {
+          return res.status(400).json({ error: 'Body must be { "main": { "realm", "name" }, "alt": { "realm", "name" } }' });
+        }
+
+        const db = global.guildSyncService.db;
+        const main = await db.findMember(mainRef.name, mainRef.realm);
+        const alt = await db.findMember(altRef.name, altRef.realm);
+        if (!main || !alt) {
+          return res.status(404).json({ error: `Character not found: ${!main ? `${mainRef.name}-${mainRef.realm}` : `${altRef.name}-${altRef.realm}`}` });
+        }
+        if (main.id === alt.id) {
+          return res.status(400).json({ error: 'A character cannot be its own alt' });
+        }
+        if (main.player_id && !main.is_main) {
+          return res.status(409).json({ error: `${main.character_name} is an alt of another player, link to that player's main instead` });
+        }
+        if (alt.is_main && alt.player_id !== main.player_id && await db.countAlts(alt.player_id) > 0) {
+          return res.status(409).json({ error: `${alt.character_name} is the main of another player, unlink it first` });
+        }
+
+        const player = await db.linkCharacters(main, alt);
+        res.json({ message: `${alt.character_name} linked as an alt of ${main.character_name}`, player });
+      } catch (error) {
+        Logger.error('Link endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to link characters', details: error.message });
+      }
+    });
+
+    this.app.post('/api/players/unlink', this.requireAdmin, async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const { name, realm } = req.body || {};
+        if (!name || !realm) {
+          return res.status(400).json({ error: 'Body must be { "realm", "name" }' });
+        }
+
+        const member = await global.guildSyncService.db.findMember(name, realm);
+        if (!member) {
+          return res.status(404).json({ error: 'Character not found' });
+        }
+        if (!member.player_id) {
+          return res.status(400).json({ error: `${member.character_name} is not linked to a player` });
+        }
+
+        const player = await global.guildSyncService.db.unlinkCharacter(member);
+        res.json({
+          message: member.is_main
+            ? `${member.character_name} was a main, its player has been dissolved`
+            : `${member.character_name} unlinked`,
+          player
+        });
+      } catch (error) {
+        Logger.error('Unlink endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to unlink character', details: error.message });
+      }
+    });
+
+    // Sync run history (one row per discovery, active, missing-data and on-demand pass)
+    this.app.get('/api/sync-runs', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 20));
+
+        const syncType = req.query.type || null;
+        if (syncType && !SYNC_RUN_TYPES.includes(syncType)) {
+          return res.status(400).json({ error: `Unknown sync type: ${syncType}`, available: SYNC_RUN_TYPES });
+        }
+
+        const guild = req.query.guild ? global.guildSyncService.getGuild(req.query.guild) : null;
+        if (req.query.guild && !guild) {
+          return res.status(404).json({ error: `Unknown guild: ${req.query.guild}` });
+        }
+
+        const { runs, total } = await global.guildSyncService.db.getSyncRuns({
+          page,
+          pageSize,
+          guildId: guild ? guild.id : null,
+          syncType
+        });
+
+        res.json({
+          runs,
+          page,
+          pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        });
+      } catch (error) {
+        Logger.error('Sync runs endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get sync runs', details: error.message });
+      }
+    });
+
+    this.app.get('/api/sync-runs/:id', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const runId = parseInt(req.params.id);
+        if (!Number.isInteger(runId)) {
+          return res.status(400).json({ error: 'Invalid sync run id' });
+        }
+
+        const run = await global.guildSyncService.db.getSyncRun(runId);
+        if (!run) {
+          return res.status(404).json({ error: 'Sync run not found' });
+        }
+
+        res.json(run);
+      } catch (error) {
+        Logger.error('Sync run endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get sync run', details: error.message });
+      }
+    });
+
+    // On-demand character sync (queued ahead of scheduled work)
+    this.app.post('/api/members/:realm/:name/sync', this.requireAdmin, async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const job = await global.guildSyncService.requestCharacterSync(req.params.name, req.params.realm);
+        if (!job) {
+          return res.status(404).json({ error: 'Character not found' });
+        }
+
+        res.status(202).json({
+          message: 'Sync queued',
+          job
+        });
+      } catch (error) {
+        Logger.error('Sync request failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to queue character sync', details: error.message });
+      }
+    });
+
+    // Character data providers and their merge priority
+    this.app.get('/api/providers', (req, res) => {
+      if (!global.guildSyncService) {
+        return res.status(503).json({ error: 'Service not ready' });
+      }
+
+      const { providers } = global.guildSyncService.externalApi;
+      res.json({
+        providers: providers.getStatus(),
+        priority: providers.config.priority,
+        fieldPriority: providers.config.fieldPriority
+      });
+    });
+
+    // Switch a provider off during an outage (and back on), until the next restart
+    this.app.post('/api/providers/:name', this.requireAdmin, (req, res) => {
+      if (!global.guildSyncService) {
+        return res.status(503).json({ error: 'Service not ready' });
+      }
+
+      const { providers } = global.guildSyncService.externalApi;
+      if (!providers.get(req.params.name)) {
+        return res.status(404).json({ error: `Unknown provider: ${req.params.name}` });
+      }
+      if (typeof req.body?.enabled !== 'boolean') {
+        return res.status(400).json({ error: 'Body must be { "enabled": true | false }' });
+      }
+
+      providers.setEnabled(req.params.name, req.body.enabled);
+      res.json({
+        message: `Provider ${req.params.name} ${req.body.enabled ? 'enabled' : 'disabled'}`,
+        providers: providers.getStatus()
+      });
+    });
+
+    // Sync job queue API endpoint
+    this.app.get('/api/sync-jobs', async (req, res) => {
+      try {
+        if (!global.guildSyncService) {
+          return res.status(503).json({ error: 'Service not ready' });
+        }
+
+        const status = req.query.status || null;
+        if (status && !SYNC_JOB_STATUSES.includes(status)) {
+          return res.status(400).json({ error: `Unknown status: ${status}`, available: SYNC_JOB_STATUSES });
+        }
+
+        const limit = parseInt(req.query.limit) || 100;
+        const guild = req.query.guild ? global.guildSyncService.getGuild(req.query.guild) : null;
+        if (req.query.guild && !guild) {
+          return res.status(404).json({ error: `Unknown guild: ${req.query.guild}` });
+        }
+
+        const jobs = await global.guildSyncService.db.getSyncJobs({ status, guildId: guild ? guild.id : null, limit });
+        const stats = await global.guildSyncService.db.getSyncJobStats(guild ? guild.id : null);
+
+        res.json({
+          jobs,
+          stats,
+          count: jobs.length
+        });
+      } catch (error) {
+        Logger.error('Sync jobs endpoint failed:', error.message || error);
+        res.status(500).json({ error: 'Failed to get sync jobs', details: error.message });
+      }
+    });
+
 
 
     // Beautiful HTML Documentation endpoint
@@ -196,11 +989,14 @@ class HealthServer {
       "activity_status": "active",
       "last_activity_check": "2025-08-23T21:39:38.000Z",
       
-      // Hourly Sync Data (active characters only - logged in within last 30 days)
+      // Hourly Sync Data (active and casual tiers only)
       "item_level": 676,
       "mythic_plus_score": 3198,
       "current_saison": "season-tww-1",
       "raid_progress": "4/8 H",
+      "best_parse_percentile": 87.4,
+      "median_parse_percentile": 62.1,
+      "raid_attendance": 90,
       "pvp_2v2_rating": 1850,
       "pvp_3v3_rating": 1920,
       "pvp_rbg_rating": 1780,
@@ -280,6 +1076,7 @@ class HealthServer {
     // API Documentation endpoint (JSON)
     this.app.get('/api/docs', (req, res) => {
       const guildConfig = global.guildSyncService?.config?.guild || {};
+      const guilds = global.guildSyncService?.config?.guilds || [];
       res.json({
         title: 'WoW Guild Sync API',
         version: '1.0.0',
@@ -289,29 +1086,71 @@ class HealthServer {
           realm: guildConfig.realm || 'Unknown',
           region: guildConfig.region || 'Unknown'
         },
+        guilds: guilds.map(guild => ({
+          key: guild.key,
+          name: guild.name,
+          realm: guild.realm,
+          region: guild.region
+        })),
         endpoints: {
+          '/api/guilds': {
+            method: 'GET',
+            description: 'List the guilds synced by this deployment',
+            response: {
+              count: 'number - Number of configured guilds',
+              guilds: 'array - Guilds with key, name, realm, region, member_count and rank_names'
+            }
+          },
           '/api/members': {
             method: 'GET',
             description: 'Get all guild members with their character data',
+            parameters: {
+              guild: 'string - Optional guild key (see /api/guilds), defaults to all guilds',
+              rank: 'string - Optional comma-separated guild ranks, as indexes (0 = Guild Master) or configured names (e.g. "Raider,Trial")',
+              view: 'string - Optional "players" to group characters per player (main + alts) instead of listing characters',
+              raid: 'string - Optional raid key (see /api/raids) whose progress is shown as raid_progress instead of the default raid'
+            },
+            players_view: {
+              players: 'array - Players with player_id (null for unlinked characters), name, main, alts, character_count, activity_status, last_login_timestamp and best',
+              best: 'object - Per stat (item_level, mythic_plus_score, achievement_points, PvP ratings) the highest { value, character_name } across the player\'s characters'
+            },
             response: {
+              guild: 'string - Guild key the members were filtered by (null for all guilds)',
+              ranks: 'array - Ranks the members were filtered by (null for all ranks)',
               count: 'number - Total number of guild members',
               members: 'array - Array of guild member objects'
             },
             member_object: {
               // Guild Discovery Data (every 6 hours)
+              blizzard_id: 'number - Blizzard character ID (stable across renames and realm transfers)',
               character_name: 'string - Character name',
               realm: 'string - Server realm',
+              guild_key: 'string - Key of the guild the character belongs to',
+              guild_rank: 'number - Guild rank index from the roster (0 = Guild Master)',
+              guild_rank_name: 'string - Rank name from GUILD_RANKS (or "Rank N" when not configured)',
+              player_id: 'number - Player the character is linked to (null when not linked)',
+              player_name: 'string - Name of that player',
+              is_main: 'boolean - Whether the character is the main of its player',
               class: 'string - Character class (e.g., Warrior, Mage)',
               level: 'number - Character level (1-80)',
               last_login_timestamp: 'number - Unix timestamp of last login',
-              activity_status: 'string - Player activity status (active, inactive). Active = logged in within last 30 days',
+              activity_status: 'string - Activity tier (active, casual, inactive, unknown). Defaults: active = logged in within 7 days, casual = within 30 days, unknown = no login data',
               last_activity_check: 'string - ISO timestamp when activity was last checked',
+              joined_at: 'string - ISO timestamp when the character last (re)joined the guild, null if present since the first import',
               
-              // Hourly Sync Data (active characters only - logged in within last 30 days)
+              // Hourly Sync Data (active and casual tiers only)
+              active_spec: 'string - Specialization the character is in (e.g., "Restoration")',
+              role: 'string - Role derived from class and active_spec (tank, healer, melee, ranged; null when unknown)',
               item_level: 'number - Average item level',
               mythic_plus_score: 'number - Mythic+ rating score',
               current_saison: 'string - Current M+ season identifier (e.g., "season-tww-1")',
-              raid_progress: 'string - Current raid progress (e.g., "4/8 H")',
+              weekly_mythic_plus_runs: 'number - M+ runs completed since the region\'s weekly reset (Raider.IO reports at most 10)',
+              weekly_highest_key_level: 'number - Highest key completed since the weekly reset',
+              weekly_runs_reset_at: 'string - ISO timestamp of the weekly reset the counts refer to',
+              raid_progress: 'string - Progress in the default raid, or the one picked with ?raid (e.g., "4/8 H")',
+              best_parse_percentile: 'number - Best Warcraft Logs parse percentile average for the current raid tier (null without Warcraft Logs)',
+              median_parse_percentile: 'number - Median Warcraft Logs parse percentile average for the current raid tier',
+              raid_attendance: 'number - Percentage of the guild\'s recent logged raids the character attended',
               pvp_2v2_rating: 'number - Current 2v2 Arena rating',
               pvp_3v3_rating: 'number - Current 3v3 Arena rating', 
               pvp_rbg_rating: 'number - Current Rated Battleground rating',
@@ -323,17 +1162,279 @@ class HealthServer {
               last_updated: 'string - ISO timestamp of last character data sync'
             }
           },
+          '/api/members/:realm/:name/history': {
+            method: 'GET',
+            description: 'Stat snapshots recorded for a character on each sync pass',
+            parameters: {
+              from: 'string - Optional ISO date, only snapshots recorded at or after this date',
+              to: 'string - Optional ISO date, only snapshots recorded at or before this date',
+              metrics: `string - Optional comma-separated list of metrics (${PrismaService.SNAPSHOT_METRICS.join(', ')})`
+            },
+            response: {
+              character_name: 'string - Character name',
+              realm: 'string - Server realm',
+              metrics: 'array - Metrics included in each snapshot',
+              count: 'number - Number of snapshots',
+              snapshots: 'array - Snapshots ordered oldest first, each with recorded_at, sync_type and the requested metrics (null when no provider returned the metric in that sync)'
+            }
+          },
+          '/api/raids': {
+            method: 'GET',
+            description: 'Raid catalogue from the Blizzard journal (newest first) with how many members have progression in each raid',
+            parameters: {
+              guild: 'string - Optional guild key'
+            },
+            response: {
+              default: 'string - Raid shown as raid_progress (RAID_DEFAULT, otherwise the newest raid)',
+              raids: 'array - Raids with key (Raider.IO slug), name, expansion, journal_id, total_bosses, members (with stored progression) and members_with_kills'
+            }
+          },
+          '/api/realms': {
+            method: 'GET',
+            description: 'Realms of a region from the Blizzard realm and connected-realm indexes (reloaded daily)',
+            parameters: {
+              region: `string - Optional region (${REGIONS.join(', ')}; default: the primary guild's region)`
+            },
+            response: {
+              realms: 'array - Realms by name with id, name, slug, connected_realm_id and connected_realms (slugs of the realms it is connected to)'
+            }
+          },
+          '/api/realms/:realm': {
+            method: 'GET',
+            description: 'Resolve a realm name, slug or localized name (e.g. "Kel\'Thuzad", "pozzo-delleternita") to its slug and connected realms',
+            parameters: {
+              region: 'string - Optional region (default: the primary guild\'s region)'
+            },
+            response: {
+              slug: 'string - Slug used for every API call',
+              connected_realms: 'array - Slugs of the connected realms'
+            }
+          },
+          '/api/progression': {
+            method: 'GET',
+            description: 'Guild progression timeline: when each boss was first killed by a majority of the raid team, plus the team\'s current kills per boss',
+            parameters: {
+              guild: 'string - Optional guild key (default: primary guild)',
+              raid: 'string - Optional raid key (see /api/raids)'
+            },
+            response: {
+              team: 'object - ranks (RAID_TEAM_RANKS, empty = every rank), size and needed (members making a majority)',
+              timeline: 'array - Guild kills in order with raid, raid_name, encounter_id, encounter_name, difficulty (lfr, normal, heroic, mythic), killed_at, killers, team_size and recorded_at',
+              raids: 'array - Raids (newest first) with bosses in kill order; each boss has difficulties -> { killers, guild_killed_at }'
+            }
+          },
+          '/api/members/:realm/:name/gear': {
+            method: 'GET',
+            description: 'Equipped items per slot with enchants, gems and set pieces, plus gear audit findings',
+            response: {
+              character_name: 'string - Character name',
+              realm: 'string - Server realm',
+              item_level: 'number - Equipped item level',
+              updated_at: 'string - ISO timestamp when the equipment was captured (null if never)',
+              equipment: 'array - Slots (HEAD ... OFF_HAND) with item_id, item_name, item_level, quality, enchant, enchant_id, sockets (null when unknown), gems and set_name',
+              set_bonuses: 'array - Item sets with the number of equipped pieces',
+              issues: 'array - Audit findings with slot, rule (missing_enchant, empty_socket, low_item_level) and message'
+            }
+          },
+          '/api/mythic-plus/dungeons': {
+            method: 'GET',
+            description: 'Dungeon-by-member matrix of current-season best M+ runs, with this week\'s runs and Great Vault slots',
+            parameters: {
+              guild: 'string - Optional guild key',
+              rank: 'string - Optional comma-separated rank indexes or names (e.g. "Raider,Trial")',
+              min_level: 'number - Optional key level a dungeon must be timed at to count as done (default: any timed run)'
+            },
+            response: {
+              season: 'string - M+ season the runs belong to',
+              week: 'object - start and end of the current weekly reset period (the guild\'s region, primary guild without ?guild)',
+              vault_thresholds: 'array - Runs needed per Great Vault slot (GREAT_VAULT_MYTHIC_PLUS_RUNS)',
+              dungeons: 'array - Dungeons with dungeon (short name), dungeon_name, timed (members done) and needed_by (members still needing it)',
+              vault: 'object - Member counts with full, partial and empty Great Vault M+ rows',
+              members: 'array - Members by M+ score with weekly { runs, highest_key_level, vault_slots }, dungeons (short name -> { mythic_level, timed, num_keystone_upgrades, score, completed_at } or null) and needs (short names)'
+            }
+          },
+          '/api/gear-audit': {
+            method: 'GET',
+            description: 'Members whose gear needs attention before raid night, most issues first',
+            parameters: {
+              guild: 'string - Optional guild key',
+              rank: 'string - Optional comma-separated rank indexes or names (e.g. "Raider,Trial")',
+              rule: `string - Optional single rule (${GEAR_AUDIT_RULES.join(', ')})`
+            },
+            response: {
+              rules: 'object - Audit configuration (enchantSlots, itemLevelMargin, minItemLevel)',
+              summary: 'object - audited, without_equipment and with_issues member counts plus issue counts per rule',
+              members: 'array - Flagged members with character_name, realm, guild_rank_name, class, item_level and issues'
+            }
+          },
+          '/api/composition': {
+            method: 'GET',
+            description: 'Raid composition: role counts from each member\'s active spec and which raid buffs and debuffs the roster covers',
+            parameters: {
+              guild: 'string - Optional guild key',
+              rank: 'string - Optional comma-separated rank indexes or names (e.g. "Raider,Trial")',
+              activity: 'string - Optional comma-separated activity tiers (active, casual, inactive, unknown) or "all" (default: active)'
+            },
+            response: {
+              activity: 'array - Activity tiers counted (null for all)',
+              total: 'number - Members counted',
+              roles: 'object - Member counts for tank, healer, melee, ranged and unknown (no spec synced yet)',
+              classes: 'object - Member counts per class',
+              buffs: 'array - Raid buffs, debuffs and utility with name, type (buff, debuff, utility), classes, providers (members bringing it) and covered',
+              missing: 'array - Names of buffs nobody in the roster brings',
+              members: 'object - Members per role with character_name, realm, class and active_spec'
+            }
+          },
+          '/api/players/link': {
+            method: 'POST',
+            description: 'Link a character as an alt of a main (creates the player on first link)',
+            authentication: 'Authorization: Bearer <ADMIN_API_KEY> (only when ADMIN_API_KEY is set)',
+            body: {
+              main: 'object - { realm, name } of the main',
+              alt: 'object - { realm, name } of the alt'
+            },
+            response: {
+              message: 'string - Confirmation message',
+              player: 'object - Player with its characters'
+            }
+          },
+          '/api/players/unlink': {
+            method: 'POST',
+            description: 'Detach a character from its player (unlinking a main dissolves the player)',
+            authentication: 'Authorization: Bearer <ADMIN_API_KEY> (only when ADMIN_API_KEY is set)',
+            body: {
+              realm: 'string - Character realm',
+              name: 'string - Character name'
+            },
+            response: {
+              message: 'string - Confirmation message',
+              player: 'object - Remaining player (null when it was dissolved)'
+            }
+          },
+          '/api/membership-events': {
+            method: 'GET',
+            description: 'Roster churn: joins, leaves, rejoins, renames and realm transfers detected by guild discovery, newest first',
+            parameters: {
+              type: `string - Optional event type (${MEMBERSHIP_EVENT_TYPES.join(', ')})`,
+              from: 'string - Optional ISO date, only events at or after this date',
+              to: 'string - Optional ISO date, only events at or before this date',
+              guild: 'string - Optional guild key (see /api/guilds)',
+              page: 'number - Page number (default 1)',
+              pageSize: 'number - Events per page (default 50, max 200)'
+            },
+            response: {
+              events: 'array - Events with character_name, realm, guild_key, event_type, occurred_at and (for renames/transfers) previous_name and previous_realm',
+              summary: 'object - Number of events per type in the date range',
+              page: 'number - Current page',
+              pageSize: 'number - Events per page',
+              total: 'number - Total number of matching events',
+              totalPages: 'number - Total number of pages'
+            }
+          },
+          '/api/seasons': {
+            method: 'GET',
+            description: 'M+ and PvP seasons seen by the sync, newest first. A season is archived (ended_at set) when the next one is detected',
+            response: {
+              seasons: 'array - Seasons with season_type (mythic_plus, pvp), season_key, started_at, ended_at and archived_members',
+              total: 'number - Number of seasons'
+            }
+          },
+          '/api/seasons/:season/members': {
+            method: 'GET',
+            description: 'Final standings of a past season, frozen when it ended. :season is a Raider.IO season slug (e.g. season-tww-1) or a Blizzard PvP season ID',
+            parameters: {
+              type: `string - Optional season type when a key is ambiguous (${SEASON_TYPES.join(', ')})`,
+              guild: 'string - Optional guild key (see /api/guilds)'
+            },
+            response: {
+              season: 'object - season_type, season_key, started_at, ended_at',
+              members: 'array - Archived characters ranked by M+ score (mythic_plus) or best PvP rating (pvp), with position, character_name, realm, guild_key, class, guild_rank, guild_rank_name, item_level, mythic_plus_score, raid_progress, PvP ratings and achievement_points',
+              total: 'number - Number of archived characters'
+            }
+          },
+          '/api/sync-runs': {
+            method: 'GET',
+            description: 'History of sync runs, newest first',
+            parameters: {
+              page: 'number - Page number (default 1)',
+              pageSize: 'number - Runs per page (default 20, max 100)',
+              type: `string - Optional sync type (${SYNC_RUN_TYPES.join(', ')})`,
+              guild: 'string - Optional guild key (see /api/guilds)'
+            },
+            response: {
+              runs: 'array - Runs with sync_type, trigger (cron, startup, manual), status (running, completed, failed, paused), started_at, finished_at, duration_seconds, processed, updated and failed',
+              page: 'number - Current page',
+              pageSize: 'number - Runs per page',
+              total: 'number - Total number of runs',
+              totalPages: 'number - Total number of pages'
+            }
+          },
+          '/api/sync-runs/:id': {
+            method: 'GET',
+            description: 'A single sync run with the characters that failed and why',
+            response: {
+              failures: 'array - Failed characters with character_name, realm, error_type (api_404, api_rate_limited, api_server_error, api_timeout, ...), error_message, service, retry_count and timestamp'
+            }
+          },
+          '/api/members/:realm/:name/sync': {
+            method: 'POST',
+            description: 'Queue an immediate sync for a character, ahead of scheduled work',
+            authentication: 'Authorization: Bearer <ADMIN_API_KEY> (only when ADMIN_API_KEY is set)',
+            response: {
+              message: 'string - Confirmation message',
+              job: 'object - Queued sync job (status 202)'
+            }
+          },
+          '/api/providers': {
+            method: 'GET',
+            description: 'Character data providers, the fields each can supply and the merge priority',
+            response: {
+              providers: 'array - Providers with name, enabled, available (false while its API circuit is open) and fields',
+              priority: 'array - Default provider order (PROVIDER_PRIORITY)',
+              fieldPriority: 'object - Per-field provider order overrides (PROVIDER_FIELD_PRIORITY)'
+            }
+          },
+          '/api/providers/:name': {
+            method: 'POST',
+            description: 'Enable or disable a provider at runtime (e.g. during an outage); its fields fall back to the next provider. Resets on restart, use PROVIDERS_DISABLED to persist',
+            authentication: 'Authorization: Bearer <ADMIN_API_KEY> (only when ADMIN_API_KEY is set)',
+            body: {
+              enabled: 'boolean - Whether the provider should be used'
+            },
+            response: {
+              message: 'string - Confirmation message',
+              providers: 'array - Updated provider list'
+            }
+          },
+          '/api/sync-jobs': {
+            method: 'GET',
+            description: 'Inspect the persistent sync job queue',
+            parameters: {
+              status: `string - Optional job status (${SYNC_JOB_STATUSES.join(', ')})`,
+              guild: 'string - Optional guild key (see /api/guilds)',
+              limit: 'number - Maximum number of jobs to return (default 100)'
+            },
+            response: {
+              jobs: 'array - Jobs with member, sync_type, status, priority, attempts, run_at and last_error',
+              stats: 'object - Job counts per status',
+              count: 'number - Number of jobs returned'
+            }
+          },
           '/api/docs': {
             method: 'GET', 
             description: 'This API documentation'
           },
           '/health': {
             method: 'GET',
-            description: 'Health check endpoint for monitoring'
+            description: 'Health check endpoint for monitoring',
+            response: {
+              circuits: 'object - Circuit breaker per external API (blizzard, raiderIO, warcraftLogs) with state (closed, open, half_open), failureRate, requests, openedAt and retryAt',
+              blizzardAuth: 'array - Blizzard API clients with clientId (masked), hasToken, refreshing, obtainedAt, expiresAt, refreshes, invalidations (tokens rejected with 401), issued, lastError and retryAt'
+            }
           },
           '/metrics': {
             method: 'GET',
-            description: 'Prometheus metrics endpoint'
+            description: 'Prometheus metrics endpoint (sync counters, uptime, external API cache hits/misses/revalidations per endpoint family)'
           }
         },
         examples: {
@@ -347,11 +1448,17 @@ class HealthServer {
             activity_status: 'active',
             last_activity_check: '2025-08-23T21:39:38.000Z',
             
-            // Hourly Sync Data (active characters only - logged in within last 30 days)
+            // Hourly Sync Data (active and casual tiers only)
             item_level: 676,
             mythic_plus_score: 3198,
             current_saison: 'season-tww-1',
+            weekly_mythic_plus_runs: 5,
+            weekly_highest_key_level: 12,
+            weekly_runs_reset_at: '2025-08-20T04:00:00.000Z',
             raid_progress: '4/8 H',
+            best_parse_percentile: 87.4,
+            median_parse_percentile: 62.1,
+            raid_attendance: 90,
             pvp_2v2_rating: 1850,
             pvp_3v3_rating: 1920,
             pvp_rbg_rating: 1780,
@@ -392,8 +1499,7 @@ class HealthServer {
         });
       });
       
-      // Make io globally accessible for other services
-      global.io = this.io;
+      this.forwardEventsToSocket();
       
       this.server.listen(this.port, (error) => {
         if (error) {
@@ -407,6 +1513,9 @@ class HealthServer {
   }
 
   async stop() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+    }
     if (this.io) {
       this.io.close();
     }
@@ -1,5 +1,39 @@
 const { PrismaClient } = require('@prisma/client');
 
+// Stats captured in each character snapshot (and accepted as history metric filters)
+const SNAPSHOT_METRICS = [
+  'item_level',
+  'mythic_plus_score',
+  'pvp_2v2_rating',
+  'pvp_3v3_rating',
+  'pvp_rbg_rating',
+  'solo_shuffle_rating',
+  'rbg_shuffle_rating',
+  'achievement_points',
+  'raid_progress',
+  'best_parse_percentile',
+  'median_parse_percentile',
+  'raid_attendance',
+];
+
+// Stats frozen per character when a season ends
+const SEASON_ARCHIVE_FIELDS = [
+  'class',
+  'guild_rank',
+  'item_level',
+  'mythic_plus_score',
+  'raid_progress',
+  'pvp_2v2_rating',
+  'pvp_3v3_rating',
+  'pvp_rbg_rating',
+  'solo_shuffle_rating',
+  'max_solo_shuffle_rating',
+  'rbg_shuffle_rating',
+  'achievement_points',
+];
+
+const SYNC_DUE_GRACE_MS = 10 * 60 * 1000;
+
 class PrismaService {
   constructor() {
     this.prisma = new PrismaClient();
@@ -27,41 +61,73 @@ class PrismaService {
       throw new Error(`Invalid member data: character_name=${characterName}, realm=${realm}`);
     }
 
+    // Roster characters are keyed on their Blizzard ID; the name only identifies rows without one
+    if (member.blizzard_id) {
+      await this.releaseCharacterName(characterName, realm, member.blizzard_id);
+    }
+
     return await this.prisma.guildMember.upsert({
-      where: {
-        character_name_realm: {
-          character_name: characterName,
-          realm: realm,
+      where: member.blizzard_id
+        ? { blizzard_id: member.blizzard_id }
+        : {
+          character_name_realm: {
+            character_name: characterName,
+            realm: realm,
+          },
         },
-      },
+      // Fields left undefined (e.g. stats during roster discovery) keep their stored value
       update: {
+        character_name: characterName,
+        realm: realm,
+        blizzard_id: member.blizzard_id,
+        guild_id: member.guild_id,
+        guild_rank: member.guild_rank,
         class: member.class,
+        active_spec: member.active_spec,
+        role: member.role,
         level: member.level,
         item_level: member.item_level,
         mythic_plus_score: member.mythic_plus_score,
         current_saison: member.current_saison,
-        current_pvp_rating: member.current_pvp_rating || 0,
+        weekly_mythic_plus_runs: member.weekly_mythic_plus_runs,
+        weekly_highest_key_level: member.weekly_highest_key_level,
+        weekly_runs_reset_at: member.weekly_runs_reset_at,
+        current_pvp_rating: member.current_pvp_rating,
         raid_progress: member.raid_progress,
-        pvp_2v2_rating: member.pvp_2v2_rating || 0,
-        pvp_3v3_rating: member.pvp_3v3_rating || 0,
-        pvp_rbg_rating: member.pvp_rbg_rating || 0,
-        achievement_points: member.achievement_points || 0,
-        solo_shuffle_rating: member.solo_shuffle_rating || 0,
-        max_solo_shuffle_rating: member.max_solo_shuffle_rating || 0,
-        rbg_shuffle_rating: member.rbg_shuffle_rating || 0,
+        best_parse_percentile: member.best_parse_percentile,
+        median_parse_percentile: member.median_parse_percentile,
+        raid_attendance: member.raid_attendance,
+        pvp_2v2_rating: member.pvp_2v2_rating,
+        pvp_3v3_rating: member.pvp_3v3_rating,
+        pvp_rbg_rating: member.pvp_rbg_rating,
+        achievement_points: member.achievement_points,
+        solo_shuffle_rating: member.solo_shuffle_rating,
+        max_solo_shuffle_rating: member.max_solo_shuffle_rating,
+        rbg_shuffle_rating: member.rbg_shuffle_rating,
         last_hourly_check: member.mythic_plus_score !== undefined || member.item_level !== undefined || member.raid_progress !== undefined ? new Date() : undefined,
         last_updated: new Date(),
       },
       create: {
         character_name: characterName,
         realm: realm,
+        blizzard_id: member.blizzard_id,
+        guild_id: member.guild_id,
+        guild_rank: member.guild_rank,
         class: member.class,
+        active_spec: member.active_spec,
+        role: member.role,
         level: member.level,
         item_level: member.item_level,
         mythic_plus_score: member.mythic_plus_score,
         current_saison: member.current_saison,
+        weekly_mythic_plus_runs: member.weekly_mythic_plus_runs,
+        weekly_highest_key_level: member.weekly_highest_key_level,
+        weekly_runs_reset_at: member.weekly_runs_reset_at,
         current_pvp_rating: member.current_pvp_rating || 0,
         raid_progress: member.raid_progress,
+        best_parse_percentile: member.best_parse_percentile,
+        median_parse_percentile: member.median_parse_percentile,
+        raid_attendance: member.raid_attendance,
         pvp_2v2_rating: member.pvp_2v2_rating || 0,
         pvp_3v3_rating: member.pvp_3v3_rating || 0,
         pvp_rbg_rating: member.pvp_rbg_rating || 0,
@@ -74,6 +140,58 @@ class PrismaService {
     });
   }
 
+  async ensureGuild(guild) {
+    return await this.prisma.guild.upsert({
+      where: { key: guild.key },
+      update: {
+        name: guild.name,
+        realm: guild.realm,
+        region: guild.region,
+      },
+      create: {
+        key: guild.key,
+        name: guild.name,
+        realm: guild.realm,
+        region: guild.region,
+      },
+    });
+  }
+
+  async getGuilds() {
+    const guilds = await this.prisma.guild.findMany({
+      include: {
+        _count: { select: { members: { where: { left_at: null } } } },
+      },
+      orderBy: { id: 'asc' },
+    });
+
+    return guilds.map(({ _count, ...guild }) => ({
+      ...guild,
+      member_count: _count.members,
+    }));
+  }
+
+  async getGuildByKey(key) {
+    return await this.prisma.guild.findUnique({ where: { key } });
+  }
+
+  // Rows written before multi-guild support have no guild - hand them to the primary guild
+  async assignUnscopedRows(guildId) {
+    const members = await this.prisma.guildMember.updateMany({
+      where: { guild_id: null },
+      data: { guild_id: guildId },
+    });
+    await this.prisma.syncError.updateMany({
+      where: { guild_id: null },
+      data: { guild_id: guildId },
+    });
+    await this.prisma.syncLog.updateMany({
+      where: { guild_id: null },
+      data: { guild_id: guildId },
+    });
+    return members.count;
+  }
+
   async cleanupDuplicates() {
     // Prisma handles uniqueness automatically with the unique constraint
     // This method is kept for backward compatibility but doesn't need to do anything
@@ -81,41 +199,74 @@ class PrismaService {
     return Promise.resolve();
   }
 
-  async schedulePlayerSync(characterName, realm, region, syncType) {
-    return await this.prisma.syncLog.create({
+  // ============================================================================
+  // SYNC JOB QUEUE
+  // ============================================================================
+
+  async schedulePlayerSync(member, syncType, { priority = 0, maxAttempts = 3 } = {}) {
+    // A character only needs one outstanding job per sync type
+    const existing = await this.prisma.syncJob.findFirst({
+      where: {
+        member_id: member.id,
+        sync_type: syncType,
+        status: { in: ['pending', 'processing'] },
+      },
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    return await this.prisma.syncJob.create({
       data: {
-        character_name: characterName,
-        status: 'scheduled',
-        message: `Scheduled ${syncType} sync`,
+        member_id: member.id,
+        guild_id: member.guild_id,
+        sync_type: syncType,
+        priority,
+        max_attempts: maxAttempts,
       },
     });
   }
 
   // Removed markInactiveMembers() - was based on invented is_active field
 
-  async getNextSyncJobs(limit = 10) {
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    
-    return await this.prisma.guildMember.findMany({
+  async getNextSyncJobs(limit = 10, guildId = null) {
+    return await this.prisma.syncJob.findMany({
       where: {
-        OR: [
-          { level: null },
-          { item_level: null },
-          { item_level: 0 },
-          { last_updated: { lt: oneHourAgo } },
-        ],
+        status: 'pending',
+        run_at: { lte: new Date() },
+        ...(guildId ? { guild_id: guildId } : {}),
       },
-      select: {
-        character_name: true,
-        realm: true,
-      },
-      orderBy: {
-        last_updated: 'asc',
+      include: {
+        member: {
+          select: {
+            id: true,
+            guild_id: true,
+            character_name: true,
+            realm: true,
+            class: true,
+          },
+        },
       },
+      orderBy: [
+        { priority: 'desc' },
+        { run_at: 'asc' },
+        { id: 'asc' },
+      ],
       take: limit,
     });
   }
 
+  async countDueSyncJobs(guildId = null) {
+    return await this.prisma.syncJob.count({
+      where: {
+        status: 'pending',
+        run_at: { lte: new Date() },
+        ...(guildId ? { guild_id: guildId } : {}),
+      },
+    });
+  }
+
   async healthCheck() {
     try {
       // Simple health check by counting records
@@ -126,16 +277,198 @@ class PrismaService {
     }
   }
 
+  // Claims a pending job - returns false when another worker got there first
   async markJobProcessing(jobId) {
-    return Promise.resolve();
+    const result = await this.prisma.syncJob.updateMany({
+      where: {
+        id: jobId,
+        status: 'pending',
+      },
+      data: {
+        status: 'processing',
+        locked_at: new Date(),
+        attempts: { increment: 1 },
+      },
+    });
+    return result.count === 1;
   }
 
-  async markJobCompleted(jobId, intervalMinutes) {
-    return Promise.resolve();
+  async markJobCompleted(jobId) {
+    return await this.prisma.syncJob.update({
+      where: { id: jobId },
+      data: {
+        status: 'completed',
+        locked_at: null,
+        last_error: null,
+        completed_at: new Date(),
+      },
+    });
   }
 
-  async markJobFailed(jobId, errorMessage) {
-    return Promise.resolve();
+  async markJobFailed(jobId, errorMessage, retryDelayMs = 10 * 60 * 1000) {
+    const job = await this.prisma.syncJob.findUnique({ where: { id: jobId } });
+    if (!job) {
+      return null;
+    }
+
+    const exhausted = job.attempts >= job.max_attempts;
+    return await this.prisma.syncJob.update({
+      where: { id: jobId },
+      data: {
+        status: exhausted ? 'failed' : 'pending',
+        locked_at: null,
+        last_error: errorMessage,
+        run_at: exhausted ? job.run_at : new Date(Date.now() + retryDelayMs * job.attempts),
+        completed_at: exhausted ? new Date() : null,
+      },
+    });
+  }
+
+  // Hands a claimed job back untouched (e.g. its API is down), without using up an attempt
+  async releaseJob(jobId) {
+    return await this.prisma.syncJob.update({
+      where: { id: jobId },
+      data: {
+        status: 'pending',
+        locked_at: null,
+        attempts: { decrement: 1 },
+      },
+    });
+  }
+
+  // Jobs left in 'processing' were interrupted by a crash or redeploy
+  async requeueStaleJobs() {
+    const result = await this.prisma.syncJob.updateMany({
+      where: { status: 'processing' },
+      data: {
+        status: 'pending',
+        locked_at: null,
+        run_at: new Date(),
+      },
+    });
+    return result.count;
+  }
+
+  async clearFinishedJobs(daysToKeep = 7) {
+    const cutoff = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+    const result = await this.prisma.syncJob.deleteMany({
+      where: {
+        status: { in: ['completed', 'failed'] },
+        updated_at: { lt: cutoff },
+      },
+    });
+    return result.count;
+  }
+
+  async getSyncJobs({ status = null, guildId = null, limit = 100 } = {}) {
+    return await this.prisma.syncJob.findMany({
+      where: {
+        ...(status ? { status } : {}),
+        ...(guildId ? { guild_id: guildId } : {}),
+      },
+      include: {
+        member: {
+          select: { character_name: true, realm: true },
+        },
+      },
+      orderBy: { updated_at: 'desc' },
+      take: limit,
+    });
+  }
+
+  async getSyncJobStats(guildId = null) {
+    const statuses = await this.prisma.syncJob.groupBy({
+      by: ['status'],
+      where: guildId ? { guild_id: guildId } : {},
+      _count: {
+        id: true,
+      },
+    });
+
+    return statuses.reduce((stats, entry) => {
+      stats[entry.status] = entry._count.id;
+      return stats;
+    }, { pending: 0, processing: 0, completed: 0, failed: 0 });
+  }
+
+  async findMember(characterName, realm) {
+    return await this.prisma.guildMember.findUnique({
+      where: {
+        character_name_realm: {
+          character_name: characterName,
+          realm: realm,
+        },
+      },
+    });
+  }
+
+  // Adds alt to main's player, creating the player (with main as its main) on first link
+  async linkCharacters(main, alt) {
+    return await this.prisma.$transaction(async (tx) => {
+      let playerId = main.player_id;
+      if (!playerId) {
+        const player = await tx.player.create({ data: { name: main.character_name } });
+        playerId = player.id;
+      }
+
+      await tx.guildMember.update({
+        where: { id: main.id },
+        data: { player_id: playerId, is_main: true },
+      });
+
+      const previousPlayerId = alt.player_id;
+      await tx.guildMember.update({
+        where: { id: alt.id },
+        data: { player_id: playerId, is_main: false },
+      });
+      if (previousPlayerId && previousPlayerId !== playerId) {
+        await this.deletePlayerIfEmpty(tx, previousPlayerId);
+      }
+
+      return await tx.player.findUnique({
+        where: { id: playerId },
+        include: { characters: { select: { character_name: true, realm: true, is_main: true } } },
+      });
+    });
+  }
+
+  // Unlinking a main dissolves its player; unlinking an alt just detaches it
+  async unlinkCharacter(member) {
+    return await this.prisma.$transaction(async (tx) => {
+      if (member.is_main) {
+        await tx.guildMember.updateMany({
+          where: { player_id: member.player_id },
+          data: { player_id: null, is_main: false },
+        });
+        await tx.player.delete({ where: { id: member.player_id } });
+        return null;
+      }
+
+      await tx.guildMember.update({
+        where: { id: member.id },
+        data: { player_id: null, is_main: false },
+      });
+      return await this.deletePlayerIfEmpty(tx, member.player_id);
+    });
+  }
+
+  // A player with nothing but its main left is no longer worth keeping
+  async deletePlayerIfEmpty(tx, playerId) {
+    const alts = await tx.guildMember.count({ where: { player_id: playerId, is_main: false } });
+    if (alts > 0) {
+      return await tx.player.findUnique({ where: { id: playerId } });
+    }
+
+    await tx.guildMember.updateMany({
+      where: { player_id: playerId },
+      data: { player_id: null, is_main: false },
+    });
+    await tx.player.delete({ where: { id: playerId } });
+    return null;
+  }
+
+  async countAlts(playerId) {
+    return await this.prisma.guildMember.count({ where: { player_id: playerId, is_main: false } });
   }
 
   async getMemberCount() {
@@ -208,17 +541,35 @@ class PrismaService {
     });
   }
 
-  async getGuildMembers() {
+  async getGuildMembers(guildId = null) {
     const members = await this.prisma.guildMember.findMany({
+      where: {
+        ...(guildId ? { guild_id: guildId } : {}),
+        left_at: null,
+      },
       select: {
+        blizzard_id: true,
         character_name: true,
         realm: true,
+        guild: { select: { key: true } },
+        guild_rank: true,
+        player_id: true,
+        player: { select: { name: true } },
+        is_main: true,
         class: true,
+        active_spec: true,
+        role: true,
         level: true,
         item_level: true,
         mythic_plus_score: true,
         current_saison: true,
+        weekly_mythic_plus_runs: true,
+        weekly_highest_key_level: true,
+        weekly_runs_reset_at: true,
         raid_progress: true,
+        best_parse_percentile: true,
+        median_parse_percentile: true,
+        raid_attendance: true,
         last_login_timestamp: true,
         activity_status: true,
         last_activity_check: true,
@@ -230,6 +581,8 @@ class PrismaService {
         achievement_points: true,
         solo_shuffle_rating: true,
         max_solo_shuffle_rating: true,
+        rbg_shuffle_rating: true,
+        joined_at: true,
         last_updated: true,
       },
       orderBy: [
@@ -239,13 +592,351 @@ class PrismaService {
     });
     
     // Convert BigInt to number for JSON serialization
-    return members.map(member => ({
+    return members.map(({ guild, player, ...member }) => ({
       ...member,
+      guild_key: guild?.key || null,
+      player_name: player?.name || null,
       last_login_timestamp: member.last_login_timestamp ? Number(member.last_login_timestamp) : null
     }));
   }
 
-  async logSyncError(characterName, realm, errorType, errorMessage, service, urlAttempted = null) {
+  async recordCharacterSnapshot(memberId, data, syncType) {
+    // Fields no provider returned (e.g. Blizzard disabled or down) are stored as null, not as zero
+    return await this.prisma.characterSnapshot.create({
+      data: {
+        member_id: memberId,
+        sync_type: syncType,
+        item_level: data.item_level,
+        mythic_plus_score: data.mythic_plus_score,
+        current_saison: data.current_saison,
+        pvp_2v2_rating: data.pvp_2v2_rating ?? null,
+        pvp_3v3_rating: data.pvp_3v3_rating ?? null,
+        pvp_rbg_rating: data.pvp_rbg_rating ?? null,
+        solo_shuffle_rating: data.solo_shuffle_rating ?? null,
+        rbg_shuffle_rating: data.rbg_shuffle_rating ?? null,
+        achievement_points: data.achievement_points ?? null,
+        raid_progress: data.raid_progress,
+        best_parse_percentile: data.best_parse_percentile,
+        median_parse_percentile: data.median_parse_percentile,
+        raid_attendance: data.raid_attendance,
+      },
+    });
+  }
+
+  async getCharacterHistory(characterName, realm, { from = null, to = null, metrics = SNAPSHOT_METRICS } = {}) {
+    const member = await this.prisma.guildMember.findUnique({
+      where: {
+        character_name_realm: {
+          character_name: characterName,
+          realm: realm,
+        },
+      },
+      select: { id: true, character_name: true, realm: true },
+    });
+
+    if (!member) {
+      return null;
+    }
+
+    const recordedAt = {};
+    if (from) recordedAt.gte = from;
+    if (to) recordedAt.lte = to;
+
+    const select = { recorded_at: true, sync_type: true, current_saison: true };
+    metrics.forEach(metric => {
+      select[metric] = true;
+    });
+
+    const snapshots = await this.prisma.characterSnapshot.findMany({
+      where: {
+        member_id: member.id,
+        ...(from || to ? { recorded_at: recordedAt } : {}),
+      },
+      select,
+      orderBy: {
+        recorded_at: 'asc',
+      },
+    });
+
+    return {
+      character_name: member.character_name,
+      realm: member.realm,
+      snapshots,
+    };
+  }
+
+  async replaceCharacterEquipment(memberId, equipment) {
+    const updatedAt = new Date();
+    return await this.prisma.$transaction([
+      this.prisma.characterEquipment.deleteMany({ where: { member_id: memberId } }),
+      this.prisma.characterEquipment.createMany({
+        data: equipment.map(item => ({
+          member_id: memberId,
+          slot: item.slot,
+          item_id: item.item_id,
+          item_name: item.item_name,
+          item_level: item.item_level,
+          quality: item.quality,
+          enchant: item.enchant,
+          enchant_id: item.enchant_id,
+          sockets: item.sockets,
+          gems: JSON.stringify(item.gems || []),
+          set_name: item.set_name,
+          updated_at: updatedAt,
+        })),
+      }),
+    ]);
+  }
+
+  async replaceMythicPlusDungeons(memberId, season, dungeons) {
+    const updatedAt = new Date();
+    return await this.prisma.$transaction([
+      this.prisma.mythicPlusDungeon.deleteMany({ where: { member_id: memberId } }),
+      this.prisma.mythicPlusDungeon.createMany({
+        data: dungeons.map(run => ({
+          member_id: memberId,
+          season: season || null,
+          dungeon: run.dungeon,
+          dungeon_name: run.dungeon_name,
+          mythic_level: run.mythic_level,
+          timed: run.timed,
+          num_keystone_upgrades: run.num_keystone_upgrades,
+          score: run.score,
+          clear_time_ms: run.clear_time_ms,
+          completed_at: run.completed_at,
+          updated_at: updatedAt,
+        })),
+      }),
+    ]);
+  }
+
+  // Best runs of current members, keyed by character; season narrows to one M+ season
+  async getGuildMythicPlusDungeons(guildId = null, season = null) {
+    const runs = await this.prisma.mythicPlusDungeon.findMany({
+      where: {
+        ...(season ? { season } : {}),
+        member: {
+          ...(guildId ? { guild_id: guildId } : {}),
+          left_at: null,
+        },
+      },
+      include: {
+        member: { select: { character_name: true, realm: true } },
+      },
+      orderBy: { dungeon_name: 'asc' },
+    });
+
+    return runs.map(({ id, member_id, member, ...run }) => ({
+      ...run,
+      character_name: member.character_name,
+      realm: member.realm,
+    }));
+  }
+
+  async replaceRaidProgression(memberId, raids) {
+    const updatedAt = new Date();
+    return await this.prisma.$transaction([
+      this.prisma.raidProgression.deleteMany({ where: { member_id: memberId } }),
+      this.prisma.raidProgression.createMany({
+        data: raids.map(raid => ({
+          member_id: memberId,
+          raid: raid.raid,
+          raid_name: raid.raid_name,
+          total_bosses: raid.total_bosses,
+          normal_bosses_killed: raid.normal_bosses_killed,
+          heroic_bosses_killed: raid.heroic_bosses_killed,
+          mythic_bosses_killed: raid.mythic_bosses_killed,
+          updated_at: updatedAt,
+        })),
+      }),
+    ]);
+  }
+
+  // One raid's kills for current members
+  async getGuildRaidProgression(guildId = null, raid) {
+    const rows = await this.prisma.raidProgression.findMany({
+      where: {
+        raid,
+        member: {
+          ...(guildId ? { guild_id: guildId } : {}),
+          left_at: null,
+        },
+      },
+      include: {
+        member: { select: { character_name: true, realm: true } },
+      },
+    });
+
+    return rows.map(({ id, member_id, member, ...row }) => ({
+      ...row,
+      character_name: member.character_name,
+      realm: member.realm,
+    }));
+  }
+
+  // Raids with stored progression and how many current members have any kill in them
+  async getTrackedRaids(guildId = null) {
+    const memberFilter = {
+      member: {
+        ...(guildId ? { guild_id: guildId } : {}),
+        left_at: null,
+      },
+    };
+    const [raids, withKills] = await Promise.all([
+      this.prisma.raidProgression.groupBy({
+        by: ['raid'],
+        where: memberFilter,
+        _count: { _all: true },
+        _max: { total_bosses: true },
+      }),
+      this.prisma.raidProgression.groupBy({
+        by: ['raid'],
+        where: {
+          ...memberFilter,
+          OR: [
+            { normal_bosses_killed: { gt: 0 } },
+            { heroic_bosses_killed: { gt: 0 } },
+            { mythic_bosses_killed: { gt: 0 } },
+          ],
+        },
+        _count: { _all: true },
+      }),
+    ]);
+
+    const killers = new Map(withKills.map(row => [row.raid, row._count._all]));
+    return raids.map(row => ({
+      raid: row.raid,
+      total_bosses: row._max.total_bosses,
+      members: row._count._all,
+      members_with_kills: killers.get(row.raid) || 0,
+    }));
+  }
+
+  // Keeps the earliest kill seen per boss and difficulty; Blizzard only reports the latest one
+  async recordBossKills(memberId, kills) {
+    const existing = new Map((await this.prisma.bossKill.findMany({ where: { member_id: memberId } }))
+      .map(row => [`${row.encounter_id}-${row.difficulty}`, row]));
+
+    const created = [];
+    const updates = [];
+    for (const kill of kills) {
+      const row = existing.get(`${kill.encounter_id}-${kill.difficulty}`);
+      if (!row) {
+        created.push({
+          member_id: memberId,
+          raid: kill.raid,
+          raid_name: kill.raid_name,
+          encounter_id: kill.encounter_id,
+          encounter_name: kill.encounter_name,
+          difficulty: kill.difficulty,
+          kill_count: kill.kill_count,
+          first_killed_at: kill.last_killed_at,
+          last_killed_at: kill.last_killed_at,
+        });
+      } else if (row.kill_count !== kill.kill_count || row.last_killed_at.getTime() !== kill.last_killed_at.getTime()) {
+        updates.push(this.prisma.bossKill.update({
+          where: { id: row.id },
+          data: {
+            kill_count: kill.kill_count,
+            last_killed_at: kill.last_killed_at,
+            first_killed_at: kill.last_killed_at < row.first_killed_at ? kill.last_killed_at : row.first_killed_at,
+            updated_at: new Date(),
+          },
+        }));
+      }
+    }
+
+    if (created.length === 0 && updates.length === 0) {
+      return 0;
+    }
+    await this.prisma.$transaction([
+      this.prisma.bossKill.createMany({ data: created }),
+      ...updates,
+    ]);
+    return created.length;
+  }
+
+  // Boss kills of a guild's current members
+  async getGuildBossKills(guildId) {
+    const kills = await this.prisma.bossKill.findMany({
+      where: { member: { guild_id: guildId, left_at: null } },
+      include: { member: { select: { character_name: true, realm: true } } },
+    });
+
+    return kills.map(({ member, ...kill }) => ({
+      ...kill,
+      character_name: member.character_name,
+      realm: member.realm,
+    }));
+  }
+
+  async getGuildProgression(guildId, raid = null) {
+    return await this.prisma.guildProgression.findMany({
+      where: {
+        guild_id: guildId,
+        ...(raid ? { raid } : {}),
+      },
+      orderBy: { killed_at: 'asc' },
+    });
+  }
+
+  async recordGuildProgression(guildId, entries) {
+    return await this.prisma.guildProgression.createMany({
+      data: entries.map(entry => ({ guild_id: guildId, ...entry })),
+    });
+  }
+
+  // Null when the character is unknown; equipment is empty until a sync captured it
+  async getCharacterEquipment(characterName, realm) {
+    const member = await this.prisma.guildMember.findUnique({
+      where: {
+        character_name_realm: {
+          character_name: characterName,
+          realm: realm,
+        },
+      },
+      select: {
+        character_name: true,
+        realm: true,
+        guild_id: true,
+        guild_rank: true,
+        class: true,
+        item_level: true,
+        equipment: true,
+      },
+    });
+
+    return member ? this.parseEquipment(member) : null;
+  }
+
+  // Current members of a guild (or every guild) with their equipment
+  async getGuildEquipment(guildId = null) {
+    const members = await this.prisma.guildMember.findMany({
+      where: {
+        ...(guildId ? { guild_id: guildId } : {}),
+        left_at: null,
+      },
+      select: {
+        character_name: true,
+        realm: true,
+        equipment: true,
+      },
+    });
+
+    return members.map(member => this.parseEquipment(member));
+  }
+
+  parseEquipment({ equipment, ...member }) {
+    return {
+      ...member,
+      equipment: equipment.map(({ id, member_id, gems, ...item }) => ({
+        ...item,
+        gems: gems ? JSON.parse(gems) : [],
+      })),
+    };
+  }
+
+  async logSyncError(characterName, realm, errorType, errorMessage, service, urlAttempted = null, guildId = null, syncRunId = null, retryCount = 0) {
     try {
       await this.prisma.syncError.create({
         data: {
@@ -255,6 +946,9 @@ class PrismaService {
           error_message: errorMessage,
           service: service,
           url_attempted: urlAttempted,
+          retry_count: retryCount,
+          guild_id: guildId,
+          sync_run_id: syncRunId,
         },
       });
     } catch (error) {
@@ -262,8 +956,9 @@ class PrismaService {
     }
   }
 
-  async getSyncErrors(limit = 100) {
+  async getSyncErrors(limit = 100, guildId = null) {
     return await this.prisma.syncError.findMany({
+      where: guildId ? { guild_id: guildId } : {},
       orderBy: {
         timestamp: 'desc',
       },
@@ -271,10 +966,12 @@ class PrismaService {
     });
   }
 
-  async getErrorStats() {
-    const total = await this.prisma.syncError.count();
+  async getErrorStats(guildId = null) {
+    const guildFilter = guildId ? { guild_id: guildId } : {};
+    const total = await this.prisma.syncError.count({ where: guildFilter });
     const last24h = await this.prisma.syncError.count({
       where: {
+        ...guildFilter,
         timestamp: {
           gte: new Date(Date.now() - 24 * 60 * 60 * 1000),
         },
@@ -283,6 +980,7 @@ class PrismaService {
 
     const errorTypes = await this.prisma.syncError.groupBy({
       by: ['error_type'],
+      where: guildFilter,
       _count: {
         id: true,
       },
@@ -315,42 +1013,420 @@ class PrismaService {
     return result.count;
   }
 
-  async getAllMemberNames() {
-    const members = await this.prisma.guildMember.findMany({
+  async startSyncRun(guildId, syncType, trigger) {
+    return await this.prisma.syncRun.create({
+      data: {
+        guild_id: guildId,
+        sync_type: syncType,
+        trigger: trigger,
+      },
+    });
+  }
+
+  async finishSyncRun(runId, { status = 'completed', processed = 0, updated = 0, failed = 0, errorMessage = null } = {}) {
+    const run = await this.prisma.syncRun.findUnique({ where: { id: runId } });
+    const finishedAt = new Date();
+
+    return await this.prisma.syncRun.update({
+      where: { id: runId },
+      data: {
+        status,
+        processed,
+        updated,
+        failed,
+        error_message: errorMessage,
+        finished_at: finishedAt,
+        duration_seconds: Math.round((finishedAt - run.started_at) / 1000),
+      },
+    });
+  }
+
+  // Runs still marked running at startup were cut short by a crash or redeploy
+  async failInterruptedSyncRuns() {
+    const result = await this.prisma.syncRun.updateMany({
+      where: { status: 'running' },
+      data: {
+        status: 'failed',
+        error_message: 'Interrupted before completion',
+        finished_at: new Date(),
+      },
+    });
+    return result.count;
+  }
+
+  async getSyncRuns({ page = 1, pageSize = 20, guildId = null, syncType = null } = {}) {
+    const where = {
+      ...(guildId ? { guild_id: guildId } : {}),
+      ...(syncType ? { sync_type: syncType } : {}),
+    };
+
+    const [runs, total] = await Promise.all([
+      this.prisma.syncRun.findMany({
+        where,
+        orderBy: { started_at: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+      this.prisma.syncRun.count({ where }),
+    ]);
+
+    return { runs, total };
+  }
+
+  async getSyncRun(runId) {
+    return await this.prisma.syncRun.findUnique({
+      where: { id: runId },
+      include: {
+        failures: {
+          select: {
+            character_name: true,
+            realm: true,
+            error_type: true,
+            error_message: true,
+            service: true,
+            url_attempted: true,
+            retry_count: true,
+            timestamp: true,
+          },
+          orderBy: { timestamp: 'asc' },
+        },
+      },
+    });
+  }
+
+  // Current (not departed) members of a guild with the fields needed to match them against the roster
+  async getCurrentMembers(guildId) {
+    return await this.prisma.guildMember.findMany({
+      where: { guild_id: guildId, left_at: null },
       select: {
+        id: true,
+        blizzard_id: true,
         character_name: true,
+        realm: true,
+      },
+    });
+  }
+
+  // Applies renames/realm transfers reported by the roster and backfills Blizzard IDs on older rows
+  async reconcileCharacterIdentities(rosterMembers, guildId) {
+    const identified = rosterMembers.filter(member => member.blizzard_id);
+    const known = await this.prisma.guildMember.findMany({
+      where: { blizzard_id: { in: identified.map(member => member.blizzard_id) } },
+    });
+    const knownById = new Map(known.map(row => [row.blizzard_id, row]));
+    const changes = [];
+
+    for (const member of identified) {
+      const row = knownById.get(member.blizzard_id);
+
+      if (!row) {
+        // Rows created before IDs were stored are matched by name and realm once
+        await this.prisma.guildMember.updateMany({
+          where: { character_name: member.name, realm: member.realm, blizzard_id: null },
+          data: { blizzard_id: member.blizzard_id },
+        });
+        continue;
+      }
+
+      if (row.character_name === member.name && row.realm === member.realm) {
+        continue;
+      }
+
+      // The new name may still sit on another row (a deleted character, or one renamed away)
+      const released = await this.releaseCharacterName(member.name, member.realm, member.blizzard_id);
+
+      const eventType = row.realm !== member.realm ? 'transfer' : 'rename';
+      await this.prisma.guildMember.update({
+        where: { id: row.id },
+        data: { character_name: member.name, realm: member.realm },
+      });
+      await this.prisma.membershipEvent.create({
+        data: {
+          member_id: row.id,
+          guild_id: guildId,
+          character_name: member.name,
+          realm: member.realm,
+          event_type: eventType,
+          previous_name: row.character_name,
+          previous_realm: row.realm,
+        },
+      });
+      changes.push({ member, previous: row, eventType, released });
+    }
+
+    return changes;
+  }
+
+  // Moves another character's row off a name so the character identified by blizzardId can take it.
+  // A row without an ID is the same character from before IDs were stored and is adopted instead.
+  // The moved row keeps its data under "<name>~<row id>" (never a valid character name) until its
+  // own ID shows up on a roster again and reconcileCharacterIdentities renames it.
+  async releaseCharacterName(characterName, realm, blizzardId) {
+    const occupant = await this.prisma.guildMember.findUnique({
+      where: { character_name_realm: { character_name: characterName, realm } },
+    });
+    if (!occupant || occupant.blizzard_id === blizzardId) {
+      return null;
+    }
+
+    if (!occupant.blizzard_id && !(await this.prisma.guildMember.findUnique({ where: { blizzard_id: blizzardId } }))) {
+      await this.prisma.guildMember.update({
+        where: { id: occupant.id },
+        data: { blizzard_id: blizzardId },
+      });
+      return null;
+    }
+
+    return await this.prisma.guildMember.update({
+      where: { id: occupant.id },
+      data: { character_name: `${occupant.character_name}~${occupant.id}` },
+    });
+  }
+
+  async countGuildMembers(guildId, { includeDeparted = false } = {}) {
+    return await this.prisma.guildMember.count({
+      where: {
+        guild_id: guildId,
+        ...(includeDeparted ? {} : { left_at: null }),
       },
     });
-    return members.map(member => member.character_name);
   }
 
-  async removeDepartedMembers(departedMemberNames) {
-    if (departedMemberNames.length === 0) {
+  // Adds a character that showed up on the roster and records whether it is a join or a rejoin
+  async recordMemberJoin(member, guildId) {
+    const characterName = member.character_name || member.name;
+    if (member.blizzard_id) {
+      await this.releaseCharacterName(characterName, member.realm, member.blizzard_id);
+    }
+
+    const where = member.blizzard_id
+      ? { blizzard_id: member.blizzard_id }
+      : { character_name_realm: { character_name: characterName, realm: member.realm } };
+    const existing = await this.prisma.guildMember.findUnique({ where });
+
+    // Moving between two guilds of this deployment leaves the previous one
+    if (existing && existing.guild_id && existing.guild_id !== guildId && !existing.left_at) {
+      await this.createMembershipEvent(existing, existing.guild_id, 'leave');
+    }
+
+    const eventType = existing?.left_at ? 'rejoin' : 'join';
+    const now = new Date();
+    const saved = await this.prisma.guildMember.upsert({
+      where,
+      update: {
+        character_name: characterName,
+        realm: member.realm,
+        blizzard_id: member.blizzard_id,
+        guild_id: guildId,
+        joined_at: now,
+        left_at: null,
+      },
+      create: {
+        character_name: characterName,
+        realm: member.realm,
+        blizzard_id: member.blizzard_id,
+        guild_id: guildId,
+        guild_rank: member.guild_rank,
+        class: member.class,
+        level: member.level,
+        joined_at: now,
+      },
+    });
+
+    await this.createMembershipEvent(saved, guildId, eventType);
+    return eventType;
+  }
+
+  // Departed characters keep their data; only left_at is set
+  async markMembersDeparted(departedMemberIds, guildId) {
+    if (departedMemberIds.length === 0) {
       return 0;
     }
 
-    const result = await this.prisma.guildMember.deleteMany({
+    const departed = await this.prisma.guildMember.findMany({
       where: {
-        character_name: {
-          in: departedMemberNames,
+        guild_id: guildId,
+        left_at: null,
+        id: {
+          in: departedMemberIds,
         },
       },
     });
-    return result.count;
+
+    const now = new Date();
+    for (const member of departed) {
+      await this.prisma.guildMember.update({
+        where: { id: member.id },
+        data: { left_at: now },
+      });
+      await this.createMembershipEvent(member, guildId, 'leave');
+    }
+    return departed.length;
   }
 
-  async getActiveCharacters(daysActive = 14) {
-    const cutoffDate = new Date(Date.now() - daysActive * 24 * 60 * 60 * 1000);
-    const cutoffTimestamp = cutoffDate.getTime();
+  async createMembershipEvent(member, guildId, eventType) {
+    return await this.prisma.membershipEvent.create({
+      data: {
+        member_id: member.id,
+        guild_id: guildId,
+        character_name: member.character_name,
+        realm: member.realm,
+        event_type: eventType,
+      },
+    });
+  }
+
+  async getMembershipEvents({ page = 1, pageSize = 50, guildId = null, eventType = null, from = null, to = null } = {}) {
+    const where = {
+      ...(guildId ? { guild_id: guildId } : {}),
+      ...(from || to ? {
+        occurred_at: {
+          ...(from ? { gte: from } : {}),
+          ...(to ? { lte: to } : {}),
+        },
+      } : {}),
+    };
+
+    const [events, total, byType] = await Promise.all([
+      this.prisma.membershipEvent.findMany({
+        where: eventType ? { ...where, event_type: eventType } : where,
+        include: {
+          guild: { select: { key: true } },
+        },
+        orderBy: { occurred_at: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+      this.prisma.membershipEvent.count({ where: eventType ? { ...where, event_type: eventType } : where }),
+      this.prisma.membershipEvent.groupBy({
+        by: ['event_type'],
+        where,
+        _count: { id: true },
+      }),
+    ]);
+
+    return {
+      events: events.map(({ guild, ...event }) => ({
+        ...event,
+        guild_key: guild?.key || null,
+      })),
+      total,
+      // Churn over the whole window, regardless of the type filter
+      summary: byType.reduce((summary, entry) => {
+        summary[entry.event_type] = entry._count.id;
+        return summary;
+      }, { join: 0, leave: 0, rejoin: 0, rename: 0, transfer: 0 }),
+    };
+  }
+
+  async getCurrentSeason(seasonType) {
+    return await this.prisma.season.findFirst({
+      where: { season_type: seasonType, ended_at: null },
+      orderBy: { started_at: 'desc' },
+    });
+  }
+
+  async findSeason(seasonType, seasonKey) {
+    return await this.prisma.season.findUnique({
+      where: { season_type_season_key: { season_type: seasonType, season_key: String(seasonKey) } },
+    });
+  }
+
+  async startSeason(seasonType, seasonKey) {
+    return await this.prisma.season.upsert({
+      where: { season_type_season_key: { season_type: seasonType, season_key: String(seasonKey) } },
+      update: {},
+      create: { season_type: seasonType, season_key: String(seasonKey) },
+    });
+  }
+
+  // Freezes every character that took part in the season and closes it, in one transaction
+  async archiveSeason(season) {
+    const participated = season.season_type === 'mythic_plus'
+      ? { current_saison: season.season_key, mythic_plus_score: { gt: 0 } }
+      : {
+        OR: [
+          { pvp_2v2_rating: { gt: 0 } },
+          { pvp_3v3_rating: { gt: 0 } },
+          { pvp_rbg_rating: { gt: 0 } },
+          { solo_shuffle_rating: { gt: 0 } },
+          { rbg_shuffle_rating: { gt: 0 } },
+        ],
+      };
+
+    return await this.prisma.$transaction(async (tx) => {
+      const members = await tx.guildMember.findMany({
+        where: {
+          AND: [
+            participated,
+            // Characters that left during the season still count towards its standings
+            { OR: [{ left_at: null }, { left_at: { gte: season.started_at } }] },
+          ],
+        },
+      });
+
+      await tx.seasonArchive.createMany({
+        data: members.map(member => ({
+          season_id: season.id,
+          member_id: member.id,
+          guild_id: member.guild_id,
+          character_name: member.character_name,
+          realm: member.realm,
+          ...Object.fromEntries(SEASON_ARCHIVE_FIELDS.map(field => [field, member[field]])),
+        })),
+      });
+
+      await tx.season.update({
+        where: { id: season.id },
+        data: { ended_at: new Date() },
+      });
+
+      return members.length;
+    });
+  }
+
+  async getSeasons() {
+    const seasons = await this.prisma.season.findMany({
+      include: { _count: { select: { archives: true } } },
+      orderBy: { started_at: 'desc' },
+    });
+
+    return seasons.map(({ _count, ...season }) => ({
+      ...season,
+      archived_members: _count.archives,
+    }));
+  }
+
+  async getSeasonArchive(seasonId, guildId = null) {
+    return await this.prisma.seasonArchive.findMany({
+      where: {
+        season_id: seasonId,
+        ...(guildId ? { guild_id: guildId } : {}),
+      },
+    });
+  }
+
+  // Characters whose activity tier is due for a refresh, e.g. { active: 1, casual: 24 } (hours)
+  async getActiveCharacters(syncIntervalHours, guildId = null) {
+    const now = Date.now();
+    const dueTiers = Object.entries(syncIntervalHours).map(([tier, hours]) => ({
+      activity_status: tier,
+      OR: [
+        { last_hourly_check: null },
+        // A few minutes of slack so an hourly cron does not skip characters synced at :00:30
+        { last_hourly_check: { lt: new Date(now - hours * 60 * 60 * 1000 + SYNC_DUE_GRACE_MS) } },
+      ],
+    }));
 
     return await this.prisma.guildMember.findMany({
       where: {
-        // Only characters with confirmed activity within the specified days
-        last_login_timestamp: {
-          gte: cutoffTimestamp,
-        },
+        ...(guildId ? { guild_id: guildId } : {}),
+        left_at: null,
+        OR: dueTiers,
       },
       select: {
+        id: true,
+        guild_id: true,
         character_name: true,
         realm: true,
         level: true,
@@ -373,18 +1449,15 @@ class PrismaService {
     });
   }
 
-  async getActiveCharactersWithMissingData(daysActive = 30) {
-    const cutoffDate = new Date(Date.now() - daysActive * 24 * 60 * 60 * 1000);
-    const cutoffTimestamp = cutoffDate.getTime();
-
+  async getActiveCharactersWithMissingData(tiers = ['active', 'casual'], guildId = null) {
     return await this.prisma.guildMember.findMany({
       where: {
+        ...(guildId ? { guild_id: guildId } : {}),
+        left_at: null,
         // Only active characters with missing achievement or PvP data
         AND: [
           {
-            last_login_timestamp: {
-              gte: cutoffTimestamp,
-            },
+            activity_status: { in: tiers },
           },
           {
             OR: [
@@ -398,6 +1471,8 @@ class PrismaService {
         ],
       },
       select: {
+        id: true,
+        guild_id: true,
         character_name: true,
         realm: true,
         level: true,
@@ -425,9 +1500,10 @@ class PrismaService {
     if (activityData.last_login_timestamp) {
       updateData.last_login_timestamp = activityData.last_login_timestamp;
       updateData.activity_status = activityData.activity_status;
-    } else {
-      updateData.activity_status = 'inactive';
+    } else if (!activityData.error || activityData.error === 'character_not_found') {
+      updateData.activity_status = 'unknown';
     }
+    // A failed check (timeout, 5xx) keeps the previous tier
 
     return await this.prisma.guildMember.update({
       where: {
@@ -465,4 +1541,6 @@ class PrismaService {
   }
 }
 
+PrismaService.SNAPSHOT_METRICS = SNAPSHOT_METRICS;
+
 module.exports = PrismaService;
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * 🏰 Raid Catalogue Service - Raids of every expansion from the Blizzard journal
+ *
+ * API: Journal Expansion (Blizzard Game Data API)
+ * Endpoints: https://{region}.api.blizzard.com/data/wow/journal-expansion/index
+ *            https://{region}.api.blizzard.com/data/wow/journal-expansion/{id}
+ * Namespace: static-{region}
+ *
+ * Raids are ordered newest first (latest expansion, latest raid of that expansion),
+ * so a new tier shows up without a code change. Keys use Raider.IO's raid slugs
+ * ("Nerub-ar Palace" -> "nerubar-palace") so progression can be matched to them.
+ * The list is kept in memory for config.raids.catalogueCacheHours; when the journal
+ * can't be reached the last known list is kept and callers fall back to Raider.IO's order.
+ */
+
+// Journal tier that mirrors the current season's instances rather than an expansion
+const CURRENT_SEASON_TIER = 'Current Season';
+
+const RETRY_AFTER_FAILURE_MS = 5 * 60 * 1000;
+
+const DIFFICULTIES = [
+  { key: 'mythic', short: 'M' },
+  { key: 'heroic', short: 'H' },
+  { key: 'normal', short: 'N' }
+];
+
+class RaidCatalogueService {
+  constructor(api, config, logger) {
+    this.api = api;
+    this.config = config; // { region, catalogueCacheHours, defaultRaid }
+    this.logger = logger;
+    this.raids = [];
+    this.fetchedAt = 0;
+    this.expiresAt = 0;
+    this.pending = null; // Single-flight refresh
+  }
+
+  // Raid list, newest first: [{ key, name, journal_id, expansion, expansion_id }]
+  async getRaids() {
+    if (Date.now() < this.expiresAt) {
+      return this.raids;
+    }
+
+    if (!this.pending) {
+      this.pending = this.refresh().finally(() => { this.pending = null; });
+    }
+    return await this.pending;
+  }
+
+  async refresh() {
+    try {
+      this.raids = await this.fetchRaids();
+      this.fetchedAt = Date.now();
+      this.expiresAt = this.fetchedAt + this.config.catalogueCacheHours * 60 * 60 * 1000;
+      this.logger.info(`🏰 Raid catalogue loaded: ${this.raids.length} raids (current: ${this.raids[0]?.name || 'none'})`);
+    } catch (error) {
+      // Keep the previous list and try again shortly
+      this.expiresAt = Date.now() + RETRY_AFTER_FAILURE_MS;
+      this.logger.warn(`⚠️ Could not load raid catalogue from the Blizzard journal: ${error.message}`);
+    }
+    return this.raids;
+  }
+
+  async fetchRaids() {
+    const { region } = this.config;
+    const token = await this.api.getBlizzardToken();
+    const headers = { 'Authorization': `Bearer ${token}` };
+    const baseUrl = `https://${region}.api.blizzard.com/data/wow/journal-expansion`;
+    const query = `namespace=static-${region}&locale=en_US`;
+
+    const index = await this.api.get('blizzard', `${baseUrl}/index?${query}`, { headers });
+    const expansions = (index.data.tiers || [])
+      .filter(tier => tier.name !== CURRENT_SEASON_TIER)
+      .sort((a, b) => b.id - a.id);
+
+    const raids = [];
+    for (const expansion of expansions) {
+      const response = await this.api.get('blizzard', `${baseUrl}/${expansion.id}?${query}`, { headers });
+      // The journal lists an expansion's raids in release order
+      for (const raid of [...(response.data.raids || [])].reverse()) {
+        raids.push({
+          key: this.slugify(raid.name),
+          name: raid.name,
+          journal_id: raid.id,
+          expansion: expansion.name,
+          expansion_id: expansion.id
+        });
+      }
+    }
+    return raids;
+  }
+
+  // Raider.IO slug: apostrophes and hyphens dropped, anything else non-alphanumeric becomes a dash
+  slugify(name) {
+    return name.toLowerCase()
+      .replace(/['’-]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  async getRaid(key) {
+    return (await this.getRaids()).find(raid => raid.key === key) || null;
+  }
+
+  // RAID_DEFAULT when set, otherwise the newest raid in the journal
+  async getDefaultRaidKey() {
+    if (this.config.defaultRaid) {
+      return this.config.defaultRaid;
+    }
+    return (await this.getRaids())[0]?.key || null;
+  }
+
+  // Catalogue position of a raid key; raids the journal doesn't know sort last
+  async getRaidOrder() {
+    return new Map((await this.getRaids()).map((raid, index) => [raid.key, index]));
+  }
+
+  // "4/8 H" for the highest difficulty with kills, "0/8" without any
+  formatProgress({ total_bosses: total, ...kills }) {
+    const difficulty = DIFFICULTIES.find(({ key }) => kills[`${key}_bosses_killed`] > 0);
+    return difficulty
+      ? `${kills[`${difficulty.key}_bosses_killed`]}/${total} ${difficulty.short}`
+      : `0/${total}`;
+  }
+
+  formatName(key) {
+    return key.replace(/-/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+  }
+
+  getStats() {
+    return {
+      raids: this.raids.length,
+      current: this.raids[0]?.key || null,
+      fetchedAt: this.fetchedAt ? new Date(this.fetchedAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = RaidCatalogueService;
+module.exports.DIFFICULTIES = DIFFICULTIES;
@@ -0,0 +1,158 @@
+/**
+ * 🌍 Realm Registry Service - Realm names, slugs and connected-realm groups per region
+ *
+ * API: Realm and Connected Realm (Blizzard Game Data API)
+ * Endpoints: https://{region}.api.blizzard.com/data/wow/realm/index
+ *            https://{region}.api.blizzard.com/data/wow/search/connected-realm
+ * Namespace: dynamic-{region}
+ *
+ * Every realm handed to an API goes through resolve(), so "Kel'Thuzad", "Pozzo dell'Eternità",
+ * "azjol-nerub" or a localized name all become the slug Blizzard, Raider.IO and Warcraft Logs
+ * expect. Each region's registry is kept in memory for config.realms.cacheHours; when Blizzard
+ * can't be reached the last known registry is kept, or the realm is slugified on its own.
+ */
+
+const RETRY_AFTER_FAILURE_MS = 5 * 60 * 1000;
+
+// Connected realms per search page (the API's maximum)
+const SEARCH_PAGE_SIZE = 1000;
+
+class RealmRegistryService {
+  constructor(api, config, logger) {
+    this.api = api;
+    this.config = config; // { cacheHours }
+    this.logger = logger;
+    this.regions = new Map(); // region -> { realms, aliases, fetchedAt, expiresAt, pending }
+  }
+
+  // Realm slug for a display name, slug or localized name
+  async resolve(realm, region) {
+    const entry = await this.getRealm(realm, region);
+    return entry ? entry.slug : this.slugify(realm);
+  }
+
+  // { id, name, slug, connected_realm_id, connected_realms } or null when the realm isn't known
+  async getRealm(realm, region) {
+    const registry = await this.getRegistry(region);
+    const slug = registry.aliases.get(this.normalizeKey(realm));
+    return slug ? this.formatRealm(registry, registry.realms.get(slug)) : null;
+  }
+
+  // Every realm of the region by name, each with the slugs of its connected realms
+  async getRealms(region) {
+    const registry = await this.getRegistry(region);
+    return [...registry.realms.values()]
+      .map(realm => this.formatRealm(registry, realm))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  formatRealm(registry, realm) {
+    return {
+      ...realm,
+      connected_realms: realm.connected_realm_id
+        ? [...registry.realms.values()]
+          .filter(other => other.connected_realm_id === realm.connected_realm_id && other.slug !== realm.slug)
+          .map(other => other.slug)
+        : []
+    };
+  }
+
+  async getRegistry(region) {
+    const registry = this.regions.get(region) || { realms: new Map(), aliases: new Map(), fetchedAt: 0, expiresAt: 0, pending: null };
+    this.regions.set(region, registry);
+
+    if (Date.now() < registry.expiresAt) {
+      return registry;
+    }
+
+    if (!registry.pending) {
+      registry.pending = this.refresh(region, registry).finally(() => { registry.pending = null; });
+    }
+    return await registry.pending;
+  }
+
+  async refresh(region, registry) {
+    try {
+      const { realms, aliases } = await this.fetchRealms(region);
+      Object.assign(registry, { realms, aliases, fetchedAt: Date.now() });
+      registry.expiresAt = registry.fetchedAt + this.config.cacheHours * 60 * 60 * 1000;
+      this.logger.info(`🌍 Realm registry loaded for ${region.toUpperCase()}: ${realms.size} realms`);
+    } catch (error) {
+      // Keep the previous registry and try again shortly
+      registry.expiresAt = Date.now() + RETRY_AFTER_FAILURE_MS;
+      this.logger.warn(`⚠️ Could not load ${region.toUpperCase()} realms from Blizzard: ${error.message}`);
+    }
+    return registry;
+  }
+
+  async fetchRealms(region) {
+    const token = await this.api.getBlizzardToken();
+    const headers = { 'Authorization': `Bearer ${token}` };
+    const baseUrl = `https://${region}.api.blizzard.com/data/wow`;
+
+    const index = await this.api.get('blizzard', `${baseUrl}/realm/index?namespace=dynamic-${region}&locale=en_US`, { headers });
+    const realms = new Map((index.data.realms || []).map(realm => [realm.slug, {
+      id: realm.id,
+      name: realm.name,
+      slug: realm.slug,
+      connected_realm_id: null
+    }]));
+
+    const aliases = new Map();
+    for (const realm of realms.values()) {
+      aliases.set(this.normalizeKey(realm.slug), realm.slug);
+      aliases.set(this.normalizeKey(realm.name), realm.slug);
+    }
+
+    // Connected realm groups, plus every localized name as an alias
+    let page = 1;
+    let pageCount = 1;
+    do {
+      const response = await this.api.get('blizzard', `${baseUrl}/search/connected-realm?namespace=dynamic-${region}&orderby=id&_pageSize=${SEARCH_PAGE_SIZE}&_page=${page}`, { headers });
+      pageCount = response.data.pageCount || 1;
+      for (const { data: connectedRealm } of response.data.results || []) {
+        for (const member of connectedRealm.realms || []) {
+          const realm = realms.get(member.slug);
+          if (!realm) continue;
+          realm.connected_realm_id = connectedRealm.id;
+          for (const name of Object.values(member.name || {})) {
+            if (!aliases.has(this.normalizeKey(name))) {
+              aliases.set(this.normalizeKey(name), realm.slug);
+            }
+          }
+        }
+      }
+      page++;
+    } while (page <= pageCount);
+
+    return { realms, aliases };
+  }
+
+  // Lookup key that ignores case, accents, spaces and punctuation: "Kel'Thuzad" = "kel-thuzad" = "kelthuzad"
+  normalizeKey(value) {
+    return String(value).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  // Blizzard-style slug for realms the registry doesn't know: values that already are slugs are kept,
+  // names lose accents, apostrophes, hyphens and parentheses ("Aggra (Português)" -> "aggra-portugues")
+  slugify(realm) {
+    const value = String(realm).trim();
+    if (/^[a-z0-9-]+$/.test(value)) {
+      return value;
+    }
+    return value.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+      .replace(/['’()-]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  getStats() {
+    return Object.fromEntries([...this.regions].map(([region, registry]) => [region, {
+      realms: registry.realms.size,
+      connectedRealms: new Set([...registry.realms.values()].map(realm => realm.connected_realm_id).filter(Boolean)).size,
+      fetchedAt: registry.fetchedAt ? new Date(registry.fetchedAt).toISOString() : null
+    }]));
+  }
+}
+
+module.exports = RealmRegistryService;
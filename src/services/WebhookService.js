@@ -0,0 +1,52 @@
+/**
+ * 🪝 Webhook Service - POSTs domain events to configured URLs
+ */
+
+const axios = require('axios');
+const Logger = require('../utils/Logger');
+const { Events } = require('../utils/EventBus');
+
+// Sent when WEBHOOK_EVENTS is empty; progress ticks and full rosters are too chatty for webhooks
+const DEFAULT_EVENTS = Object.values(Events).filter(event =>
+  event !== Events.SYNC_PROGRESS && event !== Events.ROSTER_UPDATED
+);
+
+class WebhookService {
+  constructor(config) {
+    this.config = config;
+    this.urls = config.webhooks.urls;
+    this.events = config.webhooks.events.length > 0 ? config.webhooks.events : DEFAULT_EVENTS;
+
+    if (this.urls.length > 0) {
+      Logger.info(`🪝 Webhooks enabled for ${this.urls.length} URL(s): ${this.events.join(', ')}`);
+    }
+  }
+
+  // Returns the unsubscribe function
+  subscribe(eventBus) {
+    if (this.urls.length === 0) {
+      return () => {};
+    }
+
+    const unsubscribers = this.events.map(type => eventBus.subscribe(type, event => this.deliver(event)));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  async deliver(event) {
+    // Error objects don't serialize; error_message carries the text
+    const { error, ...payload } = event;
+
+    await Promise.all(this.urls.map(async (url) => {
+      try {
+        await axios.post(url, payload, {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: this.config.webhooks.timeout
+        });
+      } catch (deliveryError) {
+        Logger.warn(`⚠️ Webhook ${event.type} to ${url} failed: ${deliveryError.message}`);
+      }
+    }));
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,140 @@
+/**
+ * 🔌 Circuit breaker - one per external API
+ *
+ * closed:    requests flow; the outcome of the last `windowSize` requests is tracked
+ * open:      the failure rate crossed the threshold, requests fail fast until `openDurationMs` passes
+ * half_open: a single probe request is let through; success closes the circuit, failure reopens it
+ *
+ * Only outage-type failures (decided by the caller) count against the circuit.
+ */
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} is unavailable (circuit open until ${new Date(retryAt).toISOString()})`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.provider = name;
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - API the circuit protects
+   * @param {Object} options
+   * @param {number} options.windowSize - Recent requests the failure rate is computed over
+   * @param {number} options.minimumRequests - Requests needed in the window before the circuit may open
+   * @param {number} options.failureRateThreshold - Failure rate (0-1) that opens the circuit
+   * @param {number} options.openDurationMs - Time to fail fast before probing
+   * @param {Function} [onStateChange] - Called with (state, previousState, breaker)
+   */
+  constructor(name, { windowSize, minimumRequests, failureRateThreshold, openDurationMs }, onStateChange = () => {}) {
+    this.name = name;
+    this.windowSize = windowSize;
+    this.minimumRequests = minimumRequests;
+    this.failureRateThreshold = failureRateThreshold;
+    this.openDurationMs = openDurationMs;
+    this.onStateChange = onStateChange;
+
+    this.state = 'closed';
+    this.outcomes = []; // true = failure, oldest first
+    this.openedAt = null;
+    this.retryAt = null;
+    this.probing = false;
+  }
+
+  // Whether a request would currently be let through (does not claim the half-open probe)
+  isAvailable() {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open') return Date.now() >= this.retryAt;
+    return !this.probing;
+  }
+
+  // Call before a request; throws CircuitOpenError when it must fail fast
+  beforeRequest() {
+    if (this.state === 'open') {
+      if (Date.now() < this.retryAt) {
+        throw new CircuitOpenError(this.name, this.retryAt);
+      }
+      this.transition('half_open');
+    }
+
+    if (this.state === 'half_open') {
+      if (this.probing) {
+        throw new CircuitOpenError(this.name, this.retryAt);
+      }
+      this.probing = true;
+    }
+  }
+
+  // For retries of a request already admitted: stop once the circuit has opened meanwhile
+  throwIfOpen() {
+    if (this.state === 'open') {
+      throw new CircuitOpenError(this.name, this.retryAt);
+    }
+  }
+
+  recordSuccess() {
+    if (this.state === 'half_open') {
+      this.outcomes = [];
+      this.transition('closed');
+      return;
+    }
+    this.record(false);
+  }
+
+  recordFailure() {
+    if (this.state === 'half_open') {
+      this.open();
+      return;
+    }
+
+    this.record(true);
+    if (this.state === 'closed' && this.outcomes.length >= this.minimumRequests &&
+      this.getFailureRate() >= this.failureRateThreshold) {
+      this.open();
+    }
+  }
+
+  record(failed) {
+    this.outcomes.push(failed);
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  open() {
+    this.openedAt = Date.now();
+    this.retryAt = this.openedAt + this.openDurationMs;
+    this.transition('open');
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.probing = false;
+    if (state === 'closed') {
+      this.openedAt = null;
+      this.retryAt = null;
+    }
+    this.onStateChange(state, previous, this);
+  }
+
+  getFailureRate() {
+    if (this.outcomes.length === 0) return 0;
+    return this.outcomes.filter(Boolean).length / this.outcomes.length;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failureRate: Math.round(this.getFailureRate() * 100) / 100,
+      requests: this.outcomes.length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CircuitOpenError = CircuitOpenError;
@@ -0,0 +1,92 @@
+/**
+ * 📣 In-process event bus for domain events
+ *
+ * Sync code publishes what happened (a member was updated, a run finished, ...);
+ * Socket.IO, email, webhooks and logs subscribe. Every event has a fixed set of
+ * payload fields, checked on publish so a typo fails loudly instead of reaching
+ * subscribers half-filled.
+ */
+
+const Logger = require('./Logger');
+
+const Events = Object.freeze({
+  MEMBER_UPDATED: 'memberUpdated',
+  MEMBER_JOINED: 'memberJoined',
+  MEMBER_LEFT: 'memberLeft',
+  MEMBER_RENAMED: 'memberRenamed',
+  ROSTER_UPDATED: 'rosterUpdated',
+  SYNC_RUN_STARTED: 'syncRunStarted',
+  SYNC_PROGRESS: 'syncProgress',
+  SYNC_RUN_FINISHED: 'syncRunFinished',
+  SEASON_ROLLED_OVER: 'seasonRolledOver',
+  GUILD_BOSS_KILLED: 'guildBossKilled',
+  PROVIDER_CIRCUIT_CHANGED: 'providerCircuitChanged'
+});
+
+// Required payload fields per event (values may be null, but must be present)
+const EVENT_FIELDS = {
+  [Events.MEMBER_UPDATED]: ['guild', 'character_name', 'realm', 'data'],
+  [Events.MEMBER_JOINED]: ['guild', 'character_name', 'realm', 'rejoin'],
+  [Events.MEMBER_LEFT]: ['guild', 'character_name', 'realm'],
+  [Events.MEMBER_RENAMED]: ['guild', 'character_name', 'realm', 'previous_name', 'previous_realm', 'change'],
+  [Events.ROSTER_UPDATED]: ['guild', 'sync_type', 'members'],
+  [Events.SYNC_RUN_STARTED]: ['guild', 'sync_type', 'run_id', 'trigger'],
+  [Events.SYNC_PROGRESS]: ['guild', 'sync_type', 'status', 'current', 'total', 'errors'],
+  [Events.SYNC_RUN_FINISHED]: ['guild', 'sync_type', 'run_id', 'status', 'processed', 'updated', 'failed', 'duration'],
+  [Events.SEASON_ROLLED_OVER]: ['season_type', 'previous_season', 'season', 'archived'],
+  [Events.GUILD_BOSS_KILLED]: ['guild', 'raid', 'encounter_name', 'difficulty', 'killed_at', 'killers', 'team_size'],
+  [Events.PROVIDER_CIRCUIT_CHANGED]: ['provider', 'state', 'previous_state', 'failure_rate', 'retry_at']
+};
+
+class EventBus {
+  constructor() {
+    this.handlers = new Map(); // Event type (or '*') -> Set of handlers
+  }
+
+  // Subscribes to one event type, or to every event with '*'. Returns an unsubscribe function.
+  subscribe(type, handler) {
+    if (type !== '*' && !EVENT_FIELDS[type]) {
+      throw new TypeError(`Unknown event type: ${type}`);
+    }
+
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+
+    return () => this.handlers.get(type).delete(handler);
+  }
+
+  hasSubscribers(type) {
+    return (this.handlers.get(type)?.size || 0) + (this.handlers.get('*')?.size || 0) > 0;
+  }
+
+  // Delivers the event to every subscriber without blocking the publisher; a failing
+  // subscriber is logged and never affects the others. Resolves once all have handled it.
+  publish(type, payload = {}) {
+    const fields = EVENT_FIELDS[type];
+    if (!fields) {
+      throw new TypeError(`Unknown event type: ${type}`);
+    }
+
+    const missing = fields.filter(field => !(field in payload));
+    if (missing.length > 0) {
+      throw new TypeError(`Event ${type} is missing ${missing.join(', ')}`);
+    }
+
+    const event = { type, timestamp: new Date().toISOString(), ...payload };
+    const handlers = [...(this.handlers.get(type) || []), ...(this.handlers.get('*') || [])];
+
+    return Promise.all(handlers.map(handler =>
+      Promise.resolve()
+        .then(() => handler(event))
+        .catch(error => {
+          Logger.error(`❌ ${type} subscriber failed:`, error.message || error);
+        })
+    ));
+  }
+}
+
+module.exports = new EventBus();
+module.exports.EventBus = EventBus;
+module.exports.Events = Events;
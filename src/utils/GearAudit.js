@@ -0,0 +1,91 @@
+/**
+ * 🛡️ Gear audit - flags equipment a raider should fix before raid night
+ *
+ * Rules:
+ *   missing_enchant - an enchantable slot (config.gearAudit.enchantSlots) has no enchant
+ *   empty_socket    - an item has more sockets than gems (only when the source reports sockets)
+ *   low_item_level  - a slot is more than itemLevelMargin below the character's item level,
+ *                     or below minItemLevel when one is configured
+ */
+
+// Blizzard equipment slot types in paper-doll order (shirt and tabard are never captured)
+const EQUIPMENT_SLOTS = [
+  'HEAD', 'NECK', 'SHOULDER', 'BACK', 'CHEST', 'WRIST',
+  'HANDS', 'WAIST', 'LEGS', 'FEET', 'FINGER_1', 'FINGER_2',
+  'TRINKET_1', 'TRINKET_2', 'MAIN_HAND', 'OFF_HAND'
+];
+
+const RULES = ['missing_enchant', 'empty_socket', 'low_item_level'];
+
+class GearAudit {
+  constructor(config) {
+    this.enchantSlots = config.enchantSlots;
+    this.itemLevelMargin = config.itemLevelMargin;
+    this.minItemLevel = config.minItemLevel;
+  }
+
+  // equipment: normalized slots ({ slot, item_name, item_level, enchant, enchant_id, sockets, gems })
+  audit(equipment, characterItemLevel = null) {
+    const issues = [];
+    const threshold = this.getItemLevelThreshold(characterItemLevel);
+
+    for (const item of this.sortSlots(equipment)) {
+      const label = `${this.formatSlot(item.slot)}${item.item_name ? ` (${item.item_name})` : ''}`;
+
+      if (this.enchantSlots.includes(item.slot) && !item.enchant && !item.enchant_id) {
+        issues.push({ slot: item.slot, rule: 'missing_enchant', message: `${label} is not enchanted` });
+      }
+
+      const gems = item.gems?.length || 0;
+      if (item.sockets !== null && item.sockets !== undefined && gems < item.sockets) {
+        const empty = item.sockets - gems;
+        issues.push({ slot: item.slot, rule: 'empty_socket', message: `${label} has ${empty} empty socket${empty > 1 ? 's' : ''}` });
+      }
+
+      if (threshold !== null && item.item_level && item.item_level < threshold) {
+        issues.push({ slot: item.slot, rule: 'low_item_level', message: `${label} is item level ${item.item_level} (expected at least ${threshold})` });
+      }
+    }
+
+    return issues;
+  }
+
+  getItemLevelThreshold(characterItemLevel) {
+    const thresholds = [
+      characterItemLevel ? Math.floor(characterItemLevel) - this.itemLevelMargin : null,
+      this.minItemLevel
+    ].filter(value => value !== null);
+    return thresholds.length > 0 ? Math.max(...thresholds) : null;
+  }
+
+  // Equipped pieces per item set (tier bonuses), most pieces first
+  summarizeSets(equipment) {
+    const sets = new Map();
+    for (const item of equipment) {
+      if (item.set_name) {
+        sets.set(item.set_name, (sets.get(item.set_name) || 0) + 1);
+      }
+    }
+    return [...sets].map(([name, pieces]) => ({ name, pieces })).sort((a, b) => b.pieces - a.pieces);
+  }
+
+  sortSlots(equipment) {
+    return [...equipment].sort((a, b) => EQUIPMENT_SLOTS.indexOf(a.slot) - EQUIPMENT_SLOTS.indexOf(b.slot));
+  }
+
+  formatSlot(slot) {
+    return slot.toLowerCase().replace(/_(\d)/, ' $1').replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+  }
+
+  getRules() {
+    return {
+      enchantSlots: this.enchantSlots,
+      itemLevelMargin: this.itemLevelMargin,
+      minItemLevel: this.minItemLevel
+    };
+  }
+}
+
+module.exports = GearAudit;
+module.exports.EQUIPMENT_SLOTS = EQUIPMENT_SLOTS;
+module.exports.RULES = RULES;
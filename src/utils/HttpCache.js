@@ -0,0 +1,114 @@
+/**
+ * 🗄️ In-memory HTTP response cache - TTL per endpoint family, Last-Modified revalidation
+ *
+ * Fresh entries are served without a request. Expired entries that carried a
+ * Last-Modified header are kept so the next request can revalidate them with
+ * If-Modified-Since; a 304 then refreshes the entry instead of downloading it again.
+ */
+
+class HttpCache {
+  /**
+   * @param {Object} options
+   * @param {Object<string, number>} options.ttlSeconds - TTL per endpoint family, 0 = not cached
+   * @param {number} options.maxEntries - Oldest entries are evicted beyond this size
+   */
+  constructor({ ttlSeconds, maxEntries }) {
+    this.ttlSeconds = ttlSeconds;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // URL -> { family, data, status, headers, lastModified, expiresAt }
+    this.counters = {}; // Family -> { hits, misses, revalidated }
+  }
+
+  isCacheable(family) {
+    return (this.ttlSeconds[family] || 0) > 0;
+  }
+
+  /**
+   * Looks up a URL. Returns { fresh: response } when it can be served as is,
+   * { lastModified, entry } when a conditional request can revalidate it, or null.
+   * The entry is handed back to revalidated(), as it may be evicted while the request is in flight.
+   */
+  lookup(family, url) {
+    const entry = this.entries.get(url);
+    if (!entry) {
+      this.count(family, 'misses');
+      return null;
+    }
+
+    if (Date.now() < entry.expiresAt) {
+      this.count(family, 'hits');
+      return { fresh: this.toResponse(entry) };
+    }
+
+    if (entry.lastModified) {
+      return { lastModified: entry.lastModified, entry };
+    }
+
+    this.entries.delete(url);
+    this.count(family, 'misses');
+    return null;
+  }
+
+  store(family, url, response) {
+    this.insert(url, {
+      family,
+      data: response.data,
+      status: response.status,
+      headers: response.headers,
+      lastModified: response.headers?.['last-modified'] || null,
+      expiresAt: Date.now() + this.ttlSeconds[family] * 1000
+    });
+  }
+
+  // 304 Not Modified: the body looked up before the request is still current (stored again if it was evicted meanwhile)
+  revalidated(family, url, entry) {
+    entry.expiresAt = Date.now() + this.ttlSeconds[family] * 1000;
+    // A concurrent request may have stored a newer body meanwhile; keep it
+    if (!this.entries.has(url)) {
+      this.insert(url, entry);
+    }
+    this.count(family, 'revalidated');
+    return this.toResponse(entry);
+  }
+
+  insert(url, entry) {
+    this.entries.delete(url); // Re-insert so Map order stays oldest first
+    this.entries.set(url, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // The conditional request came back with a new body (or failed)
+  changed(family, url) {
+    this.entries.delete(url);
+    this.count(family, 'misses');
+  }
+
+  count(family, counter) {
+    if (!this.counters[family]) {
+      this.counters[family] = { hits: 0, misses: 0, revalidated: 0 };
+    }
+    this.counters[family][counter]++;
+  }
+
+  toResponse(entry) {
+    return { data: entry.data, status: entry.status, headers: entry.headers, cached: true };
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: this.ttlSeconds,
+      families: this.counters
+    };
+  }
+}
+
+module.exports = HttpCache;
@@ -0,0 +1,91 @@
+/**
+ * 🧮 Raid composition - roles from class + active spec, and raid buff/debuff coverage
+ *
+ * Spec names repeat across classes (Frost, Holy, Restoration, Protection), so
+ * roles are looked up per class. Buffs list what a class brings regardless of spec.
+ */
+
+const ROLES = ['tank', 'healer', 'melee', 'ranged'];
+
+const SPEC_ROLES = {
+  'Death Knight': { Blood: 'tank', Frost: 'melee', Unholy: 'melee' },
+  'Demon Hunter': { Havoc: 'melee', Vengeance: 'tank' },
+  'Druid': { Balance: 'ranged', Feral: 'melee', Guardian: 'tank', Restoration: 'healer' },
+  'Evoker': { Devastation: 'ranged', Preservation: 'healer', Augmentation: 'ranged' },
+  'Hunter': { 'Beast Mastery': 'ranged', Marksmanship: 'ranged', Survival: 'melee' },
+  'Mage': { Arcane: 'ranged', Fire: 'ranged', Frost: 'ranged' },
+  'Monk': { Brewmaster: 'tank', Mistweaver: 'healer', Windwalker: 'melee' },
+  'Paladin': { Holy: 'healer', Protection: 'tank', Retribution: 'melee' },
+  'Priest': { Discipline: 'healer', Holy: 'healer', Shadow: 'ranged' },
+  'Rogue': { Assassination: 'melee', Outlaw: 'melee', Subtlety: 'melee' },
+  'Shaman': { Elemental: 'ranged', Enhancement: 'melee', Restoration: 'healer' },
+  'Warlock': { Affliction: 'ranged', Demonology: 'ranged', Destruction: 'ranged' },
+  'Warrior': { Arms: 'melee', Fury: 'melee', Protection: 'tank' }
+};
+
+// Raid-wide buffs, target debuffs and utility, with the classes that bring them
+const RAID_BUFFS = [
+  { name: 'Arcane Intellect', type: 'buff', classes: ['Mage'] },
+  { name: 'Battle Shout', type: 'buff', classes: ['Warrior'] },
+  { name: 'Power Word: Fortitude', type: 'buff', classes: ['Priest'] },
+  { name: 'Mark of the Wild', type: 'buff', classes: ['Druid'] },
+  { name: 'Skyfury', type: 'buff', classes: ['Shaman'] },
+  { name: 'Blessing of the Bronze', type: 'buff', classes: ['Evoker'] },
+  { name: 'Devotion Aura', type: 'buff', classes: ['Paladin'] },
+  { name: 'Mystic Touch', type: 'debuff', classes: ['Monk'] },
+  { name: 'Chaos Brand', type: 'debuff', classes: ['Demon Hunter'] },
+  { name: "Hunter's Mark", type: 'debuff', classes: ['Hunter'] },
+  { name: 'Atrophic Poison', type: 'debuff', classes: ['Rogue'] },
+  { name: 'Bloodlust', type: 'utility', classes: ['Shaman', 'Mage', 'Hunter', 'Evoker'] },
+  { name: 'Battle Resurrection', type: 'utility', classes: ['Druid', 'Death Knight', 'Warlock', 'Paladin'] }
+];
+
+class RaidComposition {
+  // Null when the class or spec is unknown (e.g. not synced from Blizzard yet)
+  getRole(className, spec) {
+    return SPEC_ROLES[className]?.[spec] || null;
+  }
+
+  /**
+   * members: [{ character_name, realm, class, active_spec, role }]
+   * Returns role counts, members per role, class counts and which buffs are covered.
+   */
+  summarize(members) {
+    const roles = Object.fromEntries([...ROLES, 'unknown'].map(role => [role, 0]));
+    const byRole = Object.fromEntries([...ROLES, 'unknown'].map(role => [role, []]));
+    const classes = {};
+
+    for (const member of members) {
+      const role = ROLES.includes(member.role) ? member.role : 'unknown';
+      roles[role]++;
+      byRole[role].push({
+        character_name: member.character_name,
+        realm: member.realm,
+        class: member.class,
+        active_spec: member.active_spec
+      });
+      if (member.class) {
+        classes[member.class] = (classes[member.class] || 0) + 1;
+      }
+    }
+
+    const buffs = RAID_BUFFS.map(buff => {
+      const providers = buff.classes.reduce((count, className) => count + (classes[className] || 0), 0);
+      return { ...buff, providers, covered: providers > 0 };
+    });
+
+    return {
+      total: members.length,
+      roles,
+      classes,
+      buffs,
+      missing: buffs.filter(buff => !buff.covered).map(buff => buff.name),
+      members: byRole
+    };
+  }
+}
+
+module.exports = RaidComposition;
+module.exports.ROLES = ROLES;
+module.exports.SPEC_ROLES = SPEC_ROLES;
+module.exports.RAID_BUFFS = RAID_BUFFS;
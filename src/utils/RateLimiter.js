@@ -0,0 +1,61 @@
+/**
+ * 🪣 Token bucket rate limiter - one bucket per external API
+ */
+
+class RateLimiter {
+  /**
+   * @param {number} requestsPerMinute - Sustained request rate
+   * @param {number} [burst] - Bucket size, defaults to one second worth of requests
+   */
+  constructor(requestsPerMinute, burst = Math.max(1, Math.ceil(requestsPerMinute / 60))) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.lastRefill = Date.now();
+    this.waiting = [];
+    this.timer = null;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  // Resolves once a request may be sent; callers are served in arrival order
+  acquire() {
+    return new Promise(resolve => {
+      this.waiting.push(resolve);
+      this.drain();
+    });
+  }
+
+  drain() {
+    this.refill();
+
+    while (this.waiting.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.waiting.shift()();
+    }
+
+    if (this.waiting.length > 0 && !this.timer) {
+      const waitMs = Math.ceil((1 - this.tokens) / this.refillPerMs);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, waitMs);
+    }
+  }
+
+  getStats() {
+    this.refill();
+    return {
+      requestsPerMinute: this.requestsPerMinute,
+      availableTokens: Math.floor(this.tokens),
+      queued: this.waiting.length
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,83 @@
+/**
+ * 🔁 Retry policy for external API requests - exponential backoff with jitter
+ *
+ * Only transient failures are retried: 429, 5xx, timeouts and dropped connections.
+ * A Retry-After header (seconds or HTTP date) replaces the computed backoff. The
+ * error that finally escapes carries retryCount so it can be recorded with the failure.
+ */
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+class RetryPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.baseDelayMs - Backoff before the first retry
+   * @param {number} options.backoffMultiplier - Growth of the backoff per retry
+   * @param {number} options.maxBackoffMs - Upper bound for any single wait, Retry-After included
+   * @param {Object} logger
+   */
+  constructor({ maxRetries, baseDelayMs, backoffMultiplier, maxBackoffMs }, logger) {
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.backoffMultiplier = backoffMultiplier;
+    this.maxBackoffMs = maxBackoffMs;
+    this.logger = logger;
+  }
+
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status) {
+      return RETRYABLE_STATUSES.includes(status);
+    }
+    // No response at all: network failure or timeout
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  // Milliseconds to wait before retry number `retry` (0-based)
+  getDelay(retry, error) {
+    const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxBackoffMs);
+    }
+
+    const backoff = Math.min(this.baseDelayMs * Math.pow(this.backoffMultiplier, retry), this.maxBackoffMs);
+    // Equal jitter: half fixed, half random, so parallel workers don't retry in lockstep
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Runs fn until it succeeds, fails permanently or runs out of retries
+  async execute(fn, label = 'request') {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (retry >= this.maxRetries || !this.isRetryable(error)) {
+          error.retryCount = retry;
+          throw error;
+        }
+
+        const delay = this.getDelay(retry, error);
+        this.logger.warn(`🔁 ${label} failed (${error.response?.status || error.code || error.message}), retry ${retry + 1}/${this.maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,37 @@
+/**
+ * 📅 Weekly reset - start of the current raid/M+ week per region
+ *
+ * Resets are configured in UTC (config.mythicPlus.weeklyResets), e.g. EU on
+ * Wednesday 04:00 and US on Tuesday 15:00. Daylight saving is ignored: Blizzard
+ * keeps the reset at the same UTC time all year.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WeeklyReset {
+  /**
+   * @param {Object<string, { day: number, hour: number, minute: number }>} resets - Per region, day 0 = Sunday
+   */
+  constructor(resets) {
+    this.resets = resets;
+  }
+
+  // Most recent reset at or before `now`
+  getPeriodStart(region, now = new Date()) {
+    const reset = this.resets[region];
+    if (!reset) {
+      throw new Error(`No weekly reset configured for region ${region}`);
+    }
+
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), reset.hour, reset.minute));
+    start.setUTCDate(start.getUTCDate() - (now.getUTCDay() - reset.day + 7) % 7);
+    return start > now ? new Date(start.getTime() - 7 * DAY_MS) : start;
+  }
+
+  getPeriod(region, now = new Date()) {
+    const start = this.getPeriodStart(region, now);
+    return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+  }
+}
+
+module.exports = WeeklyReset;
@@ -0,0 +1,37 @@
+/**
+ * 👷 Worker pool - runs async tasks with bounded concurrency
+ */
+
+class WorkerPool {
+  constructor(concurrency = 1) {
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(task) {
+    if (this.active >= this.concurrency) {
+      // The finishing task hands its slot straight over, so `active` stays put
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      if (this.waiting.length > 0) {
+        this.waiting.shift()();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  // Like Promise.all(items.map(worker)) but never more than `concurrency` at once
+  map(items, worker) {
+    return Promise.all(items.map((item, index) => this.run(() => worker(item, index))));
+  }
+}
+
+module.exports = WorkerPool;
@@ -1,7 +1,8 @@
 import React from 'react';
 import { Routes, Route, Link, useLocation } from 'react-router-dom';
-import { Castle } from 'lucide-react';
+import { Castle, Trophy } from 'lucide-react';
 import Dashboard from './pages/Dashboard';
+import Progression from './pages/Progression';
 
 function App() {
   const location = useLocation();
@@ -33,6 +34,18 @@ function App() {
                 <Castle className="w-4 h-4" />
                 Dashboard
               </Link>
+
+              <Link
+                to="/progression"
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors duration-200 ${
+                  isActive('/progression')
+                    ? 'bg-zinc-600 text-zinc-100'
+                    : 'bg-zinc-800 text-zinc-100 hover:bg-zinc-700'
+                }`}
+              >
+                <Trophy className="w-4 h-4" />
+                Progression
+              </Link>
               
               <a
                 href="/api/members"
@@ -60,6 +73,7 @@ function App() {
       <main>
         <Routes>
           <Route path="/" element={<Dashboard />} />
+          <Route path="/progression" element={<Progression />} />
         </Routes>
       </main>
     </div>
@@ -1,62 +1,106 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import io from 'socket.io-client';
-import { ExternalLink, ChevronUp, ChevronDown } from 'lucide-react';
+import { ExternalLink, ChevronUp, ChevronDown, ChevronRight, Shield, Cross, Sword, Crosshair } from 'lucide-react';
+
+const ACTIVITY_BADGE_STYLES = {
+  active: 'bg-green-900/50 text-green-400 border border-green-700/50',
+  casual: 'bg-yellow-900/50 text-yellow-400 border border-yellow-700/50',
+  inactive: 'bg-red-900/50 text-red-400 border border-red-700/50',
+  unknown: 'bg-zinc-800/50 text-zinc-400 border border-zinc-700/50'
+};
+
+const ROLE_SUMMARY = [
+  { key: 'tank', label: 'Tanks', icon: Shield, color: 'text-blue-400' },
+  { key: 'healer', label: 'Healers', icon: Cross, color: 'text-green-400' },
+  { key: 'melee', label: 'Melee', icon: Sword, color: 'text-red-400' },
+  { key: 'ranged', label: 'Ranged', icon: Crosshair, color: 'text-orange-400' }
+];
+
+// Warcraft Logs parse colours
+const getParseColor = (percentile) => {
+  if (percentile >= 99) return 'text-pink-400';
+  if (percentile >= 95) return 'text-orange-400';
+  if (percentile >= 75) return 'text-purple-400';
+  if (percentile >= 50) return 'text-blue-400';
+  if (percentile >= 25) return 'text-green-400';
+  return 'text-zinc-400';
+};
 
 function Dashboard() {
   const [members, setMembers] = useState([]);
+  const [guilds, setGuilds] = useState([]);
+  const [selectedGuild, setSelectedGuild] = useState(null);
+  const selectedGuildRef = useRef(null);
   const [loading, setLoading] = useState(true);
   const [lastSync, setLastSync] = useState(null);
   const [syncProgress, setSyncProgress] = useState(null);
+  const [rankFilter, setRankFilter] = useState('all');
+  const [raidCatalogue, setRaidCatalogue] = useState({ default: null, raids: [] });
+  const [selectedRaid, setSelectedRaid] = useState(null); // null = default raid
+  const selectedRaidRef = useRef(null);
+  const [groupAlts, setGroupAlts] = useState(false);
+  const [expandedPlayers, setExpandedPlayers] = useState(new Set());
+  const [composition, setComposition] = useState(null);
   const [sortConfig, setSortConfig] = useState({ 
     key: 'item_level', 
     direction: 'desc' 
   });
 
   useEffect(() => {
-    fetchMembers();
+    fetchGuilds();
     
     const socket = io();
+
+    // Events from other guilds don't concern the roster on screen
+    const isSelectedGuild = (data) => !data.guild || data.guild === selectedGuildRef.current;
     
     socket.on('membersUpdated', (data) => {
+      if (!isSelectedGuild(data)) return;
       console.log('🔄 Members updated via Socket.IO:', data);
-      setMembers(data.members);
+      // Pushed rosters carry the default raid's progress; keep the picked raid's column
+      setMembers(prevMembers => {
+        if (!selectedRaidRef.current) return data.members;
+        const raidProgress = new Map(prevMembers.map(member => [`${member.character_name}-${member.realm}`, member.raid_progress]));
+        return data.members.map(member => ({
+          ...member,
+          raid_progress: raidProgress.get(`${member.character_name}-${member.realm}`) ?? null
+        }));
+      });
       setLastSync(data.lastSync);
     });
 
     socket.on('syncProgress', (data) => {
+      if (!isSelectedGuild(data)) return;
       console.log('📊 Sync progress update:', data);
       setSyncProgress(data);
     });
 
     socket.on('syncComplete', (data) => {
+      if (!isSelectedGuild(data)) return;
       console.log('✅ Sync completed:', data);
       setSyncProgress(null);
+      fetchComposition(selectedGuildRef.current); // Specs may have changed
     });
 
-    // New handlers for missing data sync and real-time updates
-    socket.on('missingDataSyncStart', (data) => {
-      console.log('🎯 Missing data sync started:', data);
-      setSyncProgress({
-        current: 0,
-        total: data.total,
-        status: 'starting',
-        type: 'missing_data'
-      });
-    });
-
+    // Real-time updates for single characters
     socket.on('memberDataUpdated', (data) => {
       console.log('📊 Member data updated:', data.character_name, data.data);
+      // Fields no provider returned arrive as null and keep the value on screen
+      const received = Object.fromEntries(Object.entries(data.data).filter(([, value]) => value !== null && value !== undefined));
+      const { raid_progress, ...otherData } = received;
+      const update = selectedRaidRef.current ? otherData : received;
       // Update specific member in the list
       setMembers(prevMembers => 
         prevMembers.map(member => 
           member.character_name === data.character_name && member.realm === data.realm
-            ? { ...member, ...data.data }
+            ? { ...member, ...update }
             : member
         )
       );
     });
 
     socket.on('missingDataSyncComplete', (data) => {
+      if (!isSelectedGuild(data)) return;
       console.log('🎉 Missing data sync completed:', data);
       setSyncProgress(null);
     });
@@ -64,6 +108,25 @@ function Dashboard() {
     return () => socket.disconnect();
   }, []);
 
+  useEffect(() => {
+    if (!selectedGuild) return;
+    selectedGuildRef.current = selectedGuild;
+    setSyncProgress(null);
+    setLastSync(null);
+    setRankFilter('all');
+    setSelectedRaid(null);
+    selectedRaidRef.current = null;
+    fetchRaids(selectedGuild);
+    fetchMembers(selectedGuild);
+    fetchComposition(selectedGuild);
+  }, [selectedGuild]);
+
+  const selectRaid = (raid) => {
+    setSelectedRaid(raid);
+    selectedRaidRef.current = raid;
+    fetchMembers(selectedGuild, raid);
+  };
+
   const sortMembers = (membersToSort) => {
     if (!sortConfig.key) return membersToSort;
 
@@ -133,11 +196,87 @@ function Dashboard() {
       : <ChevronDown className="w-4 h-4 text-blue-400" />;
   };
 
-  const sortedMembers = sortMembers(members);
+  // Ranks present on the roster, lowest index (Guild Master) first
+  const rankOptions = [...new Map(
+    members
+      .filter(member => member.guild_rank !== null && member.guild_rank !== undefined)
+      .map(member => [member.guild_rank, member.guild_rank_name])
+  ).entries()].sort((a, b) => a[0] - b[0]);
 
-  const fetchMembers = async () => {
+  const filteredMembers = rankFilter === 'all'
+    ? members
+    : members.filter(member => String(member.guild_rank) === rankFilter);
+
+  const sortedMembers = sortMembers(filteredMembers);
+
+  // With alts grouped, only mains (and unlinked characters) are top-level rows
+  const buildRows = () => {
+    if (!groupAlts) {
+      return sortedMembers.map(member => ({ member, isAlt: false, altCount: 0 }));
+    }
+
+    const mainPlayerIds = new Set(
+      filteredMembers.filter(member => member.player_id && member.is_main).map(member => member.player_id)
+    );
+    const isGroupedAlt = (member) => member.player_id && !member.is_main && mainPlayerIds.has(member.player_id);
+    const altsByPlayer = new Map();
+    sortedMembers.filter(isGroupedAlt).forEach(member => {
+      altsByPlayer.set(member.player_id, [...(altsByPlayer.get(member.player_id) || []), member]);
+    });
+
+    return sortedMembers.filter(member => !isGroupedAlt(member)).flatMap(member => {
+      const alts = member.is_main ? altsByPlayer.get(member.player_id) || [] : [];
+      const row = { member, isAlt: false, altCount: alts.length };
+      return expandedPlayers.has(member.player_id)
+        ? [row, ...alts.map(alt => ({ member: alt, isAlt: true, altCount: 0 }))]
+        : [row];
+    });
+  };
+
+  const rows = buildRows();
+
+  const togglePlayer = (playerId) => {
+    setExpandedPlayers(prev => {
+      const next = new Set(prev);
+      if (next.has(playerId)) {
+        next.delete(playerId);
+      } else {
+        next.add(playerId);
+      }
+      return next;
+    });
+  };
+
+  const fetchGuilds = async () => {
     try {
-      const response = await fetch('/api/members');
+      const response = await fetch('/api/guilds');
+      const data = await response.json();
+      setGuilds(data.guilds);
+      if (data.guilds.length > 0) {
+        setSelectedGuild(data.guilds[0].key);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      console.error('Failed to fetch guilds:', error);
+      setLoading(false);
+    }
+  };
+
+  const fetchRaids = async (guildKey) => {
+    try {
+      const response = await fetch(`/api/raids?guild=${encodeURIComponent(guildKey)}`);
+      const data = await response.json();
+      setRaidCatalogue({ default: data.default, raids: data.raids || [] });
+    } catch (error) {
+      console.error('Failed to fetch raids:', error);
+    }
+  };
+
+  const fetchMembers = async (guildKey, raid = null) => {
+    try {
+      const raidQuery = raid ? `&raid=${encodeURIComponent(raid)}` : '';
+      const response = await fetch(`/api/members?guild=${encodeURIComponent(guildKey)}${raidQuery}`);
       const data = await response.json();
       setMembers(data.members);
       setLoading(false);
@@ -147,10 +286,25 @@ function Dashboard() {
     }
   };
 
+  // Active members only; see /api/composition
+  const fetchComposition = async (guildKey) => {
+    try {
+      const response = await fetch(`/api/composition?guild=${encodeURIComponent(guildKey)}`);
+      const data = await response.json();
+      setComposition(data.roles ? data : null);
+    } catch (error) {
+      console.error('Failed to fetch composition:', error);
+    }
+  };
+
+  const currentGuild = guilds.find(guild => guild.key === selectedGuild);
 
+  // Raids anyone in the guild has progression in, plus the default one
+  const raidOptions = raidCatalogue.raids.filter(raid => raid.members > 0 || raid.key === raidCatalogue.default);
 
   const getArmoryLink = (characterName, realm) => {
-    return `https://worldofwarcraft.blizzard.com/en-us/character/eu/${realm}/${characterName}`;
+    const region = currentGuild?.region || 'eu';
+    return `https://worldofwarcraft.blizzard.com/en-us/character/${region}/${realm}/${characterName}`;
   };
 
   const getClassColor = (className) => {
@@ -190,9 +344,30 @@ function Dashboard() {
         {/* Header */}
         <div className="text-center mb-8">
           <h1 className="text-4xl font-bold text-zinc-100 mb-2">
-            🏰 Pool Party Guild ({sortedMembers.length} members)
+            🏰 {currentGuild?.name || 'Guild'} ({sortedMembers.length} members{groupAlts ? `, ${rows.filter(row => !row.isAlt).length} players` : ''})
           </h1>
-          <p className="text-zinc-400 text-lg">Archimonde - EU</p>
+          {currentGuild && (
+            <p className="text-zinc-400 text-lg capitalize">
+              {currentGuild.realm} - {currentGuild.region.toUpperCase()}
+            </p>
+          )}
+          {guilds.length > 1 && (
+            <div className="mt-3 flex justify-center gap-2">
+              {guilds.map(guild => (
+                <button
+                  key={guild.key}
+                  onClick={() => setSelectedGuild(guild.key)}
+                  className={`px-3 py-1 rounded text-sm transition-colors duration-200 ${
+                    guild.key === selectedGuild
+                      ? 'bg-zinc-600 text-zinc-100'
+                      : 'bg-zinc-800 text-zinc-400 hover:bg-zinc-700'
+                  }`}
+                >
+                  {guild.name}
+                </button>
+              ))}
+            </div>
+          )}
           <p className="text-zinc-500 text-sm mt-1">
             Sorted by {sortConfig.key.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()} ({sortConfig.direction === 'desc' ? 'high to low' : 'low to high'}) • Click any column to sort
           </p>
@@ -201,6 +376,43 @@ function Dashboard() {
               <span className="text-zinc-400">Members:</span>{' '}
               <span className="text-zinc-100 font-semibold">{members.length}</span>
             </span>
+            {rankOptions.length > 0 && (
+              <select
+                value={rankFilter}
+                onChange={(event) => setRankFilter(event.target.value)}
+                className="bg-zinc-800 text-zinc-100 px-3 py-1 rounded border border-zinc-700 focus:outline-none"
+              >
+                <option value="all">All ranks</option>
+                {rankOptions.map(([rank, name]) => (
+                  <option key={rank} value={String(rank)}>{name}</option>
+                ))}
+              </select>
+            )}
+            {raidOptions.length > 1 && (
+              <select
+                value={selectedRaid || ''}
+                onChange={(event) => selectRaid(event.target.value || null)}
+                className="bg-zinc-800 text-zinc-100 px-3 py-1 rounded border border-zinc-700 focus:outline-none"
+                title="Raid shown in the Raid Progress column"
+              >
+                {raidOptions.map(raid => (
+                  <option key={raid.key} value={raid.key === raidCatalogue.default ? '' : raid.key}>
+                    {raid.name}{raid.expansion ? ` (${raid.expansion})` : ''}
+                  </option>
+                ))}
+              </select>
+            )}
+            {members.some(member => member.player_id) && (
+              <label className="bg-zinc-800 px-3 py-1 rounded flex items-center gap-2 cursor-pointer select-none">
+                <input
+                  type="checkbox"
+                  checked={groupAlts}
+                  onChange={(event) => setGroupAlts(event.target.checked)}
+                  className="accent-orange-500"
+                />
+                <span className="text-zinc-400">Group alts under mains</span>
+              </label>
+            )}
             {syncProgress && (
               <span className="bg-blue-900/50 px-3 py-1 rounded border border-blue-700">
                 <span className="text-blue-400">Syncing:</span>{' '}
@@ -230,6 +442,50 @@ function Dashboard() {
           </div>
         </div>
 
+        {/* Raid Composition */}
+        {composition && composition.total > 0 && (
+          <div className="bg-zinc-800/50 backdrop-blur rounded-lg border border-zinc-700/50 shadow-2xl p-6 mb-8">
+            <div className="flex items-baseline justify-between mb-4">
+              <h2 className="text-xl font-semibold text-zinc-100">🧩 Raid Composition</h2>
+              <span className="text-sm text-zinc-500">
+                {composition.total} active members{composition.roles.unknown > 0 ? ` • ${composition.roles.unknown} without a synced spec` : ''}
+              </span>
+            </div>
+            <div className="grid gap-6 lg:grid-cols-3">
+              <div className="grid grid-cols-2 gap-3">
+                {ROLE_SUMMARY.map(({ key, label, icon: Icon, color }) => (
+                  <div
+                    key={key}
+                    className="bg-zinc-900/50 rounded p-3 flex items-center gap-3"
+                    title={composition.members[key].map(member => `${member.character_name} (${member.active_spec} ${member.class})`).join('\n')}
+                  >
+                    <Icon className={`w-5 h-5 ${color}`} />
+                    <div>
+                      <p className="text-2xl font-bold text-zinc-100">{composition.roles[key]}</p>
+                      <p className="text-xs text-zinc-400 uppercase tracking-wider">{label}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <div className="lg:col-span-2 flex flex-wrap content-start gap-2">
+                {composition.buffs.map(buff => (
+                  <span
+                    key={buff.name}
+                    className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      buff.covered
+                        ? 'bg-green-900/50 text-green-400 border border-green-700/50'
+                        : 'bg-red-900/50 text-red-400 border border-red-700/50'
+                    }`}
+                    title={`${buff.type} from ${buff.classes.join(', ')}`}
+                  >
+                    {buff.covered ? '✓' : '✗'} {buff.name}{buff.covered ? ` (${buff.providers})` : ''}
+                  </span>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Members Table */}
         <div className="bg-zinc-800/50 backdrop-blur rounded-lg border border-zinc-700/50 shadow-2xl overflow-hidden">
           <div className="overflow-x-auto max-h-screen overflow-y-auto">
@@ -245,6 +501,15 @@ function Dashboard() {
                       {getSortIcon('character_name')}
                     </div>
                   </th>
+                  <th 
+                    className="px-6 py-4 text-left text-xs font-medium text-zinc-300 uppercase tracking-wider cursor-pointer hover:bg-zinc-800/50 select-none"
+                    onClick={() => handleSort('guild_rank')}
+                  >
+                    <div className="flex items-center gap-1">
+                      Rank
+                      {getSortIcon('guild_rank')}
+                    </div>
+                  </th>
                   <th 
                     className="px-6 py-4 text-left text-xs font-medium text-zinc-300 uppercase tracking-wider cursor-pointer hover:bg-zinc-800/50 select-none"
                     onClick={() => handleSort('class')}
@@ -308,6 +573,24 @@ function Dashboard() {
                       {getSortIcon('raid_progress')}
                     </div>
                   </th>
+                  <th 
+                    className="px-6 py-4 text-left text-xs font-medium text-zinc-300 uppercase tracking-wider cursor-pointer hover:bg-zinc-800/50 select-none"
+                    onClick={() => handleSort('best_parse_percentile')}
+                  >
+                    <div className="flex items-center gap-1">
+                      Parses
+                      {getSortIcon('best_parse_percentile')}
+                    </div>
+                  </th>
+                  <th 
+                    className="px-6 py-4 text-left text-xs font-medium text-zinc-300 uppercase tracking-wider cursor-pointer hover:bg-zinc-800/50 select-none"
+                    onClick={() => handleSort('raid_attendance')}
+                  >
+                    <div className="flex items-center gap-1">
+                      Attendance
+                      {getSortIcon('raid_attendance')}
+                    </div>
+                  </th>
                   <th 
                     className="px-6 py-4 text-left text-xs font-medium text-zinc-300 uppercase tracking-wider cursor-pointer hover:bg-zinc-800/50 select-none"
                     onClick={() => handleSort('pvp_2v2_rating')}
@@ -365,11 +648,24 @@ function Dashboard() {
                 </tr>
               </thead>
               <tbody className="divide-y divide-zinc-700/50">
-                {sortedMembers.map((member, index) => (
+                {rows.map(({ member, isAlt, altCount }) => (
                   <tr key={`${member.character_name}-${member.realm}`} 
-                      className="hover:bg-zinc-700/30 transition-colors">
+                      className={`hover:bg-zinc-700/30 transition-colors ${isAlt ? 'bg-zinc-900/40' : ''}`}>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center space-x-2">
+                      <div className={`flex items-center space-x-2 ${isAlt ? 'pl-6' : ''}`}>
+                        {isAlt && <span className="text-zinc-600">↳</span>}
+                        {altCount > 0 && (
+                          <button
+                            onClick={() => togglePlayer(member.player_id)}
+                            className="flex items-center text-xs text-zinc-400 hover:text-zinc-200"
+                            title={expandedPlayers.has(member.player_id) ? 'Hide alts' : 'Show alts'}
+                          >
+                            {expandedPlayers.has(member.player_id)
+                              ? <ChevronDown className="w-4 h-4" />
+                              : <ChevronRight className="w-4 h-4" />}
+                            <span>{altCount}</span>
+                          </button>
+                        )}
                         <div>
                           <span className="text-sm font-medium text-zinc-100">
                             {member.character_name}
@@ -391,6 +687,9 @@ function Dashboard() {
                         </div>
                       </div>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-zinc-300">
+                      {member.guild_rank_name || '-'}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span 
                         className="text-sm font-medium"
@@ -398,17 +697,18 @@ function Dashboard() {
                       >
                         {member.class || 'Unknown'}
                       </span>
+                      {member.active_spec && (
+                        <span className="block text-xs text-zinc-500">{member.active_spec}</span>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-zinc-300">
                       {member.level || '-'}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm">
                       <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                        member.activity_status === 'active' 
-                          ? 'bg-green-900/50 text-green-400 border border-green-700/50' 
-                          : 'bg-red-900/50 text-red-400 border border-red-700/50'
+                        ACTIVITY_BADGE_STYLES[member.activity_status] || ACTIVITY_BADGE_STYLES.unknown
                       }`}>
-                        {member.activity_status || 'inactive'}
+                        {member.activity_status || 'unknown'}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm">
@@ -465,6 +765,34 @@ function Dashboard() {
                         <span className="text-zinc-500">-</span>
                       )}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {member.best_parse_percentile !== null && member.best_parse_percentile !== undefined ? (
+                        <span title="Best / median parse percentile">
+                          <span className={`font-medium ${getParseColor(member.best_parse_percentile)}`}>
+                            {Math.round(member.best_parse_percentile)}
+                          </span>
+                          <span className="text-zinc-500"> / </span>
+                          <span className={getParseColor(member.median_parse_percentile)}>
+                            {member.median_parse_percentile !== null ? Math.round(member.median_parse_percentile) : '-'}
+                          </span>
+                        </span>
+                      ) : (
+                        <span className="text-zinc-500">-</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {member.raid_attendance !== null && member.raid_attendance !== undefined ? (
+                        <span className={`font-medium ${
+                          member.raid_attendance >= 90 ? 'text-green-400' :
+                          member.raid_attendance >= 70 ? 'text-yellow-400' :
+                          'text-red-400'
+                        }`}>
+                          {Math.round(member.raid_attendance)}%
+                        </span>
+                      ) : (
+                        <span className="text-zinc-500">-</span>
+                      )}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm">
                       {member.pvp_2v2_rating && member.pvp_2v2_rating > 0 ? (
                         <span className={`font-medium ${
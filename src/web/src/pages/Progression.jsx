@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useRef } from 'react';
+import io from 'socket.io-client';
+import { Trophy } from 'lucide-react';
+
+const DIFFICULTIES = ['lfr', 'normal', 'heroic', 'mythic'];
+
+const DIFFICULTY_LABELS = {
+  lfr: 'LFR',
+  normal: 'Normal',
+  heroic: 'Heroic',
+  mythic: 'Mythic'
+};
+
+const DIFFICULTY_STYLES = {
+  lfr: 'bg-zinc-800/50 text-zinc-300 border border-zinc-700/50',
+  normal: 'bg-green-900/50 text-green-400 border border-green-700/50',
+  heroic: 'bg-blue-900/50 text-blue-400 border border-blue-700/50',
+  mythic: 'bg-purple-900/50 text-purple-400 border border-purple-700/50'
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+function Progression() {
+  const [guilds, setGuilds] = useState([]);
+  const [selectedGuild, setSelectedGuild] = useState(null);
+  const selectedGuildRef = useRef(null);
+  const [progression, setProgression] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchGuilds();
+
+    const socket = io();
+    socket.on('progressionUpdated', (data) => {
+      if (data.guild !== selectedGuildRef.current) return;
+      console.log('🏆 Progression updated:', data);
+      fetchProgression(data.guild);
+    });
+
+    return () => socket.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!selectedGuild) return;
+    selectedGuildRef.current = selectedGuild;
+    fetchProgression(selectedGuild);
+  }, [selectedGuild]);
+
+  const fetchGuilds = async () => {
+    try {
+      const response = await fetch('/api/guilds');
+      const data = await response.json();
+      setGuilds(data.guilds);
+      if (data.guilds.length > 0) {
+        setSelectedGuild(data.guilds[0].key);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      console.error('Failed to fetch guilds:', error);
+      setLoading(false);
+    }
+  };
+
+  const fetchProgression = async (guildKey) => {
+    try {
+      const response = await fetch(`/api/progression?guild=${encodeURIComponent(guildKey)}`);
+      const data = await response.json();
+      setProgression(data);
+      setLoading(false);
+    } catch (error) {
+      console.error('Failed to fetch progression:', error);
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-zinc-900 via-zinc-800 to-zinc-900 text-zinc-100 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-orange-500 mx-auto"></div>
+          <p className="mt-4 text-zinc-300">Loading progression...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const currentGuild = guilds.find(guild => guild.key === selectedGuild);
+  const team = progression?.team;
+  const timeline = [...(progression?.timeline || [])].reverse(); // Latest kill first
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-zinc-900 via-zinc-800 to-zinc-900 text-zinc-100">
+      <div className="px-6 py-8">
+
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-zinc-100 mb-2">
+            🏆 {currentGuild?.name || 'Guild'} Progression
+          </h1>
+          {team && (
+            <p className="text-zinc-400 text-lg">
+              Raid team: {team.size} members{team.ranks.length > 0 ? ` (${team.ranks.join(', ')})` : ''} • A boss counts once {team.needed} have it down
+            </p>
+          )}
+          {guilds.length > 1 && (
+            <div className="mt-3 flex justify-center gap-2">
+              {guilds.map(guild => (
+                <button
+                  key={guild.key}
+                  onClick={() => setSelectedGuild(guild.key)}
+                  className={`px-3 py-1 rounded text-sm transition-colors duration-200 ${
+                    guild.key === selectedGuild
+                      ? 'bg-zinc-600 text-zinc-100'
+                      : 'bg-zinc-800 text-zinc-400 hover:bg-zinc-700'
+                  }`}
+                >
+                  {guild.name}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {progression?.raids.length === 0 && (
+          <p className="text-center text-zinc-500">No boss kills recorded yet. Kills appear after the next character sync.</p>
+        )}
+
+        <div className="grid gap-8 lg:grid-cols-3">
+          {/* Bosses per raid */}
+          <div className="lg:col-span-2 space-y-8">
+            {progression?.raids.map(raid => {
+              const difficulties = DIFFICULTIES.filter(difficulty =>
+                raid.bosses.some(boss => boss.difficulties[difficulty]));
+              return (
+                <div key={raid.raid} className="bg-zinc-800/50 backdrop-blur rounded-lg border border-zinc-700/50 shadow-2xl overflow-hidden">
+                  <h2 className="px-6 py-4 text-xl font-semibold text-zinc-100 bg-zinc-900/80">{raid.raid_name}</h2>
+                  <table className="w-full">
+                    <thead className="bg-zinc-900/50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-zinc-300 uppercase tracking-wider">Boss</th>
+                        {difficulties.map(difficulty => (
+                          <th key={difficulty} className="px-6 py-3 text-left text-xs font-medium text-zinc-300 uppercase tracking-wider">
+                            {DIFFICULTY_LABELS[difficulty]}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-zinc-700/50">
+                      {raid.bosses.map(boss => (
+                        <tr key={boss.encounter_id} className="hover:bg-zinc-700/30 transition-colors">
+                          <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-zinc-100">{boss.encounter_name}</td>
+                          {difficulties.map(difficulty => {
+                            const kill = boss.difficulties[difficulty];
+                            if (!kill) {
+                              return <td key={difficulty} className="px-6 py-3 text-sm text-zinc-500">-</td>;
+                            }
+                            return (
+                              <td key={difficulty} className="px-6 py-3 whitespace-nowrap text-sm">
+                                <span
+                                  className={kill.guild_killed_at ? 'text-green-400 font-medium' : 'text-zinc-400'}
+                                  title="Raid team members with a kill"
+                                >
+                                  {kill.killers}/{team.size}
+                                </span>
+                                {kill.guild_killed_at && (
+                                  <span className="ml-2 text-xs text-zinc-500">{formatDate(kill.guild_killed_at)}</span>
+                                )}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Timeline */}
+          <div className="bg-zinc-800/50 backdrop-blur rounded-lg border border-zinc-700/50 shadow-2xl p-6 h-fit">
+            <h2 className="text-xl font-semibold text-zinc-100 mb-4 flex items-center gap-2">
+              <Trophy className="w-5 h-5 text-amber-400" />
+              Timeline
+            </h2>
+            {timeline.length === 0 ? (
+              <p className="text-zinc-500 text-sm">No boss has been killed by a majority of the raid team yet.</p>
+            ) : (
+              <ol className="relative border-l border-zinc-700 ml-2 space-y-4">
+                {timeline.map(entry => (
+                  <li key={`${entry.encounter_id}-${entry.difficulty}`} className="ml-4">
+                    <div className="absolute w-2 h-2 bg-amber-400 rounded-full -left-1 mt-2"></div>
+                    <p className="text-xs text-zinc-500">{formatDate(entry.killed_at)}</p>
+                    <p className="text-sm text-zinc-100">
+                      {entry.encounter_name}{' '}
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${DIFFICULTY_STYLES[entry.difficulty] || DIFFICULTY_STYLES.lfr}`}>
+                        {DIFFICULTY_LABELS[entry.difficulty] || entry.difficulty}
+                      </span>
+                    </p>
+                    <p className="text-xs text-zinc-400">{entry.raid_name} • {entry.killers}/{entry.team_size} of the team</p>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Progression;
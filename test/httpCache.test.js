@@ -0,0 +1,50 @@
+/**
+ * 🗄️ HttpCache revalidation when the entry changes while a conditional request is in flight
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const HttpCache = require('../src/utils/HttpCache');
+
+function expire(cache, url) {
+  cache.entries.get(url).expiresAt = 0;
+}
+
+describe('HttpCache', () => {
+  it('revalidates an entry evicted by maxEntries during the request', () => {
+    const cache = new HttpCache({ ttlSeconds: { profile: 60 }, maxEntries: 1 });
+    cache.store('profile', 'u1', { data: 'one', status: 200, headers: { 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' } });
+    expire(cache, 'u1');
+
+    const cached = cache.lookup('profile', 'u1');
+    cache.store('profile', 'u2', { data: 'two', status: 200, headers: {} });
+
+    assert.equal(cache.revalidated('profile', 'u1', cached.entry).data, 'one');
+    assert.equal(cache.lookup('profile', 'u1').fresh.data, 'one');
+  });
+
+  it('revalidates an entry deleted by changed() during the request', () => {
+    const cache = new HttpCache({ ttlSeconds: { profile: 60 }, maxEntries: 10 });
+    cache.store('profile', 'u1', { data: 'one', status: 200, headers: { 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' } });
+    expire(cache, 'u1');
+
+    const cached = cache.lookup('profile', 'u1');
+    cache.changed('profile', 'u1');
+
+    assert.equal(cache.revalidated('profile', 'u1', cached.entry).data, 'one');
+    assert.equal(cache.lookup('profile', 'u1').fresh.data, 'one');
+  });
+
+  it('keeps a newer body stored by a concurrent request', () => {
+    const cache = new HttpCache({ ttlSeconds: { profile: 60 }, maxEntries: 10 });
+    cache.store('profile', 'u1', { data: 'one', status: 200, headers: { 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' } });
+    expire(cache, 'u1');
+
+    const cached = cache.lookup('profile', 'u1');
+    cache.store('profile', 'u1', { data: 'newer', status: 200, headers: {} });
+
+    assert.equal(cache.revalidated('profile', 'u1', cached.entry).data, 'one');
+    assert.equal(cache.lookup('profile', 'u1').fresh.data, 'newer');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * 🏁 Season archiving against an in-memory Prisma client
+ *
+ * The fake client evaluates where filters like Prisma does (AND/OR, gt/gte, null),
+ * so the filter archiveSeason builds is checked as written.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'AND') return condition.every(part => matches(row, part));
+    if (key === 'OR') return condition.some(part => matches(row, part));
+    const value = row[key];
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return condition instanceof Date ? value?.getTime() === condition.getTime() : value === condition;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (value === null || value === undefined) return false;
+      if (operator === 'gt') return value > operand;
+      if (operator === 'gte') return value >= operand;
+      throw new Error(`Unsupported operator in fake client: ${operator}`);
+    });
+  });
+}
+
+class FakePrismaClient {
+  constructor() {
+    this.tables = { guildMember: [], seasonArchive: [], season: [] };
+    this.guildMember = {
+      findMany: async ({ where }) => this.tables.guildMember.filter(row => matches(row, where)),
+    };
+    this.seasonArchive = {
+      createMany: async ({ data }) => {
+        this.tables.seasonArchive.push(...data);
+        return { count: data.length };
+      },
+    };
+    this.season = {
+      update: async ({ where, data }) => Object.assign(this.tables.season.find(row => matches(row, where)), data),
+    };
+  }
+
+  async $transaction(callback) {
+    return await callback(this);
+  }
+}
+
+// The generated client isn't needed (or available) for these tests
+require.cache[require.resolve('@prisma/client')] = {
+  id: require.resolve('@prisma/client'),
+  loaded: true,
+  exports: { PrismaClient: FakePrismaClient },
+};
+
+const PrismaService = require('../src/services/PrismaService');
+
+function member(id, character_name, ratings = {}, extra = {}) {
+  return {
+    id,
+    guild_id: 1,
+    character_name,
+    realm: 'archimonde',
+    left_at: null,
+    current_saison: 'season-tww-2',
+    mythic_plus_score: 0,
+    pvp_2v2_rating: 0,
+    pvp_3v3_rating: 0,
+    pvp_rbg_rating: 0,
+    solo_shuffle_rating: 0,
+    rbg_shuffle_rating: 0,
+    ...ratings,
+    ...extra,
+  };
+}
+
+describe('PrismaService.archiveSeason', () => {
+  let db;
+  const startedAt = new Date('2026-03-01T00:00:00Z');
+
+  before(() => {
+    db = new PrismaService();
+  });
+
+  it('archives only the members rated in a PvP season', async () => {
+    db.prisma = new FakePrismaClient();
+    const season = { id: 1, season_type: 'pvp', season_key: '39', started_at: startedAt, ended_at: null };
+    db.prisma.tables.season.push(season);
+    db.prisma.tables.guildMember.push(
+      member(1, 'Rated', { solo_shuffle_rating: 1850 }),
+      member(2, 'Unrated'),
+    );
+
+    const archived = await db.archiveSeason(season);
+
+    assert.equal(archived, 1);
+    assert.deepEqual(db.prisma.tables.seasonArchive.map(entry => entry.character_name), ['Rated']);
+    assert.equal(db.prisma.tables.seasonArchive[0].solo_shuffle_rating, 1850);
+    assert.ok(season.ended_at instanceof Date);
+  });
+
+  it('keeps members who left during the season and drops those who left before it', async () => {
+    db.prisma = new FakePrismaClient();
+    const season = { id: 2, season_type: 'mythic_plus', season_key: 'season-tww-2', started_at: startedAt, ended_at: null };
+    db.prisma.tables.season.push(season);
+    db.prisma.tables.guildMember.push(
+      member(1, 'Stayed', { mythic_plus_score: 2500 }),
+      member(2, 'LeftDuring', { mythic_plus_score: 2100 }, { left_at: new Date('2026-04-01T00:00:00Z') }),
+      member(3, 'LeftBefore', { mythic_plus_score: 1900 }, { left_at: new Date('2026-02-01T00:00:00Z') }),
+      member(4, 'NoKeys'),
+    );
+
+    await db.archiveSeason(season);
+
+    assert.deepEqual(db.prisma.tables.seasonArchive.map(entry => entry.character_name), ['Stayed', 'LeftDuring']);
+  });
+});
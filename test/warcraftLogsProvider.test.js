@@ -0,0 +1,185 @@
+/**
+ * 🟣 Warcraft Logs provider against a local fake GraphQL server (token endpoint + /api/v2/client)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+process.env.GUILD_NAME = process.env.GUILD_NAME || 'Pool Party';
+process.env.GUILD_REALM = process.env.GUILD_REALM || 'archimonde';
+process.env.GUILD_REGION = process.env.GUILD_REGION || 'eu';
+process.env.BLIZZARD_CLIENT_ID = process.env.BLIZZARD_CLIENT_ID || 'test-client';
+process.env.BLIZZARD_CLIENT_SECRET = process.env.BLIZZARD_CLIENT_SECRET || 'test-secret';
+
+const config = require('../src/config');
+const ExternalApiService = require('../src/services/ExternalApiService');
+const WarcraftLogsProvider = require('../src/providers/WarcraftLogsProvider');
+
+const CLIENT_ID = 'wcl-client';
+const CLIENT_SECRET = 'wcl-secret';
+const ACCESS_TOKEN = 'fake-wcl-token';
+
+const GUILD = { key: 'eu-archimonde-pool-party', name: 'Pool Party', realm: 'archimonde', region: 'eu' };
+
+// Three logged raids over two pages; presence 1 = in the raid, 2 = benched, 3 = absent
+const ATTENDANCE_PAGES = [
+  {
+    has_more_pages: true,
+    data: [
+      { code: 'r3', startTime: 3, players: [{ name: 'Critter', presence: 1 }, { name: 'Krabs', presence: 1 }] },
+      { code: 'r2', startTime: 2, players: [{ name: 'Critter', presence: 2 }, { name: 'Krabs', presence: 3 }] }
+    ]
+  },
+  {
+    has_more_pages: false,
+    data: [
+      { code: 'r1', startTime: 1, players: [{ name: 'Krabs', presence: 1 }] }
+    ]
+  }
+];
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Answers like Warcraft Logs: failures inside a 200 GraphQL body
+function answerQuery({ query, variables }) {
+  if (query.includes('CharacterRankings')) {
+    if (variables.name === 'Unknown') {
+      return { errors: [{ message: 'Character not found' }] };
+    }
+    return {
+      data: {
+        characterData: {
+          character: {
+            zoneRankings: { bestPerformanceAverage: 95.456, medianPerformanceAverage: 71.04 }
+          }
+        }
+      }
+    };
+  }
+
+  if (query.includes('GuildAttendance')) {
+    return { data: { guildData: { guild: { attendance: ATTENDANCE_PAGES[variables.page - 1] } } } };
+  }
+
+  return { errors: [{ message: 'Unknown query' }] };
+}
+
+describe('WarcraftLogsProvider', () => {
+  let server;
+  let provider;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer(async (req, res) => {
+      const body = await readBody(req);
+
+      if (req.method === 'POST' && req.url === '/oauth/token') {
+        const expected = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+        if (req.headers.authorization !== expected || body !== 'grant_type=client_credentials') {
+          return sendJson(res, 401, { error: 'invalid_client' });
+        }
+        return sendJson(res, 200, { access_token: ACCESS_TOKEN, token_type: 'Bearer', expires_in: 3600 });
+      }
+
+      if (req.method === 'POST' && req.url === '/api/v2/client') {
+        if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) {
+          return sendJson(res, 401, { error: 'Unauthenticated' });
+        }
+        const payload = JSON.parse(body);
+        requests.push(payload);
+        return sendJson(res, 200, answerQuery(payload));
+      }
+
+      // Blizzard credentials are refused, so realms are slugified without leaving this server
+      if (req.method === 'POST' && req.url === '/blizzard/token') {
+        return sendJson(res, 401, { error: 'invalid_client' });
+      }
+
+      sendJson(res, 404, { error: 'Not found' });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const logger = { info() {}, warn() {}, error() {}, debug() {} };
+    const api = new ExternalApiService({
+      ...config,
+      // No pacing or retries against the local server
+      guild: { ...config.guild, rateLimit: { ...config.guild.rateLimit, warcraftLogs: 6000 } },
+      service: { ...config.service, maxRetries: 0 },
+      blizzard: { ...config.blizzard, tokenUrl: `${baseUrl}/blizzard/token` }
+    }, logger);
+
+    provider = new WarcraftLogsProvider(api, {
+      ...config.warcraftLogs,
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      tokenUrl: `${baseUrl}/oauth/token`,
+      apiUrl: `${baseUrl}/api/v2/client`,
+      zoneId: null,
+      attendanceReports: 20
+    });
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('maps zoneRankings to best and median parse percentiles', async () => {
+    const result = await provider.fetchCharacter(
+      { name: 'Critter', realm: 'archimonde', region: 'eu', guild: GUILD },
+      ['best_parse_percentile', 'median_parse_percentile']
+    );
+
+    assert.deepEqual(result, { best_parse_percentile: 95.5, median_parse_percentile: 71 });
+    const query = requests.find(request => request.query.includes('CharacterRankings'));
+    assert.deepEqual(query.variables, { name: 'Critter', server: 'archimonde', region: 'EU', zoneID: null });
+  });
+
+  it('computes attendance over every page of the guild\'s logged raids', async () => {
+    const critter = await provider.fetchCharacter(
+      { name: 'Critter', realm: 'archimonde', region: 'eu', guild: GUILD },
+      ['raid_attendance']
+    );
+    const krabs = await provider.fetchCharacter(
+      { name: 'Krabs', realm: 'archimonde', region: 'eu', guild: GUILD },
+      ['raid_attendance']
+    );
+
+    // Critter: raided once and benched once out of 3; Krabs: raided twice, absent once
+    assert.equal(critter.raid_attendance, 66.7);
+    assert.equal(krabs.raid_attendance, 66.7);
+
+    // Fetched once per guild and shared by its members
+    const pages = requests.filter(request => request.query.includes('GuildAttendance')).map(request => request.variables.page);
+    assert.deepEqual(pages, [1, 2]);
+  });
+
+  it('gives 0% to guild members missing from every logged raid', async () => {
+    const result = await provider.fetchCharacter(
+      { name: 'Newcomer', realm: 'archimonde', region: 'eu', guild: GUILD },
+      ['raid_attendance']
+    );
+
+    assert.equal(result.raid_attendance, 0);
+  });
+
+  it('throws when the GraphQL body carries errors', async () => {
+    await assert.rejects(
+      provider.fetchCharacter({ name: 'Unknown', realm: 'archimonde', region: 'eu' }, ['best_parse_percentile']),
+      /Warcraft Logs query failed: Character not found/
+    );
+  });
+});